@@ -8,42 +8,132 @@
  * - DM mode: Users can subscribe to receive updates in their DMs
  * - Group mode: Add to groups via deep link
  * - Admin panel for managing rooms
+ * - REST admin API under /api (PROMO_ATTENDANT_API_TOKENS)
+ * - Prometheus metrics at /metrics
  */
 
 require('dotenv').config();
 const http = require('http');
-const { initPromoAttendant, shutdownPromoAttendant } = require('./services/promoAttendant');
+const {
+  initPromoAttendant,
+  shutdownPromoAttendant,
+  handleWebhookUpdate,
+  getWebhookPath,
+  getHealth
+} = require('./services/promoAttendant');
+const { handleAdminApiRequest } = require('./services/adminApi');
+const { getMetrics } = require('./services/metrics');
 
-// HTTP server for health checks
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Read and parse a JSON request body (null when empty)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve(text.trim() ? JSON.parse(text) : null);
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// HTTP server for health checks, metrics, the admin API and webhook updates
 const PORT = process.env.PORT || 3000;
 const server = http.createServer(async (req, res) => {
-  if (req.url === '/health' || req.url === '/') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      status: 'ok',
-      service: 'promo-attendant',
-      uptime: process.uptime()
-    }));
-  } else {
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Not Found' }));
-  }
-});
+  try {
+    const webhookPath = getWebhookPath();
 
-server.listen(PORT, () => {
-  console.log(`[HTTP] Health check server listening on port ${PORT}`);
-});
+    if (webhookPath && req.method === 'POST' && req.url === webhookPath) {
+      let update;
+      try {
+        update = await readJsonBody(req);
+      } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid body' }));
+        return;
+      }
 
-console.log('='.repeat(60));
-console.log('Promo Attendant Service - Standalone');
-console.log('='.repeat(60));
-console.log('Features:');
-console.log('  - Auto-updating messages (edits every 10 minutes)');
-console.log('  - Scheduled reposts (1-24 hours configurable)');
-console.log('  - DM mode and Group/Channel mode');
-console.log('  - Buttons: + GROUP, + CHANNEL, + DM, MORE INFO');
-console.log('  - Admin panel for managing rooms');
-console.log('='.repeat(60));
+      const status = handleWebhookUpdate(update, req.headers['x-telegram-bot-api-secret-token']);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(status === 200 ? { ok: true } : { error: http.STATUS_CODES[status] }));
+    } else if (req.url.startsWith('/api/')) {
+      let body = null;
+      if (['POST', 'PATCH', 'PUT'].includes(req.method)) {
+        try {
+          body = await readJsonBody(req);
+        } catch (err) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+          return;
+        }
+      }
+
+      const result = await handleAdminApiRequest({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body
+      });
+      if (result.status === 204) {
+        res.writeHead(204);
+        res.end();
+      } else {
+        res.writeHead(result.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result.body));
+      }
+    } else if (req.url === '/metrics') {
+      const metrics = await getMetrics();
+      res.writeHead(200, { 'Content-Type': metrics.contentType });
+      res.end(metrics.body);
+    } else if (req.url === '/health/live' || req.url === '/') {
+      // Liveness: the process is up and serving HTTP
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: 'ok',
+        service: 'promo-attendant',
+        uptime: process.uptime()
+      }));
+    } else if (req.url === '/health' || req.url === '/health/ready') {
+      // Readiness: the bot can actually do its job (503 so the platform restarts us)
+      const health = await getHealth();
+      res.writeHead(health.ready ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: health.ready ? 'ok' : 'unhealthy',
+        service: 'promo-attendant',
+        role: health.role,
+        uptime: process.uptime(),
+        checks: health.checks
+      }));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not Found' }));
+    }
+  } catch (err) {
+    // A failing health or metrics probe must not take the process down
+    console.error(`[HTTP] ${req.method} ${req.url} failed:`, err.message);
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+    }
+    res.end(JSON.stringify({ error: 'Internal Server Error' }));
+  }
+});
 
 async function startService() {
   console.log('\n[PROMO-ATTENDANT] Initializing...');
@@ -56,18 +146,43 @@ async function startService() {
   }
 }
 
-// Start the service
-startService().catch(console.error);
+// Start the service when run directly (tests require the server without starting it)
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`[HTTP] Health check server listening on port ${PORT}`);
+  });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n[SHUTDOWN] Received SIGINT, shutting down...');
-  await shutdownPromoAttendant();
-  process.exit(0);
-});
+  console.log('='.repeat(60));
+  console.log('Promo Attendant Service - Standalone');
+  console.log('='.repeat(60));
+  console.log('Features:');
+  console.log('  - Auto-updating messages (edits every 10 minutes)');
+  console.log('  - Database-backed scheduler (survives restarts, safe across replicas)');
+  console.log('  - Leader election: only one replica polls and schedules posts');
+  console.log('  - Outbound send queue (Telegram rate limits, retry_after, priorities)');
+  console.log('  - Scheduled reposts (1-24 hours configurable)');
+  console.log('  - DM mode and Group/Channel mode');
+  console.log('  - Polling (default) or webhook delivery (PROMO_ATTENDANT_WEBHOOK_URL)');
+  console.log('  - Buttons: + GROUP, + CHANNEL, + DM, MORE INFO');
+  console.log('  - Admin panel for managing rooms');
+  console.log('  - REST admin API under /api (bearer tokens, role-checked, audited)');
+  console.log('  - Prometheus metrics at /metrics (deliveries, failures, latency)');
+  console.log('='.repeat(60));
 
-process.on('SIGTERM', async () => {
-  console.log('\n[SHUTDOWN] Received SIGTERM, shutting down...');
-  await shutdownPromoAttendant();
-  process.exit(0);
-});
+  startService().catch(console.error);
+
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('\n[SHUTDOWN] Received SIGINT, shutting down...');
+    await shutdownPromoAttendant();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    console.log('\n[SHUTDOWN] Received SIGTERM, shutting down...');
+    await shutdownPromoAttendant();
+    process.exit(0);
+  });
+}
+
+module.exports = { server };
@@ -0,0 +1,359 @@
+/**
+ * REST admin API for promo-attendant
+ * JSON endpoints for everything the Telegram admin panel does, calling the
+ * same functions in promoAttendant.js (so changes are audited the same way).
+ *
+ * Auth: Authorization: Bearer <token>, where PROMO_ATTENDANT_API_TOKENS is a
+ * comma-separated list of UserID:token pairs. Each token acts as that Telegram
+ * user and gets their admin role (viewer / moderator / owner).
+ *
+ * Routes:
+ *   GET    /api/stats                            viewer
+ *   GET    /api/rooms                            moderator
+ *   GET    /api/manual-entries[?type=zoom]       moderator
+ *   POST   /api/manual-entries                   moderator
+ *   GET    /api/manual-entries/:id               moderator
+ *   PATCH  /api/manual-entries/:id               moderator
+ *   DELETE /api/manual-entries/:id               moderator
+ *   GET    /api/hidden-meetings                  moderator
+ *   PUT    /api/hidden-meetings/:meetingId       moderator
+ *   DELETE /api/hidden-meetings/:meetingId       moderator
+ *   GET    /api/pinned-rooms                     moderator
+ *   PUT    /api/pinned-rooms/:kind/:refId        moderator  (kind: group or entry)
+ *   DELETE /api/pinned-rooms/:kind/:refId        moderator
+ *   GET    /api/subscriptions                    owner
+ *   POST   /api/subscriptions                    owner
+ *   GET    /api/subscriptions/:chatId            owner
+ *   PATCH  /api/subscriptions/:chatId            owner
+ *   DELETE /api/subscriptions/:chatId            owner
+ *   POST   /api/subscriptions/:chatId/post       owner
+ */
+
+const crypto = require('crypto');
+const pa = require('./promoAttendant');
+const { parseWindow } = require('./timeWindows');
+
+const CHAT_TYPES = ['private', 'group', 'supergroup', 'channel'];
+const PIN_KINDS = ['group', 'entry'];
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/** A handler result with a status other than 200 */
+class ApiResponse {
+  constructor(status, body = null) {
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Resolve the bearer token to the Telegram user it acts as (or null)
+ */
+function authenticate(headers) {
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  if (!match) return null;
+
+  const presented = Buffer.from(match[1].trim());
+  const entries = (process.env.PROMO_ATTENDANT_API_TOKENS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    if (separator < 1) continue;
+
+    const userId = entry.substring(0, separator);
+    const token = Buffer.from(entry.substring(separator + 1));
+    if (token.length === presented.length && crypto.timingSafeEqual(token, presented)) {
+      return userId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode a percent-encoded path parameter (malformed encoding is the client's fault)
+ */
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    throw new ApiError(400, 'Malformed path');
+  }
+}
+
+/**
+ * Parse a path parameter that must be an integer (chat IDs may be negative)
+ */
+function parseIntParam(value, name) {
+  if (!/^-?\d+$/.test(value)) {
+    throw new ApiError(400, `Invalid ${name}`);
+  }
+  return parseInt(value);
+}
+
+/**
+ * Validate and normalize one manual entry field with the admin panel's rules
+ */
+function parseEntryField(field, text) {
+  const { value, error } = pa.parseEntryFieldInput(field, text);
+  if (error) throw new ApiError(400, `${field}: ${error}`);
+  return value;
+}
+
+/**
+ * Validate manual entry fields from a request body
+ */
+function validateManualEntryFields(body, { creating }) {
+  const updates = {};
+
+  if (creating || body.name !== undefined) {
+    if (typeof body.name !== 'string') {
+      throw new ApiError(400, 'name must be a string');
+    }
+    updates.name = parseEntryField('name', body.name);
+  }
+  if (body.meeting_id !== undefined && body.meeting_id !== null) {
+    if (typeof body.meeting_id !== 'string' && typeof body.meeting_id !== 'number') {
+      throw new ApiError(400, 'meeting_id must be a string or number');
+    }
+    updates.meeting_id = parseEntryField('meeting_id', String(body.meeting_id));
+  }
+  if (body.invite_link !== undefined && body.invite_link !== null) {
+    if (typeof body.invite_link !== 'string') {
+      throw new ApiError(400, 'invite_link must be a string');
+    }
+    updates.invite_link = parseEntryField('invite_link', body.invite_link);
+  }
+  if (body.participant_count !== undefined) {
+    if (!Number.isInteger(body.participant_count)) {
+      throw new ApiError(400, 'participant_count must be an integer');
+    }
+    updates.participant_count = parseEntryField('participant_count', String(body.participant_count));
+  }
+  if (body.expires_hours !== undefined) {
+    if (body.expires_hours !== null && (!Number.isInteger(body.expires_hours) || body.expires_hours < 1)) {
+      throw new ApiError(400, 'expires_hours must be a positive integer or null (permanent)');
+    }
+    updates.expires_hours = body.expires_hours;
+  }
+  if (body.windows !== undefined) {
+    // Text form as typed in the admin panel, e.g. "Fri 20:00-02:00 America/New_York"
+    if (body.windows !== null && !Array.isArray(body.windows)) {
+      throw new ApiError(400, 'windows must be an array of strings or null');
+    }
+    updates.windows = (body.windows || []).map(text => {
+      const { window, error } = parseWindow(String(text));
+      if (error) throw new ApiError(400, `windows: ${error}`);
+      return window;
+    });
+  }
+  if (body.is_hidden !== undefined) {
+    if (typeof body.is_hidden !== 'boolean') {
+      throw new ApiError(400, 'is_hidden must be a boolean');
+    }
+    updates.is_hidden = body.is_hidden;
+  }
+
+  return updates;
+}
+
+/**
+ * Route table: [method, pattern, role, handler(params, body, actorId, searchParams)]
+ */
+const routes = [
+  ['GET', /^\/api\/stats$/, 'viewer', async () => pa.getSubscriptionStats()],
+
+  ['GET', /^\/api\/rooms$/, 'moderator', async () => pa.getActiveRooms(60)],
+
+  ['GET', /^\/api\/manual-entries$/, 'moderator', async (params, body, actorId, searchParams) => {
+    const type = searchParams.get('type');
+    if (type && !['zoom', 'telegram'].includes(type)) {
+      throw new ApiError(400, 'type must be zoom or telegram');
+    }
+    return pa.getAllManualEntries(type);
+  }],
+
+  ['POST', /^\/api\/manual-entries$/, 'moderator', async (params, body, actorId) => {
+    if (!['zoom', 'telegram'].includes(body.entry_type)) {
+      throw new ApiError(400, 'entry_type must be zoom or telegram');
+    }
+    const fields = validateManualEntryFields(body, { creating: true });
+    if (body.entry_type === 'zoom' && !fields.meeting_id) {
+      throw new ApiError(400, 'meeting_id is required for zoom entries');
+    }
+    if (body.entry_type === 'telegram' && !fields.invite_link) {
+      throw new ApiError(400, 'invite_link is required for telegram entries');
+    }
+
+    let entry = await pa.addManualEntry(body.entry_type, fields.name, fields.meeting_id || null,
+      fields.invite_link || null, fields.expires_hours || null, actorId);
+    if (fields.participant_count !== undefined || fields.is_hidden !== undefined || fields.windows !== undefined) {
+      entry = await pa.updateManualEntry(entry.id, {
+        participant_count: fields.participant_count,
+        is_hidden: fields.is_hidden,
+        windows: fields.windows
+      }, actorId);
+    }
+    return new ApiResponse(201, entry);
+  }],
+
+  ['GET', /^\/api\/manual-entries\/([^/]+)$/, 'moderator', async ([id]) => {
+    const entry = await pa.getManualEntry(parseIntParam(id, 'id'));
+    if (!entry) throw new ApiError(404, 'Manual entry not found');
+    return entry;
+  }],
+
+  ['PATCH', /^\/api\/manual-entries\/([^/]+)$/, 'moderator', async ([id], body, actorId) => {
+    const updates = validateManualEntryFields(body, { creating: false });
+    const entry = await pa.updateManualEntry(parseIntParam(id, 'id'), updates, actorId);
+    if (!entry) throw new ApiError(404, 'Manual entry not found');
+    return entry;
+  }],
+
+  ['DELETE', /^\/api\/manual-entries\/([^/]+)$/, 'moderator', async ([id], body, actorId) => {
+    const entryId = parseIntParam(id, 'id');
+    if (!(await pa.getManualEntry(entryId))) throw new ApiError(404, 'Manual entry not found');
+    await pa.deleteManualEntry(entryId, actorId);
+    return new ApiResponse(204);
+  }],
+
+  ['GET', /^\/api\/hidden-meetings$/, 'moderator', async () => pa.getHiddenMeetings()],
+
+  ['PUT', /^\/api\/hidden-meetings\/([^/]+)$/, 'moderator', async ([meetingId], body, actorId) => {
+    await pa.hideMeeting(meetingId, actorId);
+    return { meeting_id: meetingId, hidden: true };
+  }],
+
+  ['DELETE', /^\/api\/hidden-meetings\/([^/]+)$/, 'moderator', async ([meetingId], body, actorId) => {
+    await pa.unhideMeeting(meetingId, actorId);
+    return new ApiResponse(204);
+  }],
+
+  ['GET', /^\/api\/pinned-rooms$/, 'moderator', async () => pa.getPinnedRooms()],
+
+  ['PUT', /^\/api\/pinned-rooms\/([^/]+)\/([^/]+)$/, 'moderator', async ([kind, refId], body, actorId) => {
+    if (!PIN_KINDS.includes(kind)) throw new ApiError(400, 'kind must be group or entry');
+    const id = parseIntParam(refId, 'refId');
+    if (kind === 'entry' && !(await pa.getManualEntry(id))) throw new ApiError(404, 'Manual entry not found');
+    await pa.pinRoom(kind, id, actorId);
+    return { kind, ref_id: id, pinned: true };
+  }],
+
+  ['DELETE', /^\/api\/pinned-rooms\/([^/]+)\/([^/]+)$/, 'moderator', async ([kind, refId], body, actorId) => {
+    if (!PIN_KINDS.includes(kind)) throw new ApiError(400, 'kind must be group or entry');
+    await pa.unpinRoom(kind, parseIntParam(refId, 'refId'), actorId);
+    return new ApiResponse(204);
+  }],
+
+  ['GET', /^\/api\/subscriptions$/, 'owner', async () => pa.getAllSubscriptions()],
+
+  ['POST', /^\/api\/subscriptions$/, 'owner', async (params, body, actorId) => {
+    const chatId = parseIntParam(String(body.chat_id ?? ''), 'chat_id');
+    const chatType = CHAT_TYPES.includes(body.chat_type) ? body.chat_type : 'unknown';
+    await pa.enrollChat(chatId, chatType, actorId);
+    const msg = body.post === false ? null : await pa.postMessage(chatId);
+    return new ApiResponse(201, { ...(await pa.getSubscription(chatId)), posted: !!msg });
+  }],
+
+  ['GET', /^\/api\/subscriptions\/([^/]+)$/, 'owner', async ([chatId]) => {
+    const sub = await pa.getSubscription(parseIntParam(chatId, 'chatId'));
+    if (!sub) throw new ApiError(404, 'Subscription not found');
+    return sub;
+  }],
+
+  ['PATCH', /^\/api\/subscriptions\/([^/]+)$/, 'owner', async ([chatIdParam], body, actorId) => {
+    const chatId = parseIntParam(chatIdParam, 'chatId');
+    const sub = await pa.getSubscription(chatId);
+    if (!sub) throw new ApiError(404, 'Subscription not found');
+
+    if (body.repost_interval_hours !== undefined && !pa.INTERVALS.includes(body.repost_interval_hours)) {
+      throw new ApiError(400, `repost_interval_hours must be one of ${pa.INTERVALS.join(', ')}`);
+    }
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+      throw new ApiError(400, 'enabled must be a boolean');
+    }
+    // post_schedule: cron expression(s) in the chat's timezone, null to go back to the interval
+    let schedule = null;
+    if (body.post_schedule !== undefined && body.post_schedule !== null) {
+      if (typeof body.post_schedule !== 'string') {
+        throw new ApiError(400, 'post_schedule must be a string or null');
+      }
+      const { schedule: parsed, error } = pa.validatePostSchedule(body.post_schedule, sub);
+      if (error) throw new ApiError(400, `post_schedule: ${error}`);
+      schedule = parsed;
+    }
+
+    // Setting the interval drops the schedule, so it goes first
+    if (body.repost_interval_hours !== undefined) {
+      await pa.setRepostInterval(chatId, body.repost_interval_hours, actorId);
+    }
+    if (body.post_schedule !== undefined) {
+      await pa.setPostSchedule(chatId, schedule, actorId);
+    }
+    if (body.enabled !== undefined) {
+      await pa.setChatEnabled(chatId, body.enabled, actorId);
+    }
+    return pa.getSubscription(chatId);
+  }],
+
+  ['DELETE', /^\/api\/subscriptions\/([^/]+)$/, 'owner', async ([chatIdParam], body, actorId) => {
+    const chatId = parseIntParam(chatIdParam, 'chatId');
+    if (!(await pa.getSubscription(chatId))) throw new ApiError(404, 'Subscription not found');
+    await pa.unenrollChat(chatId, actorId);
+    return new ApiResponse(204);
+  }],
+
+  ['POST', /^\/api\/subscriptions\/([^/]+)\/post$/, 'owner', async ([chatIdParam], body, actorId) => {
+    const chatId = parseIntParam(chatIdParam, 'chatId');
+    if (!(await pa.getSubscription(chatId))) throw new ApiError(404, 'Subscription not found');
+    const msg = await pa.forcePost(chatId, actorId);
+    if (!msg) throw new ApiError(502, 'Post failed (see logs)');
+    return { posted: true, message_id: msg.message_id };
+  }]
+];
+
+/**
+ * Handle a request to /api/*
+ * @param {Object} request - { method, url, headers, body } with body already parsed
+ * @returns {Promise<{status: number, body: *}>}
+ */
+async function handleAdminApiRequest({ method, url, headers, body }) {
+  try {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const pathMatches = routes.filter(([, pattern]) => pattern.test(pathname));
+    if (pathMatches.length === 0) throw new ApiError(404, 'Not Found');
+
+    const route = pathMatches.find(([routeMethod]) => routeMethod === method);
+    if (!route) throw new ApiError(405, 'Method Not Allowed');
+
+    const actorId = authenticate(headers);
+    if (!actorId) throw new ApiError(401, 'Unauthorized');
+
+    const [, pattern, requiredRole, handler] = route;
+    if (!pa.roleAtLeast(await pa.getAdminRole(actorId), requiredRole)) {
+      throw new ApiError(403, `Requires ${requiredRole} role`);
+    }
+
+    const params = pattern.exec(pathname).slice(1).map(decodePathParam);
+    const result = await handler(params, body || {}, actorId, searchParams);
+
+    if (result instanceof ApiResponse) {
+      return { status: result.status, body: result.body };
+    }
+    return { status: 200, body: result };
+  } catch (err) {
+    if (err instanceof ApiError) {
+      return { status: err.status, body: { error: err.message } };
+    }
+    console.error('[AdminAPI] Request failed:', err.message);
+    return { status: 500, body: { error: 'Internal Server Error' } };
+  }
+}
+
+module.exports = {
+  handleAdminApiRequest
+};
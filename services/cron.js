@@ -0,0 +1,247 @@
+/**
+ * Cron-style posting schedules
+ * A schedule is one or more 5-field cron expressions separated by ";", evaluated
+ * in the chat's timezone:
+ *   minute hour day-of-month month day-of-week
+ * Fields take *, numbers, lists (1,15), ranges (9-17), steps (*\/3, 8-20/4) and
+ * names (Jan-Dec, Sun-Sat; 7 is also Sunday). A weekday range may wrap (Fri-Sun).
+ * As in cron, when both day fields are restricted either one matching is enough;
+ * if either starts with * (e.g. *\/2), both must match.
+ *
+ *   0 20 * * *; 30 23 * * *   20:00 and 23:30 daily
+ *   0 *\/3 * * Fri-Sun         every 3h on Fri-Sun only
+ *   0 18 * * Mon-Fri          18:00 on weekdays
+ */
+
+const { DAY_NAMES, getZonedParts, zonedTimeToDate } = require('./timeWindows');
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MAX_EXPRESSIONS = 5;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+/**
+ * A single field value: a number or (for month/weekday) a name
+ * @returns {number} NaN if invalid
+ */
+function parseValue(text, field) {
+  if (/^\d+$/.test(text)) return parseInt(text);
+  const index = (field.names || []).findIndex(name => name.toLowerCase() === text.toLowerCase().slice(0, 3));
+  return index >= 0 && text.length >= 3 ? index + field.offset : NaN;
+}
+
+/**
+ * Expand one field to its sorted values
+ * @returns {number[]|null}
+ */
+function parseField(text, field) {
+  const values = new Set();
+  const isWeekday = field.max === 7;
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : (/^\d+$/.test(stepText) ? parseInt(stepText) : NaN);
+    if (extra !== undefined || !(step >= 1)) return null;
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = isWeekday ? 6 : field.max;
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(value => parseValue(value, field));
+    } else {
+      from = parseValue(range, field);
+      // "5/15" runs from 5 to the end of the field
+      to = stepText === undefined ? from : field.max;
+    }
+    if (!(from >= field.min && from <= field.max && to >= field.min && to <= field.max)) return null;
+
+    if (from <= to) {
+      for (let value = from; value <= to; value += step) values.add(value);
+    } else if (isWeekday) {
+      // Fri-Sun wraps past Saturday
+      for (let i = 0; i <= (to + 7 - from) % 7; i += step) values.add((from + i) % 7);
+    } else {
+      return null;
+    }
+  }
+
+  // 7 is another name for Sunday
+  if (isWeekday && values.delete(7)) values.add(0);
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse one 5-field expression
+ * @returns {{expression: Object|null, error: string|null}}
+ */
+function parseExpression(text) {
+  const tokens = text.trim().split(/\s+/);
+  if (tokens.length !== 5) {
+    return { expression: null, error: `"${text.trim()}" needs 5 fields: minute hour day month weekday` };
+  }
+
+  const values = [];
+  for (let i = 0; i < FIELDS.length; i++) {
+    const parsed = parseField(tokens[i], FIELDS[i]);
+    if (!parsed) {
+      return { expression: null, error: `"${tokens[i]}" is not a valid ${FIELDS[i].name}` };
+    }
+    values.push(parsed);
+  }
+
+  const [minutes, hours, days, months, weekdays] = values;
+  return {
+    expression: {
+      text: tokens.join(' '),
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      // Like cron, a field starting with * counts as unrestricted
+      anyDay: tokens[2].startsWith('*'),
+      anyWeekday: tokens[4].startsWith('*')
+    },
+    error: null
+  };
+}
+
+/**
+ * Parse a schedule, e.g. "0 20 * * *; 30 23 * * *"
+ * @returns {{schedule: Object[]|null, error: string|null}}
+ */
+function parseSchedule(text) {
+  const parts = String(text || '').split(';').filter(part => part.trim());
+  if (parts.length === 0) {
+    return { schedule: null, error: 'Use the format: 0 20 * * * (minute hour day month weekday)' };
+  }
+  if (parts.length > MAX_EXPRESSIONS) {
+    return { schedule: null, error: `At most ${MAX_EXPRESSIONS} expressions` };
+  }
+
+  const schedule = [];
+  for (const part of parts) {
+    const { expression, error } = parseExpression(part);
+    if (error) return { schedule: null, error };
+    schedule.push(expression);
+  }
+
+  if (!getNextRun(schedule, 'UTC')) {
+    return { schedule: null, error: 'This schedule never runs' };
+  }
+  return { schedule, error: null };
+}
+
+/**
+ * Format a schedule back to its (normalized) text form
+ */
+function formatSchedule(schedule) {
+  return schedule.map(expression => expression.text).join('; ');
+}
+
+/**
+ * Whether an expression runs on a calendar day
+ */
+function dayMatches(expression, day, month, weekday) {
+  if (!expression.months.includes(month)) return false;
+
+  const dayOk = expression.days.includes(day);
+  const weekdayOk = expression.weekdays.includes(weekday);
+  if (expression.anyDay || expression.anyWeekday) return dayOk && weekdayOk;
+  return dayOk || weekdayOk;
+}
+
+/**
+ * Next run of a single expression after a moment
+ */
+function getExpressionRun(expression, tz, after) {
+  const local = getZonedParts(after, tz);
+
+  // Four years and a day covers even Feb 29
+  for (let offset = 0; offset <= 1461; offset++) {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const [year, month, date] = [day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate()];
+    if (!dayMatches(expression, date, month, day.getUTCDay())) continue;
+
+    for (const hour of expression.hours) {
+      if (offset === 0 && hour < local.hour) continue;
+      for (const minute of expression.minutes) {
+        const at = zonedTimeToDate(year, month, date, hour, minute, tz);
+        if (at > after) return at;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Next time a schedule runs after a moment
+ * @returns {Date|null} null if it never runs
+ */
+function getNextRun(schedule, tz, after = new Date()) {
+  let next = null;
+  for (const expression of schedule) {
+    const at = getExpressionRun(expression, tz, after);
+    if (at && (!next || at < next)) {
+      next = at;
+    }
+  }
+  return next;
+}
+
+/**
+ * Shortest gap in minutes between runs over the year after a moment
+ * (Infinity if it runs at most once). Walks days rather than runs, so monthly
+ * and yearly schedules are covered without stepping through every run.
+ */
+function getShortestGap(schedule, tz, from = new Date()) {
+  const local = getZonedParts(from, tz);
+  let shortest = Infinity;
+  let previous = null;
+
+  // A year, leap years included
+  for (let offset = 0; offset <= 366; offset++) {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const [year, month, date] = [day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate()];
+
+    const times = new Set(); // Minutes since midnight
+    for (const expression of schedule) {
+      if (!dayMatches(expression, date, month, day.getUTCDay())) continue;
+      for (const hour of expression.hours) {
+        for (const minute of expression.minutes) times.add(hour * 60 + minute);
+      }
+    }
+    if (times.size === 0) continue;
+
+    // Off DST-change days every run shares the offset at midnight
+    const midnight = zonedTimeToDate(year, month, date, 0, 0, tz).getTime();
+    const lastMinute = zonedTimeToDate(year, month, date, 23, 59, tz).getTime();
+    const steady = lastMinute - midnight === (24 * 60 - 1) * 60000;
+
+    for (const minutes of [...times].sort((a, b) => a - b)) {
+      const at = steady
+        ? midnight + minutes * 60000
+        : zonedTimeToDate(year, month, date, Math.floor(minutes / 60), minutes % 60, tz).getTime();
+      // Like getNextRun, skip times that don't come later (the hour a DST change skips)
+      if (at <= from.getTime() || (previous !== null && at <= previous)) continue;
+      if (previous !== null) shortest = Math.min(shortest, (at - previous) / 60000);
+      previous = at;
+    }
+  }
+  return shortest;
+}
+
+module.exports = {
+  parseSchedule,
+  formatSchedule,
+  getNextRun,
+  getShortestGap
+};
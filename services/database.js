@@ -1,6 +1,6 @@
 /**
  * Database service for promo-attendant
- * Minimal version - only includes query function
+ * Minimal version - query function plus dedicated clients for session state
  */
 
 const { Pool } = require('pg');
@@ -13,6 +13,10 @@ function getPool() {
       connectionString: process.env.DATABASE_URL,
       ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
     });
+    // Idle clients can lose their connection (e.g. Postgres restart); don't crash the process
+    pool.on('error', (err) => {
+      console.error('[Database] Idle client error:', err.message);
+    });
   }
   return pool;
 }
@@ -29,6 +33,15 @@ async function query(text, params) {
   }
 }
 
+/**
+ * Check out a dedicated client (for session-level state such as advisory locks)
+ * Caller must call client.release() when done
+ */
+async function getClient() {
+  return getPool().connect();
+}
+
 module.exports = {
-  query
+  query,
+  getClient
 };
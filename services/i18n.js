@@ -0,0 +1,1034 @@
+/**
+ * Message catalog for user-facing text
+ * Chats store a language code; anything missing from a language falls back
+ * to English. Admin screens are English-only and don't go through here.
+ *
+ * Values may contain {name} placeholders, filled from the params object.
+ * A few values are arrays (numbered steps, bullet lists); those are returned as-is.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Language code -> name shown in the picker (in its own language)
+const LANGUAGES = {
+  en: 'English',
+  es: 'Español',
+  pt: 'Português',
+  fr: 'Français'
+};
+
+const catalog = {
+  en: {
+    // Room embed
+    'embed.zoom_title': 'ZOOM ROOMS',
+    'embed.zoom_subtitle': 'DIRECTORY',
+    'embed.no_rooms': 'No active rooms',
+    'embed.telegram_title': 'TELEGRAM',
+    'embed.telegram_subtitle': 'Live video chat',
+    'embed.no_chats': 'No active chats',
+    'embed.page': 'Page {page}/{count}',
+    'room.fallback_name': 'Room {number}',
+    'room.id': 'Room ID',
+    'room.participants': '{count} Participants',
+    'room.join': 'Join Room',
+    'room.join_all': 'Join',
+    'room.host': 'Host {name}',
+    'room.last_seen': 'Last seen {age}',
+    'room.table_room': 'ROOM',
+    'group.join': 'Join Group',
+    'age.now': 'just now',
+    'age.minutes': '{minutes}m ago',
+    'age.hours': '{hours}h {minutes}m ago',
+
+    // Main keyboard
+    'btn.add_group': '+ GROUP',
+    'btn.more_info': 'MORE INFO',
+    'btn.add_channel': '+ CHANNEL',
+    'btn.refresh': 'Refresh',
+    'btn.view_list': 'View List',
+    'btn.enable_dm': '+ Direct Message',
+    'btn.settings': 'Settings',
+    'btn.back': '« Back',
+    'btn.reset': 'Reset',
+    'btn.watches': '🔔 Watches',
+
+    // Settings
+    'settings.title': 'SETTINGS',
+    'settings.status': 'Status',
+    'settings.on': 'ON',
+    'settings.off': 'OFF',
+    'settings.repost': 'Repost: every <b>{hours}h</b>',
+    'settings.filters': 'Filters',
+    'settings.layout': 'Layout',
+    'settings.language': 'Language',
+    'settings.sort': 'Sort',
+    'settings.quiet': 'Quiet Hours',
+    'settings.schedule': 'Schedule',
+    'settings.next_post': 'Next post',
+    'settings.select': 'Select an option below',
+    'settings.enable': 'Enable',
+    'settings.disable': 'Disable',
+    'settings.content_filters': 'Content Filters',
+    'settings.branding': 'Branding',
+
+    // Confirmations and button answers
+    'confirm.subscribed': '✅ Subscribed',
+    'confirm.enabled': '✅ Enabled',
+    'confirm.too_small': '❌ This bot can only be added to groups/channels with 100+ members.',
+    'confirm.cancelled': '✖ Cancelled',
+    'answer.refreshed': 'Refreshed!',
+    'answer.admins_only': 'Sorry, only chat admins can change these settings.',
+    'answer.page_wait': 'Someone just changed the page, try again in a moment.',
+    'answer.updates_enabled': 'Updates enabled!',
+    'answer.updates_disabled': 'Updates disabled',
+    'answer.interval_set': 'Interval set to {hours}h',
+    'answer.dm_enabled': 'DM updates enabled!',
+    'answer.layout_set': 'Layout: {layout}',
+    'answer.language_set': 'Language: {language}',
+    'answer.sort_set': 'Sort: {sort}',
+    'answer.schedule_set': 'Schedule: {schedule}',
+
+    // Content filters
+    'filters.no_zoom': 'no Zoom',
+    'filters.no_telegram': 'no Telegram',
+    'filters.min': '{count}+ participants',
+    'filters.only_selected': 'only {count} selected',
+    'filters.hidden': '{count} hidden',
+    'filters.all': 'all rooms',
+    'filters.title': 'CONTENT FILTERS',
+    'filters.showing': 'Showing',
+    'filters.selection': 'Room selection',
+    'filters.mode_include': 'show only selected',
+    'filters.mode_exclude': 'hide selected',
+    'filters.min_note': 'Min participants applies to live Zoom rooms.',
+    'filters.zoom_rooms': 'Zoom rooms',
+    'filters.telegram': 'Telegram',
+    'filters.any': 'Any',
+    'filters.mode': 'Mode: {mode}',
+    'filters.select_rooms': 'Select rooms',
+    'filters.rooms_title': 'SELECT ROOMS',
+    'filters.legend': '✅ shown · 🚫 hidden',
+    'filters.tap': 'Tap a room to switch it.',
+
+    // Layouts
+    'layout.title': 'LAYOUT',
+    'layout.note': 'Applies from the next refresh',
+    'layout.classic': 'Classic',
+    'layout.classic_description': 'Room cards with ID, participants and join link',
+    'layout.compact': 'Compact',
+    'layout.compact_description': 'One line per room, best for many rooms or narrow screens',
+    'layout.detailed': 'Detailed',
+    'layout.detailed_description': 'Classic cards plus host and last-seen time',
+    'layout.table': 'Table',
+    'layout.table_description': 'Monospace table of rooms, IDs and counts',
+
+    // Sort order
+    'sort.title': 'SORT ORDER',
+    'sort.note': 'Pinned rooms always stay on top',
+    'sort.order': 'Default',
+    'sort.order_description': 'The order set by the admins',
+    'sort.participants': 'Busiest',
+    'sort.participants_description': 'Most participants first',
+    'sort.name': 'A–Z',
+    'sort.name_description': 'Alphabetical by room name',
+    'sort.recent': 'Recent',
+    'sort.recent_description': 'Most recently active first',
+
+    // Quiet hours
+    'quiet.title': 'QUIET HOURS',
+    'quiet.off': 'off',
+    'quiet.none': 'No quiet hours set.',
+    'quiet.timezone': 'Timezone',
+    'quiet.local_time': 'now {time}',
+    'quiet.mode': 'During quiet hours',
+    'quiet.mode_defer': 'delay reposts until they end',
+    'quiet.mode_skip': 'skip reposts',
+    'quiet.switch_defer': 'Delay instead of skipping',
+    'quiet.switch_skip': 'Skip instead of delaying',
+    'quiet.active': '🌙 Quiet now, until {time}',
+    'quiet.note': 'Reposts due in a quiet window wait for it to end (or are skipped). The posted list keeps updating.',
+    'quiet.add': '➕ Add Window',
+    'quiet.set_timezone': '🌐 Timezone',
+    'quiet.prompt_tz': 'Send the timezone as an IANA name, e.g. <code>America/New_York</code> or <code>Europe/London</code>, or <code>-</code> for the default ({tz}).',
+    'quiet.prompt_window': 'Send a quiet window in {tz} time, e.g. <code>daily 23:00-07:00</code> or <code>Mon-Fri 09:00-17:00</code>.',
+    'quiet.err_timezone': 'Unknown timezone. Use a name like <code>America/New_York</code>.',
+    'quiet.err_window': 'Use the format <code>daily 23:00-07:00</code> or <code>Mon-Fri 09:00-17:00</code>.',
+    'quiet.updated': '✅ Quiet hours updated.',
+    'quiet.not_allowed': '❌ You can no longer change these quiet hours.',
+
+    // Posting schedule
+    'schedule.title': 'POSTING SCHEDULE',
+    'schedule.current': 'Posting',
+    'schedule.interval': 'Every {hours}h',
+    'schedule.daily_20': 'Daily at 20:00',
+    'schedule.evenings': '20:00 and 23:30 daily',
+    'schedule.weekdays_18': 'Weekdays at 18:00',
+    'schedule.weekend_3h': 'Every 3h, Fri–Sun',
+    'schedule.custom': '✏️ Custom Expression',
+    'schedule.note': 'Times are in {tz} (set under Quiet Hours). Picking an interval goes back to reposting at a fixed interval.',
+    'schedule.prompt': 'Send a cron expression in {tz} time: <code>minute hour day month weekday</code>. Separate several with <code>;</code>, e.g. <code>0 20 * * *; 30 23 * * *</code> or <code>0 */3 * * Fri-Sun</code>. Send <code>-</code> to go back to the interval.',
+    'schedule.err_expression': 'Invalid schedule: {error}',
+    'schedule.updated': '✅ Posting schedule updated. Next post: <b>{next}</b>',
+    'schedule.owners_only': 'Only bot owners can set custom schedules.',
+    'schedule.not_allowed': '❌ You can no longer change this posting schedule.',
+
+    // Room watches
+    'watch.title': 'ROOM WATCHES',
+    'watch.empty': 'No watches yet.',
+    'watch.note': 'I DM you when a watched room goes live or gets busy. Tap ❌ to remove a watch.',
+    'watch.add': '➕ Add Watch',
+    'watch.pick_title': 'ADD WATCH',
+    'watch.pick_room': 'Which room should I watch?',
+    'watch.pick_threshold': 'Alert me when <b>{room}</b>…',
+    'watch.any_room': 'Any room',
+    'watch.live': 'goes live',
+    'watch.busy': 'has {count}+ people',
+    'watch.threshold_live': 'Goes live',
+    'watch.threshold_busy': '{count}+ people',
+    'watch.added': 'Watch added',
+    'watch.exists': 'You already have that watch',
+    'watch.removed': 'Watch removed',
+    'watch.limit': 'You can have up to {max} watches',
+    'watch.not_found': 'That room no longer exists',
+    'watch.dm_only': 'Watches work in a private chat with me',
+    'watch.alert_title': 'ROOM ALERT',
+    'watch.alert_live': '{room} is live',
+    'watch.alert_busy': '{room} has {count} people',
+    'watch.alert_note': 'Your watch: {watch}',
+
+    // Language picker
+    'language.title': 'LANGUAGE',
+    'language.note': 'Used for the room list and these menus',
+
+    // Text prompts sent by DM
+    'prompt.cancel_hint': '/cancel to stop.',
+    'prompt.check_dm': 'Check your DMs from me',
+    'prompt.start_dm': 'Start a private chat with @{bot} first, then try again.',
+    'prompt.retry': 'Try again, or /cancel.',
+
+    // Branding (chat scope)
+    'branding.title': 'BRANDING',
+    'branding.field_title': 'Title',
+    'branding.field_tagline': 'Tagline',
+    'branding.field_footer': 'Footer',
+    'branding.extra_buttons': 'Extra buttons',
+    'branding.default': 'default',
+    'branding.add_button': '➕ Add Button',
+    'branding.prompt_title': 'Send the new title (plain text, max {max} characters), or <code>-</code> to use the default.',
+    'branding.prompt_tagline': 'Send the new tagline (plain text, max {max} characters), or <code>-</code> to use the default.',
+    'branding.prompt_footer': 'Send the new footer (plain text, max {max} characters), or <code>-</code> to use the default.',
+    'branding.prompt_button': 'Send an extra button as <code>Label | https://example.com</code> (label max {max} characters).',
+    'branding.updated': '✅ Branding updated. It shows on the next post or refresh.',
+    'branding.not_allowed': '❌ You can no longer change this branding.',
+    'branding.err_empty': 'Text can\'t be empty.',
+    'branding.err_control': 'Line breaks and control characters aren\'t allowed.',
+    'branding.err_html': 'HTML tags aren\'t allowed, plain text only.',
+    'branding.err_length': 'Too long (max {max} characters).',
+    'branding.err_button_format': 'Use the format: Label | https://example.com',
+    'branding.err_button_url': 'Button links must be https:// or tg:// URLs (max {max} characters).',
+
+    // MORE INFO
+    'info.title': 'Promo Attendant - More Info',
+    'info.about': 'About',
+    'info.about_text': 'See Active Real Time Status of Rooms',
+    'info.related': 'Related Bots',
+    'info.directory_text': 'Add your PNP promo to this list to get more subscribers!',
+    'info.tag_group_mod': 'Group Moderator Bot',
+    'info.tag_global_mod': 'Global Moderation Bot',
+    'info.tag_1132': 'Zoom 1132 Info',
+    'info.setup': 'Setup Instructions',
+    'info.for_groups': 'For Groups:',
+    'info.groups_steps': [
+      'Tap + GROUP button',
+      'Select your group from the list',
+      'Bot will post room status embed',
+      'Configure settings as needed'
+    ],
+    'info.for_channels': 'For Channels:',
+    'info.channels_steps': [
+      'Tap + CHANNEL button',
+      'Select your channel',
+      'Bot will post updates to channel'
+    ],
+    'info.for_dms': 'For Direct Messages:',
+    'info.dms_steps': [
+      'Tap + Direct Message',
+      'Receive updates in your DMs',
+      'Adjust frequency in settings'
+    ],
+
+    // View List
+    'list.intro': 'View and subscribe to active PNP rooms and groups.',
+    'list.what': 'What is this?',
+    'list.what_text': 'The PNP Directory List Bot maintains a real-time\ndirectory of active PNP rooms and groups.',
+    'list.features': 'Features:',
+    'list.features_items': [
+      'Browse active Zoom rooms',
+      'Find Telegram video chat groups',
+      'Subscribe to room notifications',
+      'Add your own room to the directory'
+    ],
+    'list.open': 'Open PNP Directory List'
+  },
+
+  es: {
+    'embed.zoom_title': 'SALAS DE ZOOM',
+    'embed.zoom_subtitle': 'DIRECTORIO',
+    'embed.no_rooms': 'No hay salas activas',
+    'embed.telegram_title': 'TELEGRAM',
+    'embed.telegram_subtitle': 'Videochat en vivo',
+    'embed.no_chats': 'No hay chats activos',
+    'embed.page': 'Página {page}/{count}',
+    'room.fallback_name': 'Sala {number}',
+    'room.id': 'ID de sala',
+    'room.participants': '{count} participantes',
+    'room.join': 'Unirse a la sala',
+    'room.join_all': 'Unirse',
+    'room.host': 'Anfitrión {name}',
+    'room.last_seen': 'Visto {age}',
+    'room.table_room': 'SALA',
+    'group.join': 'Unirse al grupo',
+    'age.now': 'ahora mismo',
+    'age.minutes': 'hace {minutes} min',
+    'age.hours': 'hace {hours} h {minutes} min',
+
+    'btn.add_group': '+ GRUPO',
+    'btn.more_info': 'MÁS INFO',
+    'btn.add_channel': '+ CANAL',
+    'btn.refresh': 'Actualizar',
+    'btn.view_list': 'Ver lista',
+    'btn.enable_dm': '+ Mensaje directo',
+    'btn.settings': 'Ajustes',
+    'btn.back': '« Volver',
+    'btn.reset': 'Restablecer',
+    'btn.watches': '🔔 Alertas',
+
+    'settings.title': 'AJUSTES',
+    'settings.status': 'Estado',
+    'settings.on': 'ACTIVADO',
+    'settings.off': 'DESACTIVADO',
+    'settings.repost': 'Republicar: cada <b>{hours} h</b>',
+    'settings.filters': 'Filtros',
+    'settings.layout': 'Diseño',
+    'settings.language': 'Idioma',
+    'settings.sort': 'Orden',
+    'settings.quiet': 'Horas de silencio',
+    'settings.schedule': 'Horario',
+    'settings.next_post': 'Próxima publicación',
+    'settings.select': 'Elige una opción abajo',
+    'settings.enable': 'Activar',
+    'settings.disable': 'Desactivar',
+    'settings.content_filters': 'Filtros de contenido',
+    'settings.branding': 'Marca',
+
+    'confirm.subscribed': '✅ Suscrito',
+    'confirm.enabled': '✅ Activado',
+    'confirm.too_small': '❌ Este bot solo se puede añadir a grupos/canales con más de 100 miembros.',
+    'confirm.cancelled': '✖ Cancelado',
+    'answer.refreshed': '¡Actualizado!',
+    'answer.admins_only': 'Lo sentimos, solo los administradores del chat pueden cambiar estos ajustes.',
+    'answer.page_wait': 'Alguien acaba de cambiar de página, inténtalo de nuevo en un momento.',
+    'answer.updates_enabled': '¡Actualizaciones activadas!',
+    'answer.updates_disabled': 'Actualizaciones desactivadas',
+    'answer.interval_set': 'Intervalo: {hours} h',
+    'answer.dm_enabled': '¡Actualizaciones por MD activadas!',
+    'answer.layout_set': 'Diseño: {layout}',
+    'answer.language_set': 'Idioma: {language}',
+    'answer.sort_set': 'Orden: {sort}',
+    'answer.schedule_set': 'Horario: {schedule}',
+
+    'filters.no_zoom': 'sin Zoom',
+    'filters.no_telegram': 'sin Telegram',
+    'filters.min': '{count}+ participantes',
+    'filters.only_selected': 'solo {count} seleccionadas',
+    'filters.hidden': '{count} ocultas',
+    'filters.all': 'todas las salas',
+    'filters.title': 'FILTROS DE CONTENIDO',
+    'filters.showing': 'Mostrando',
+    'filters.selection': 'Selección de salas',
+    'filters.mode_include': 'mostrar solo las seleccionadas',
+    'filters.mode_exclude': 'ocultar las seleccionadas',
+    'filters.min_note': 'El mínimo de participantes se aplica a las salas de Zoom en vivo.',
+    'filters.zoom_rooms': 'Salas de Zoom',
+    'filters.telegram': 'Telegram',
+    'filters.any': 'Todas',
+    'filters.mode': 'Modo: {mode}',
+    'filters.select_rooms': 'Elegir salas',
+    'filters.rooms_title': 'ELEGIR SALAS',
+    'filters.legend': '✅ visible · 🚫 oculta',
+    'filters.tap': 'Toca una sala para cambiarla.',
+
+    'layout.title': 'DISEÑO',
+    'layout.note': 'Se aplica desde la próxima actualización',
+    'layout.classic': 'Clásico',
+    'layout.classic_description': 'Tarjetas con ID, participantes y enlace',
+    'layout.compact': 'Compacto',
+    'layout.compact_description': 'Una línea por sala, ideal para muchas salas o pantallas estrechas',
+    'layout.detailed': 'Detallado',
+    'layout.detailed_description': 'Tarjetas clásicas con anfitrión y última actividad',
+    'layout.table': 'Tabla',
+    'layout.table_description': 'Tabla monoespaciada de salas, IDs y participantes',
+
+    'sort.title': 'ORDEN',
+    'sort.note': 'Las salas fijadas siempre van arriba',
+    'sort.order': 'Predeterminado',
+    'sort.order_description': 'El orden definido por los administradores',
+    'sort.participants': 'Más llenas',
+    'sort.participants_description': 'Más participantes primero',
+    'sort.name': 'A–Z',
+    'sort.name_description': 'Alfabético por nombre de sala',
+    'sort.recent': 'Recientes',
+    'sort.recent_description': 'Actividad más reciente primero',
+
+    'quiet.title': 'HORAS DE SILENCIO',
+    'quiet.off': 'no',
+    'quiet.none': 'No hay horas de silencio.',
+    'quiet.timezone': 'Zona horaria',
+    'quiet.local_time': 'ahora {time}',
+    'quiet.mode': 'Durante el silencio',
+    'quiet.mode_defer': 'retrasar las publicaciones hasta el final',
+    'quiet.mode_skip': 'omitir las publicaciones',
+    'quiet.switch_defer': 'Retrasar en vez de omitir',
+    'quiet.switch_skip': 'Omitir en vez de retrasar',
+    'quiet.active': '🌙 En silencio hasta las {time}',
+    'quiet.note': 'Las publicaciones que caen en una franja de silencio esperan a que termine (o se omiten). La lista publicada sigue actualizándose.',
+    'quiet.add': '➕ Añadir franja',
+    'quiet.set_timezone': '🌐 Zona horaria',
+    'quiet.prompt_tz': 'Envía la zona horaria con su nombre IANA, p. ej. <code>America/Mexico_City</code> o <code>Europe/Madrid</code>, o <code>-</code> para la predeterminada ({tz}).',
+    'quiet.prompt_window': 'Envía una franja de silencio en hora de {tz}, p. ej. <code>daily 23:00-07:00</code> o <code>Mon-Fri 09:00-17:00</code>.',
+    'quiet.err_timezone': 'Zona horaria desconocida. Usa un nombre como <code>Europe/Madrid</code>.',
+    'quiet.err_window': 'Usa el formato <code>daily 23:00-07:00</code> o <code>Mon-Fri 09:00-17:00</code>.',
+    'quiet.updated': '✅ Horas de silencio actualizadas.',
+    'quiet.not_allowed': '❌ Ya no puedes cambiar estas horas de silencio.',
+
+    'schedule.title': 'HORARIO DE PUBLICACIÓN',
+    'schedule.current': 'Publicación',
+    'schedule.interval': 'Cada {hours} h',
+    'schedule.daily_20': 'Todos los días a las 20:00',
+    'schedule.evenings': '20:00 y 23:30 a diario',
+    'schedule.weekdays_18': 'Entre semana a las 18:00',
+    'schedule.weekend_3h': 'Cada 3 h, vie–dom',
+    'schedule.custom': '✏️ Expresión personalizada',
+    'schedule.note': 'Las horas están en {tz} (se cambia en Horas de silencio). Al elegir un intervalo se vuelve a republicar cada cierto tiempo.',
+    'schedule.prompt': 'Envía una expresión cron en hora de {tz}: <code>minuto hora día mes día_semana</code>. Separa varias con <code>;</code>, p. ej. <code>0 20 * * *; 30 23 * * *</code> o <code>0 */3 * * Fri-Sun</code>. Envía <code>-</code> para volver al intervalo.',
+    'schedule.err_expression': 'Horario no válido: {error}',
+    'schedule.updated': '✅ Horario de publicación actualizado. Próxima publicación: <b>{next}</b>',
+    'schedule.owners_only': 'Solo los propietarios del bot pueden definir horarios personalizados.',
+    'schedule.not_allowed': '❌ Ya no puedes cambiar este horario de publicación.',
+
+    'watch.title': 'ALERTAS DE SALAS',
+    'watch.empty': 'Aún no tienes alertas.',
+    'watch.note': 'Te escribo cuando una sala vigilada empieza o se llena. Toca ❌ para quitar una alerta.',
+    'watch.add': '➕ Añadir alerta',
+    'watch.pick_title': 'NUEVA ALERTA',
+    'watch.pick_room': '¿Qué sala vigilo?',
+    'watch.pick_threshold': 'Avísame cuando <b>{room}</b>…',
+    'watch.any_room': 'Cualquier sala',
+    'watch.live': 'empieza',
+    'watch.busy': 'tiene {count}+ personas',
+    'watch.threshold_live': 'Empiece',
+    'watch.threshold_busy': '{count}+ personas',
+    'watch.added': 'Alerta añadida',
+    'watch.exists': 'Ya tienes esa alerta',
+    'watch.removed': 'Alerta eliminada',
+    'watch.limit': 'Puedes tener hasta {max} alertas',
+    'watch.not_found': 'Esa sala ya no existe',
+    'watch.dm_only': 'Las alertas funcionan en un chat privado conmigo',
+    'watch.alert_title': 'ALERTA DE SALA',
+    'watch.alert_live': '{room} está en vivo',
+    'watch.alert_busy': '{room} tiene {count} personas',
+    'watch.alert_note': 'Tu alerta: {watch}',
+
+    'language.title': 'IDIOMA',
+    'language.note': 'Se usa en la lista de salas y en estos menús',
+
+    'prompt.cancel_hint': '/cancel para salir.',
+    'prompt.check_dm': 'Revisa tus mensajes directos',
+    'prompt.start_dm': 'Primero inicia un chat privado con @{bot} y vuelve a intentarlo.',
+    'prompt.retry': 'Inténtalo de nuevo o usa /cancel.',
+
+    'branding.title': 'MARCA',
+    'branding.field_title': 'Título',
+    'branding.field_tagline': 'Eslogan',
+    'branding.field_footer': 'Pie',
+    'branding.extra_buttons': 'Botones extra',
+    'branding.default': 'predeterminado',
+    'branding.add_button': '➕ Añadir botón',
+    'branding.prompt_title': 'Envía el nuevo título (texto sin formato, máx. {max} caracteres) o <code>-</code> para usar el predeterminado.',
+    'branding.prompt_tagline': 'Envía el nuevo eslogan (texto sin formato, máx. {max} caracteres) o <code>-</code> para usar el predeterminado.',
+    'branding.prompt_footer': 'Envía el nuevo pie (texto sin formato, máx. {max} caracteres) o <code>-</code> para usar el predeterminado.',
+    'branding.prompt_button': 'Envía un botón extra como <code>Texto | https://example.com</code> (texto máx. {max} caracteres).',
+    'branding.updated': '✅ Marca actualizada. Se verá en la próxima publicación o actualización.',
+    'branding.not_allowed': '❌ Ya no puedes cambiar esta marca.',
+    'branding.err_empty': 'El texto no puede estar vacío.',
+    'branding.err_control': 'No se permiten saltos de línea ni caracteres de control.',
+    'branding.err_html': 'No se permiten etiquetas HTML, solo texto.',
+    'branding.err_length': 'Demasiado largo (máx. {max} caracteres).',
+    'branding.err_button_format': 'Usa el formato: Texto | https://example.com',
+    'branding.err_button_url': 'Los enlaces deben ser URLs https:// o tg:// (máx. {max} caracteres).',
+
+    'info.title': 'Promo Attendant - Más info',
+    'info.about': 'Acerca de',
+    'info.about_text': 'Consulta el estado de las salas en tiempo real',
+    'info.related': 'Bots relacionados',
+    'info.directory_text': '¡Añade tu promo PNP a esta lista para conseguir más suscriptores!',
+    'info.tag_group_mod': 'Bot moderador de grupos',
+    'info.tag_global_mod': 'Bot de moderación global',
+    'info.tag_1132': 'Info sobre Zoom 1132',
+    'info.setup': 'Instrucciones',
+    'info.for_groups': 'Para grupos:',
+    'info.groups_steps': [
+      'Toca el botón + GRUPO',
+      'Elige tu grupo de la lista',
+      'El bot publicará el estado de las salas',
+      'Ajusta la configuración si hace falta'
+    ],
+    'info.for_channels': 'Para canales:',
+    'info.channels_steps': [
+      'Toca el botón + CANAL',
+      'Elige tu canal',
+      'El bot publicará actualizaciones en el canal'
+    ],
+    'info.for_dms': 'Para mensajes directos:',
+    'info.dms_steps': [
+      'Toca + Mensaje directo',
+      'Recibe actualizaciones por MD',
+      'Ajusta la frecuencia en los ajustes'
+    ],
+
+    'list.intro': 'Consulta y suscríbete a salas y grupos PNP activos.',
+    'list.what': '¿Qué es esto?',
+    'list.what_text': 'El bot PNP Directory List mantiene un directorio\nen tiempo real de salas y grupos PNP activos.',
+    'list.features': 'Funciones:',
+    'list.features_items': [
+      'Explora las salas de Zoom activas',
+      'Encuentra grupos con videochat de Telegram',
+      'Suscríbete a avisos de salas',
+      'Añade tu propia sala al directorio'
+    ],
+    'list.open': 'Abrir PNP Directory List'
+  },
+
+  pt: {
+    'embed.zoom_title': 'SALAS DO ZOOM',
+    'embed.zoom_subtitle': 'DIRETÓRIO',
+    'embed.no_rooms': 'Nenhuma sala ativa',
+    'embed.telegram_title': 'TELEGRAM',
+    'embed.telegram_subtitle': 'Videochamada ao vivo',
+    'embed.no_chats': 'Nenhum chat ativo',
+    'embed.page': 'Página {page}/{count}',
+    'room.fallback_name': 'Sala {number}',
+    'room.id': 'ID da sala',
+    'room.participants': '{count} participantes',
+    'room.join': 'Entrar na sala',
+    'room.join_all': 'Entrar',
+    'room.host': 'Anfitrião {name}',
+    'room.last_seen': 'Visto {age}',
+    'room.table_room': 'SALA',
+    'group.join': 'Entrar no grupo',
+    'age.now': 'agora mesmo',
+    'age.minutes': 'há {minutes} min',
+    'age.hours': 'há {hours} h {minutes} min',
+
+    'btn.add_group': '+ GRUPO',
+    'btn.more_info': 'MAIS INFO',
+    'btn.add_channel': '+ CANAL',
+    'btn.refresh': 'Atualizar',
+    'btn.view_list': 'Ver lista',
+    'btn.enable_dm': '+ Mensagem direta',
+    'btn.settings': 'Configurações',
+    'btn.back': '« Voltar',
+    'btn.reset': 'Redefinir',
+    'btn.watches': '🔔 Alertas',
+
+    'settings.title': 'CONFIGURAÇÕES',
+    'settings.status': 'Status',
+    'settings.on': 'LIGADO',
+    'settings.off': 'DESLIGADO',
+    'settings.repost': 'Repostar: a cada <b>{hours} h</b>',
+    'settings.filters': 'Filtros',
+    'settings.layout': 'Layout',
+    'settings.language': 'Idioma',
+    'settings.sort': 'Ordem',
+    'settings.quiet': 'Horário silencioso',
+    'settings.schedule': 'Agenda',
+    'settings.next_post': 'Próximo post',
+    'settings.select': 'Escolha uma opção abaixo',
+    'settings.enable': 'Ativar',
+    'settings.disable': 'Desativar',
+    'settings.content_filters': 'Filtros de conteúdo',
+    'settings.branding': 'Marca',
+
+    'confirm.subscribed': '✅ Inscrito',
+    'confirm.enabled': '✅ Ativado',
+    'confirm.too_small': '❌ Este bot só pode ser adicionado a grupos/canais com mais de 100 membros.',
+    'confirm.cancelled': '✖ Cancelado',
+    'answer.refreshed': 'Atualizado!',
+    'answer.admins_only': 'Desculpe, só os administradores do chat podem alterar estas configurações.',
+    'answer.page_wait': 'Alguém acabou de mudar de página, tente novamente em instantes.',
+    'answer.updates_enabled': 'Atualizações ativadas!',
+    'answer.updates_disabled': 'Atualizações desativadas',
+    'answer.interval_set': 'Intervalo: {hours} h',
+    'answer.dm_enabled': 'Atualizações por mensagem direta ativadas!',
+    'answer.layout_set': 'Layout: {layout}',
+    'answer.language_set': 'Idioma: {language}',
+    'answer.sort_set': 'Ordem: {sort}',
+    'answer.schedule_set': 'Agenda: {schedule}',
+
+    'filters.no_zoom': 'sem Zoom',
+    'filters.no_telegram': 'sem Telegram',
+    'filters.min': '{count}+ participantes',
+    'filters.only_selected': 'só {count} selecionadas',
+    'filters.hidden': '{count} ocultas',
+    'filters.all': 'todas as salas',
+    'filters.title': 'FILTROS DE CONTEÚDO',
+    'filters.showing': 'Mostrando',
+    'filters.selection': 'Seleção de salas',
+    'filters.mode_include': 'mostrar só as selecionadas',
+    'filters.mode_exclude': 'ocultar as selecionadas',
+    'filters.min_note': 'O mínimo de participantes vale para salas do Zoom ao vivo.',
+    'filters.zoom_rooms': 'Salas do Zoom',
+    'filters.telegram': 'Telegram',
+    'filters.any': 'Todas',
+    'filters.mode': 'Modo: {mode}',
+    'filters.select_rooms': 'Escolher salas',
+    'filters.rooms_title': 'ESCOLHER SALAS',
+    'filters.legend': '✅ visível · 🚫 oculta',
+    'filters.tap': 'Toque numa sala para alterá-la.',
+
+    'layout.title': 'LAYOUT',
+    'layout.note': 'Vale a partir da próxima atualização',
+    'layout.classic': 'Clássico',
+    'layout.classic_description': 'Cartões com ID, participantes e link',
+    'layout.compact': 'Compacto',
+    'layout.compact_description': 'Uma linha por sala, ideal para muitas salas ou telas estreitas',
+    'layout.detailed': 'Detalhado',
+    'layout.detailed_description': 'Cartões clássicos com anfitrião e última atividade',
+    'layout.table': 'Tabela',
+    'layout.table_description': 'Tabela monoespaçada de salas, IDs e participantes',
+
+    'sort.title': 'ORDEM',
+    'sort.note': 'Salas fixadas ficam sempre no topo',
+    'sort.order': 'Padrão',
+    'sort.order_description': 'A ordem definida pelos administradores',
+    'sort.participants': 'Mais cheias',
+    'sort.participants_description': 'Mais participantes primeiro',
+    'sort.name': 'A–Z',
+    'sort.name_description': 'Alfabética pelo nome da sala',
+    'sort.recent': 'Recentes',
+    'sort.recent_description': 'Atividade mais recente primeiro',
+
+    'quiet.title': 'HORÁRIO SILENCIOSO',
+    'quiet.off': 'desligado',
+    'quiet.none': 'Nenhum horário silencioso.',
+    'quiet.timezone': 'Fuso horário',
+    'quiet.local_time': 'agora {time}',
+    'quiet.mode': 'No horário silencioso',
+    'quiet.mode_defer': 'adiar as postagens até o fim',
+    'quiet.mode_skip': 'pular as postagens',
+    'quiet.switch_defer': 'Adiar em vez de pular',
+    'quiet.switch_skip': 'Pular em vez de adiar',
+    'quiet.active': '🌙 Em silêncio até {time}',
+    'quiet.note': 'Postagens que caem num horário silencioso esperam o fim dele (ou são puladas). A lista postada continua sendo atualizada.',
+    'quiet.add': '➕ Adicionar horário',
+    'quiet.set_timezone': '🌐 Fuso horário',
+    'quiet.prompt_tz': 'Envie o fuso horário pelo nome IANA, ex. <code>America/Sao_Paulo</code> ou <code>Europe/Lisbon</code>, ou <code>-</code> para o padrão ({tz}).',
+    'quiet.prompt_window': 'Envie um horário silencioso no horário de {tz}, ex. <code>daily 23:00-07:00</code> ou <code>Mon-Fri 09:00-17:00</code>.',
+    'quiet.err_timezone': 'Fuso horário desconhecido. Use um nome como <code>America/Sao_Paulo</code>.',
+    'quiet.err_window': 'Use o formato <code>daily 23:00-07:00</code> ou <code>Mon-Fri 09:00-17:00</code>.',
+    'quiet.updated': '✅ Horário silencioso atualizado.',
+    'quiet.not_allowed': '❌ Você não pode mais alterar este horário silencioso.',
+
+    'schedule.title': 'AGENDA DE POSTAGEM',
+    'schedule.current': 'Postagem',
+    'schedule.interval': 'A cada {hours} h',
+    'schedule.daily_20': 'Todo dia às 20:00',
+    'schedule.evenings': '20:00 e 23:30 todo dia',
+    'schedule.weekdays_18': 'Dias úteis às 18:00',
+    'schedule.weekend_3h': 'A cada 3 h, sex–dom',
+    'schedule.custom': '✏️ Expressão personalizada',
+    'schedule.note': 'Os horários estão em {tz} (altere em Horário silencioso). Escolher um intervalo volta a repostar em intervalo fixo.',
+    'schedule.prompt': 'Envie uma expressão cron no horário de {tz}: <code>minuto hora dia mês dia_semana</code>. Separe várias com <code>;</code>, ex. <code>0 20 * * *; 30 23 * * *</code> ou <code>0 */3 * * Fri-Sun</code>. Envie <code>-</code> para voltar ao intervalo.',
+    'schedule.err_expression': 'Agenda inválida: {error}',
+    'schedule.updated': '✅ Agenda de postagem atualizada. Próximo post: <b>{next}</b>',
+    'schedule.owners_only': 'Só os donos do bot podem definir agendas personalizadas.',
+    'schedule.not_allowed': '❌ Você não pode mais alterar esta agenda de postagem.',
+
+    'watch.title': 'ALERTAS DE SALAS',
+    'watch.empty': 'Nenhum alerta ainda.',
+    'watch.note': 'Eu te aviso por DM quando uma sala vigiada abre ou enche. Toque em ❌ para remover um alerta.',
+    'watch.add': '➕ Adicionar alerta',
+    'watch.pick_title': 'NOVO ALERTA',
+    'watch.pick_room': 'Qual sala devo vigiar?',
+    'watch.pick_threshold': 'Me avise quando <b>{room}</b>…',
+    'watch.any_room': 'Qualquer sala',
+    'watch.live': 'abre',
+    'watch.busy': 'tem {count}+ pessoas',
+    'watch.threshold_live': 'Abrir',
+    'watch.threshold_busy': '{count}+ pessoas',
+    'watch.added': 'Alerta adicionado',
+    'watch.exists': 'Você já tem esse alerta',
+    'watch.removed': 'Alerta removido',
+    'watch.limit': 'Você pode ter até {max} alertas',
+    'watch.not_found': 'Essa sala não existe mais',
+    'watch.dm_only': 'Os alertas funcionam em um chat privado comigo',
+    'watch.alert_title': 'ALERTA DE SALA',
+    'watch.alert_live': '{room} está ao vivo',
+    'watch.alert_busy': '{room} tem {count} pessoas',
+    'watch.alert_note': 'Seu alerta: {watch}',
+
+    'language.title': 'IDIOMA',
+    'language.note': 'Usado na lista de salas e nestes menus',
+
+    'prompt.cancel_hint': '/cancel para sair.',
+    'prompt.check_dm': 'Veja suas mensagens diretas',
+    'prompt.start_dm': 'Primeiro inicie um chat privado com @{bot} e tente de novo.',
+    'prompt.retry': 'Tente de novo ou use /cancel.',
+
+    'branding.title': 'MARCA',
+    'branding.field_title': 'Título',
+    'branding.field_tagline': 'Slogan',
+    'branding.field_footer': 'Rodapé',
+    'branding.extra_buttons': 'Botões extras',
+    'branding.default': 'padrão',
+    'branding.add_button': '➕ Adicionar botão',
+    'branding.prompt_title': 'Envie o novo título (texto simples, máx. {max} caracteres) ou <code>-</code> para usar o padrão.',
+    'branding.prompt_tagline': 'Envie o novo slogan (texto simples, máx. {max} caracteres) ou <code>-</code> para usar o padrão.',
+    'branding.prompt_footer': 'Envie o novo rodapé (texto simples, máx. {max} caracteres) ou <code>-</code> para usar o padrão.',
+    'branding.prompt_button': 'Envie um botão extra como <code>Texto | https://example.com</code> (texto máx. {max} caracteres).',
+    'branding.updated': '✅ Marca atualizada. Aparece na próxima postagem ou atualização.',
+    'branding.not_allowed': '❌ Você não pode mais alterar esta marca.',
+    'branding.err_empty': 'O texto não pode ficar vazio.',
+    'branding.err_control': 'Quebras de linha e caracteres de controle não são permitidos.',
+    'branding.err_html': 'Tags HTML não são permitidas, só texto simples.',
+    'branding.err_length': 'Muito longo (máx. {max} caracteres).',
+    'branding.err_button_format': 'Use o formato: Texto | https://example.com',
+    'branding.err_button_url': 'Os links devem ser URLs https:// ou tg:// (máx. {max} caracteres).',
+
+    'info.title': 'Promo Attendant - Mais info',
+    'info.about': 'Sobre',
+    'info.about_text': 'Veja o status das salas em tempo real',
+    'info.related': 'Bots relacionados',
+    'info.directory_text': 'Adicione sua promo PNP a esta lista para ganhar mais inscritos!',
+    'info.tag_group_mod': 'Bot moderador de grupos',
+    'info.tag_global_mod': 'Bot de moderação global',
+    'info.tag_1132': 'Info sobre o Zoom 1132',
+    'info.setup': 'Instruções',
+    'info.for_groups': 'Para grupos:',
+    'info.groups_steps': [
+      'Toque no botão + GRUPO',
+      'Escolha seu grupo na lista',
+      'O bot vai postar o status das salas',
+      'Ajuste as configurações se precisar'
+    ],
+    'info.for_channels': 'Para canais:',
+    'info.channels_steps': [
+      'Toque no botão + CANAL',
+      'Escolha seu canal',
+      'O bot vai postar atualizações no canal'
+    ],
+    'info.for_dms': 'Para mensagens diretas:',
+    'info.dms_steps': [
+      'Toque em + Mensagem direta',
+      'Receba atualizações no privado',
+      'Ajuste a frequência nas configurações'
+    ],
+
+    'list.intro': 'Veja e inscreva-se em salas e grupos PNP ativos.',
+    'list.what': 'O que é isto?',
+    'list.what_text': 'O bot PNP Directory List mantém um diretório\nem tempo real de salas e grupos PNP ativos.',
+    'list.features': 'Recursos:',
+    'list.features_items': [
+      'Navegue pelas salas do Zoom ativas',
+      'Encontre grupos com videochamada no Telegram',
+      'Receba avisos de salas',
+      'Adicione sua própria sala ao diretório'
+    ],
+    'list.open': 'Abrir PNP Directory List'
+  },
+
+  fr: {
+    'embed.zoom_title': 'SALLES ZOOM',
+    'embed.zoom_subtitle': 'ANNUAIRE',
+    'embed.no_rooms': 'Aucune salle active',
+    'embed.telegram_title': 'TELEGRAM',
+    'embed.telegram_subtitle': 'Chat vidéo en direct',
+    'embed.no_chats': 'Aucun chat actif',
+    'embed.page': 'Page {page}/{count}',
+    'room.fallback_name': 'Salle {number}',
+    'room.id': 'ID de salle',
+    'room.participants': '{count} participants',
+    'room.join': 'Rejoindre la salle',
+    'room.join_all': 'Rejoindre',
+    'room.host': 'Hôte {name}',
+    'room.last_seen': 'Vu {age}',
+    'room.table_room': 'SALLE',
+    'group.join': 'Rejoindre le groupe',
+    'age.now': 'à l\'instant',
+    'age.minutes': 'il y a {minutes} min',
+    'age.hours': 'il y a {hours} h {minutes} min',
+
+    'btn.add_group': '+ GROUPE',
+    'btn.more_info': 'PLUS D\'INFOS',
+    'btn.add_channel': '+ CANAL',
+    'btn.refresh': 'Actualiser',
+    'btn.view_list': 'Voir la liste',
+    'btn.enable_dm': '+ Message privé',
+    'btn.settings': 'Réglages',
+    'btn.back': '« Retour',
+    'btn.reset': 'Réinitialiser',
+    'btn.watches': '🔔 Alertes',
+
+    'settings.title': 'RÉGLAGES',
+    'settings.status': 'État',
+    'settings.on': 'ACTIVÉ',
+    'settings.off': 'DÉSACTIVÉ',
+    'settings.repost': 'Republier : toutes les <b>{hours} h</b>',
+    'settings.filters': 'Filtres',
+    'settings.layout': 'Mise en page',
+    'settings.language': 'Langue',
+    'settings.sort': 'Tri',
+    'settings.quiet': 'Heures calmes',
+    'settings.schedule': 'Programmation',
+    'settings.next_post': 'Prochaine publication',
+    'settings.select': 'Choisissez une option ci-dessous',
+    'settings.enable': 'Activer',
+    'settings.disable': 'Désactiver',
+    'settings.content_filters': 'Filtres de contenu',
+    'settings.branding': 'Personnalisation',
+
+    'confirm.subscribed': '✅ Abonné',
+    'confirm.enabled': '✅ Activé',
+    'confirm.too_small': '❌ Ce bot ne peut être ajouté qu\'aux groupes/canaux de plus de 100 membres.',
+    'confirm.cancelled': '✖ Annulé',
+    'answer.refreshed': 'Actualisé !',
+    'answer.admins_only': 'Désolé, seuls les admins du chat peuvent modifier ces réglages.',
+    'answer.page_wait': 'Quelqu’un vient de changer de page, réessayez dans un instant.',
+    'answer.updates_enabled': 'Mises à jour activées !',
+    'answer.updates_disabled': 'Mises à jour désactivées',
+    'answer.interval_set': 'Intervalle : {hours} h',
+    'answer.dm_enabled': 'Mises à jour en privé activées !',
+    'answer.layout_set': 'Mise en page : {layout}',
+    'answer.language_set': 'Langue : {language}',
+    'answer.sort_set': 'Tri : {sort}',
+    'answer.schedule_set': 'Programmation : {schedule}',
+
+    'filters.no_zoom': 'sans Zoom',
+    'filters.no_telegram': 'sans Telegram',
+    'filters.min': '{count}+ participants',
+    'filters.only_selected': 'seulement {count} choisies',
+    'filters.hidden': '{count} masquées',
+    'filters.all': 'toutes les salles',
+    'filters.title': 'FILTRES DE CONTENU',
+    'filters.showing': 'Affichage',
+    'filters.selection': 'Choix des salles',
+    'filters.mode_include': 'afficher seulement les choisies',
+    'filters.mode_exclude': 'masquer les choisies',
+    'filters.min_note': 'Le minimum de participants s\'applique aux salles Zoom en direct.',
+    'filters.zoom_rooms': 'Salles Zoom',
+    'filters.telegram': 'Telegram',
+    'filters.any': 'Toutes',
+    'filters.mode': 'Mode : {mode}',
+    'filters.select_rooms': 'Choisir les salles',
+    'filters.rooms_title': 'CHOISIR LES SALLES',
+    'filters.legend': '✅ affichée · 🚫 masquée',
+    'filters.tap': 'Touchez une salle pour la basculer.',
+
+    'layout.title': 'MISE EN PAGE',
+    'layout.note': 'S\'applique dès la prochaine actualisation',
+    'layout.classic': 'Classique',
+    'layout.classic_description': 'Cartes avec ID, participants et lien',
+    'layout.compact': 'Compacte',
+    'layout.compact_description': 'Une ligne par salle, idéal pour beaucoup de salles ou les petits écrans',
+    'layout.detailed': 'Détaillée',
+    'layout.detailed_description': 'Cartes classiques avec l\'hôte et la dernière activité',
+    'layout.table': 'Tableau',
+    'layout.table_description': 'Tableau à chasse fixe des salles, IDs et participants',
+
+    'sort.title': 'ORDRE DE TRI',
+    'sort.note': 'Les salles épinglées restent toujours en haut',
+    'sort.order': 'Par défaut',
+    'sort.order_description': 'L\'ordre défini par les administrateurs',
+    'sort.participants': 'Les plus actives',
+    'sort.participants_description': 'Le plus de participants d\'abord',
+    'sort.name': 'A–Z',
+    'sort.name_description': 'Ordre alphabétique des salles',
+    'sort.recent': 'Récentes',
+    'sort.recent_description': 'Activité la plus récente d\'abord',
+
+    'quiet.title': 'HEURES CALMES',
+    'quiet.off': 'non',
+    'quiet.none': 'Aucune heure calme.',
+    'quiet.timezone': 'Fuseau horaire',
+    'quiet.local_time': 'il est {time}',
+    'quiet.mode': 'Pendant les heures calmes',
+    'quiet.mode_defer': 'reporter les publications à la fin',
+    'quiet.mode_skip': 'sauter les publications',
+    'quiet.switch_defer': 'Reporter au lieu de sauter',
+    'quiet.switch_skip': 'Sauter au lieu de reporter',
+    'quiet.active': '🌙 Calme jusqu\'à {time}',
+    'quiet.note': 'Les publications prévues pendant une plage calme attendent sa fin (ou sont sautées). La liste publiée continue d\'être mise à jour.',
+    'quiet.add': '➕ Ajouter une plage',
+    'quiet.set_timezone': '🌐 Fuseau horaire',
+    'quiet.prompt_tz': 'Envoyez le fuseau horaire sous forme IANA, p. ex. <code>Europe/Paris</code> ou <code>America/Montreal</code>, ou <code>-</code> pour celui par défaut ({tz}).',
+    'quiet.prompt_window': 'Envoyez une plage calme à l\'heure de {tz}, p. ex. <code>daily 23:00-07:00</code> ou <code>Mon-Fri 09:00-17:00</code>.',
+    'quiet.err_timezone': 'Fuseau horaire inconnu. Utilisez un nom comme <code>Europe/Paris</code>.',
+    'quiet.err_window': 'Utilisez le format <code>daily 23:00-07:00</code> ou <code>Mon-Fri 09:00-17:00</code>.',
+    'quiet.updated': '✅ Heures calmes mises à jour.',
+    'quiet.not_allowed': '❌ Vous ne pouvez plus modifier ces heures calmes.',
+
+    'schedule.title': 'PROGRAMMATION',
+    'schedule.current': 'Publication',
+    'schedule.interval': 'Toutes les {hours} h',
+    'schedule.daily_20': 'Tous les jours à 20:00',
+    'schedule.evenings': '20:00 et 23:30 chaque jour',
+    'schedule.weekdays_18': 'En semaine à 18:00',
+    'schedule.weekend_3h': 'Toutes les 3 h, ven–dim',
+    'schedule.custom': '✏️ Expression personnalisée',
+    'schedule.note': 'Les heures sont en {tz} (à régler dans Heures calmes). Choisir un intervalle revient à republier à intervalle fixe.',
+    'schedule.prompt': 'Envoyez une expression cron à l\'heure de {tz} : <code>minute heure jour mois jour_semaine</code>. Séparez-en plusieurs par <code>;</code>, p. ex. <code>0 20 * * *; 30 23 * * *</code> ou <code>0 */3 * * Fri-Sun</code>. Envoyez <code>-</code> pour revenir à l\'intervalle.',
+    'schedule.err_expression': 'Programmation invalide : {error}',
+    'schedule.updated': '✅ Programmation mise à jour. Prochaine publication : <b>{next}</b>',
+    'schedule.owners_only': 'Seuls les propriétaires du bot peuvent définir une programmation personnalisée.',
+    'schedule.not_allowed': '❌ Vous ne pouvez plus modifier cette programmation.',
+
+    'watch.title': 'ALERTES DE SALLES',
+    'watch.empty': 'Aucune alerte pour l\'instant.',
+    'watch.note': 'Je vous écris quand une salle surveillée démarre ou se remplit. Touchez ❌ pour retirer une alerte.',
+    'watch.add': '➕ Ajouter une alerte',
+    'watch.pick_title': 'NOUVELLE ALERTE',
+    'watch.pick_room': 'Quelle salle surveiller ?',
+    'watch.pick_threshold': 'Prévenez-moi quand <b>{room}</b>…',
+    'watch.any_room': 'N\'importe quelle salle',
+    'watch.live': 'démarre',
+    'watch.busy': 'a {count}+ personnes',
+    'watch.threshold_live': 'Démarre',
+    'watch.threshold_busy': '{count}+ personnes',
+    'watch.added': 'Alerte ajoutée',
+    'watch.exists': 'Vous avez déjà cette alerte',
+    'watch.removed': 'Alerte retirée',
+    'watch.limit': 'Vous pouvez avoir jusqu\'à {max} alertes',
+    'watch.not_found': 'Cette salle n\'existe plus',
+    'watch.dm_only': 'Les alertes fonctionnent dans un chat privé avec moi',
+    'watch.alert_title': 'ALERTE DE SALLE',
+    'watch.alert_live': '{room} est en direct',
+    'watch.alert_busy': '{room} a {count} personnes',
+    'watch.alert_note': 'Votre alerte : {watch}',
+
+    'language.title': 'LANGUE',
+    'language.note': 'Utilisée pour la liste des salles et ces menus',
+
+    'prompt.cancel_hint': '/cancel pour arrêter.',
+    'prompt.check_dm': 'Regardez vos messages privés',
+    'prompt.start_dm': 'Démarrez d\'abord un chat privé avec @{bot}, puis réessayez.',
+    'prompt.retry': 'Réessayez, ou /cancel.',
+
+    'branding.title': 'PERSONNALISATION',
+    'branding.field_title': 'Titre',
+    'branding.field_tagline': 'Slogan',
+    'branding.field_footer': 'Pied de page',
+    'branding.extra_buttons': 'Boutons en plus',
+    'branding.default': 'par défaut',
+    'branding.add_button': '➕ Ajouter un bouton',
+    'branding.prompt_title': 'Envoyez le nouveau titre (texte brut, {max} caractères max.) ou <code>-</code> pour revenir au défaut.',
+    'branding.prompt_tagline': 'Envoyez le nouveau slogan (texte brut, {max} caractères max.) ou <code>-</code> pour revenir au défaut.',
+    'branding.prompt_footer': 'Envoyez le nouveau pied de page (texte brut, {max} caractères max.) ou <code>-</code> pour revenir au défaut.',
+    'branding.prompt_button': 'Envoyez un bouton sous la forme <code>Texte | https://example.com</code> (texte {max} caractères max.).',
+    'branding.updated': '✅ Personnalisation enregistrée. Visible à la prochaine publication ou actualisation.',
+    'branding.not_allowed': '❌ Vous ne pouvez plus modifier cette personnalisation.',
+    'branding.err_empty': 'Le texte ne peut pas être vide.',
+    'branding.err_control': 'Les retours à la ligne et caractères de contrôle sont interdits.',
+    'branding.err_html': 'Les balises HTML sont interdites, texte brut uniquement.',
+    'branding.err_length': 'Trop long ({max} caractères max.).',
+    'branding.err_button_format': 'Utilisez le format : Texte | https://example.com',
+    'branding.err_button_url': 'Les liens doivent être des URL https:// ou tg:// ({max} caractères max.).',
+
+    'info.title': 'Promo Attendant - Plus d\'infos',
+    'info.about': 'À propos',
+    'info.about_text': 'Suivez l\'état des salles en temps réel',
+    'info.related': 'Bots associés',
+    'info.directory_text': 'Ajoutez votre promo PNP à cette liste pour gagner des abonnés !',
+    'info.tag_group_mod': 'Bot de modération de groupe',
+    'info.tag_global_mod': 'Bot de modération globale',
+    'info.tag_1132': 'Infos Zoom 1132',
+    'info.setup': 'Installation',
+    'info.for_groups': 'Pour les groupes :',
+    'info.groups_steps': [
+      'Touchez le bouton + GROUPE',
+      'Choisissez votre groupe dans la liste',
+      'Le bot publiera l\'état des salles',
+      'Ajustez les réglages si besoin'
+    ],
+    'info.for_channels': 'Pour les canaux :',
+    'info.channels_steps': [
+      'Touchez le bouton + CANAL',
+      'Choisissez votre canal',
+      'Le bot publiera les mises à jour dans le canal'
+    ],
+    'info.for_dms': 'Pour les messages privés :',
+    'info.dms_steps': [
+      'Touchez + Message privé',
+      'Recevez les mises à jour en privé',
+      'Réglez la fréquence dans les réglages'
+    ],
+
+    'list.intro': 'Consultez les salles et groupes PNP actifs et abonnez-vous.',
+    'list.what': 'Qu\'est-ce que c\'est ?',
+    'list.what_text': 'Le bot PNP Directory List tient un annuaire\nen temps réel des salles et groupes PNP actifs.',
+    'list.features': 'Fonctions :',
+    'list.features_items': [
+      'Parcourir les salles Zoom actives',
+      'Trouver des groupes avec chat vidéo Telegram',
+      'S\'abonner aux alertes de salles',
+      'Ajouter votre propre salle à l\'annuaire'
+    ],
+    'list.open': 'Ouvrir PNP Directory List'
+  }
+};
+
+/**
+ * Pick a supported language from a Telegram language_code (e.g. pt-br -> pt)
+ */
+function detectLanguage(languageCode) {
+  const base = String(languageCode || '').toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[base] ? base : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Whether a key exists in the catalog (in any language)
+ */
+function hasMessage(key) {
+  return key in catalog[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Look up a message, falling back to English, then to the key itself
+ * @param {string} language - Chat's language code (null for the default)
+ * @param {string} key - Catalog key
+ * @param {Object} params - Values for {name} placeholders
+ */
+function t(language, key, params = {}) {
+  const messages = catalog[language] || catalog[DEFAULT_LANGUAGE];
+  const message = key in messages ? messages[key] : catalog[DEFAULT_LANGUAGE][key];
+  if (message === undefined) return key;
+  if (typeof message !== 'string') return message;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * t() bound to one language
+ */
+function translator(language) {
+  const tr = (key, params) => t(language, key, params);
+  tr.language = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+  return tr;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  detectLanguage,
+  hasMessage,
+  t,
+  translator
+};
@@ -0,0 +1,222 @@
+/**
+ * Embed layouts for the room list
+ * A layout renders the Zoom and Telegram sections of the embed; the header,
+ * section titles, empty states and footer stay in buildMessage.
+ *
+ * Renderer interface:
+ *   label                              Name shown in Settings
+ *   description                        One-line summary shown in Settings
+ *   renderRooms(rooms, context)        Lines for a non-empty list of active rooms
+ *   renderTelegramGroups(groups, ctx)  Lines for a non-empty list of Telegram groups
+ * context is { now, t } where t is the chat's translator from i18n.js.
+ * label/description are used when the catalog has no layout.<key> entry.
+ *
+ * Register new layouts with registerLayout(); chats store the layout's key.
+ */
+
+const DEFAULT_LAYOUT = 'classic';
+const TABLE_NAME_WIDTH = 15;
+
+const layouts = new Map(); // key -> renderer
+
+/**
+ * Escape HTML entities
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Create padded room header with consistent total width
+ * Target: 29 chars total (◆ + bars + ◆ + space + name + space + ◆ + bars + ◆)
+ */
+function padRoomHeader(name) {
+  const maxNameLen = 15; // "The Locker Room" is longest
+  const nameLen = name.length;
+  const extraBars = Math.max(0, maxNameLen - nameLen);
+  const leftBars = '━'.repeat(2 + Math.floor(extraBars / 2));
+  const rightBars = '━'.repeat(2 + Math.ceil(extraBars / 2));
+  return `<code>◆${leftBars}◆ ${name} ◆${rightBars}◆</code>`;
+}
+
+/**
+ * Display name of a room (manual entries only have room_name)
+ */
+function roomName(room, t) {
+  return room.room_name || room.group_name || t('room.fallback_name', { number: room.group_number });
+}
+
+/**
+ * Join link of a Telegram group (null if it has none)
+ */
+function groupJoinUrl(group) {
+  if (group.username) return `https://t.me/${group.username}`;
+  return group.inviteLink || null;
+}
+
+/**
+ * "5m ago" / "2h 10m ago" for a timestamp
+ */
+function formatAge(date, now, t) {
+  const minutes = Math.max(0, Math.floor((now - new Date(date)) / 60000));
+  if (minutes < 1) return t('age.now');
+  if (minutes < 60) return t('age.minutes', { minutes });
+  return t('age.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+}
+
+/**
+ * Classic room card lines (shared by the detailed layout)
+ */
+function classicRoomLines(room, t) {
+  const lines = [];
+  lines.push(`        ${padRoomHeader(escapeHtml(roomName(room, t)))}`);
+  lines.push(`        ◇ ${t('room.id')} <code>${room.meeting_id}</code>`);
+  if (room.zoom_participant_count > 0) {
+    lines.push(`        ◇ ${t('room.participants', { count: room.zoom_participant_count })}`);
+  }
+  return lines;
+}
+
+/**
+ * Classic Telegram group lines (shared by the detailed layout)
+ */
+function classicTelegramGroups(groups, { t }) {
+  const lines = [];
+  for (const group of groups) {
+    lines.push(`        <b>${escapeHtml(group.name)}</b>`);
+    const joinUrl = groupJoinUrl(group);
+    if (joinUrl) {
+      lines.push(`        ◇ <a href="${joinUrl}">${t('group.join')}</a>`);
+    }
+    lines.push('');
+  }
+  return lines;
+}
+
+/**
+ * One line per Telegram group (shared by the compact and table layouts)
+ */
+function compactTelegramGroups(groups) {
+  const lines = groups.map(group => {
+    const joinUrl = groupJoinUrl(group);
+    const name = escapeHtml(group.name);
+    return `  ◇ ${joinUrl ? `<a href="${joinUrl}">${name}</a>` : name}`;
+  });
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Add a layout (replaces one registered under the same key)
+ * @param {string} key - Stored in the chat's settings, keep it short
+ * @param {Object} renderer - See the interface at the top of this file
+ */
+function registerLayout(key, renderer) {
+  for (const method of ['renderRooms', 'renderTelegramGroups']) {
+    if (typeof renderer[method] !== 'function') {
+      throw new Error(`Layout ${key} is missing ${method}()`);
+    }
+  }
+  layouts.set(key, { key, ...renderer });
+}
+
+/**
+ * Layout for a stored key (unknown or unset keys get the default)
+ */
+function getLayout(key) {
+  return layouts.get(key) || layouts.get(DEFAULT_LAYOUT);
+}
+
+/**
+ * Every registered layout, in registration order
+ */
+function listLayouts() {
+  return [...layouts.values()];
+}
+
+registerLayout('classic', {
+  label: 'Classic',
+  description: 'Room cards with ID, participants and join link',
+  renderRooms(rooms, { t }) {
+    const lines = [];
+    for (const room of rooms) {
+      lines.push(...classicRoomLines(room, t));
+      lines.push(`        ◇ <a href="https://zoom.us/j/${room.meeting_id}">${t('room.join')}</a>`);
+      lines.push('');
+    }
+    return lines;
+  },
+  renderTelegramGroups: classicTelegramGroups
+});
+
+registerLayout('compact', {
+  label: 'Compact',
+  description: 'One line per room, best for many rooms or narrow screens',
+  renderRooms(rooms, { t }) {
+    const lines = rooms.map(room => {
+      const count = room.zoom_participant_count > 0 ? ` · ${room.zoom_participant_count} 👤` : '';
+      return `  ◇ <a href="https://zoom.us/j/${room.meeting_id}">${escapeHtml(roomName(room, t))}</a>${count}`;
+    });
+    lines.push('');
+    return lines;
+  },
+  renderTelegramGroups: compactTelegramGroups
+});
+
+registerLayout('detailed', {
+  label: 'Detailed',
+  description: 'Classic cards plus host and last-seen time',
+  renderRooms(rooms, { now, t }) {
+    const lines = [];
+    for (const room of rooms) {
+      lines.push(...classicRoomLines(room, t));
+      if (room.zoom_host_name) {
+        lines.push(`        ◇ ${t('room.host', { name: escapeHtml(room.zoom_host_name) })}`);
+      }
+      if (room.last_seen) {
+        lines.push(`        ◇ ${t('room.last_seen', { age: formatAge(room.last_seen, now, t) })}`);
+      }
+      lines.push(`        ◇ <a href="https://zoom.us/j/${room.meeting_id}">${t('room.join')}</a>`);
+      lines.push('');
+    }
+    return lines;
+  },
+  renderTelegramGroups: classicTelegramGroups
+});
+
+registerLayout('table', {
+  label: 'Table',
+  description: 'Monospace table of rooms, IDs and counts',
+  renderRooms(rooms, { t }) {
+    // Pad before escaping so entities don't throw the columns off
+    const row = (name, id, count) =>
+      `${escapeHtml(name.padEnd(TABLE_NAME_WIDTH))} ${id.padEnd(11)} ${count.padStart(3)}`;
+    const lines = ['<pre>' + row(t('room.table_room'), 'ID', '#')];
+    for (const room of rooms) {
+      const name = roomName(room, t);
+      const shortName = name.length > TABLE_NAME_WIDTH ? name.substring(0, TABLE_NAME_WIDTH - 1) + '…' : name;
+      const count = room.zoom_participant_count > 0 ? String(room.zoom_participant_count) : '-';
+      lines.push(row(shortName, String(room.meeting_id), count));
+    }
+    lines[lines.length - 1] += '</pre>';
+
+    // Links can't live inside <pre>
+    lines.push(`${t('room.join_all')}: ` + rooms
+      .map(room => `<a href="https://zoom.us/j/${room.meeting_id}">${escapeHtml(roomName(room, t))}</a>`)
+      .join(' · '));
+    lines.push('');
+    return lines;
+  },
+  renderTelegramGroups: compactTelegramGroups
+});
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  registerLayout,
+  getLayout,
+  listLayouts
+};
@@ -0,0 +1,184 @@
+/**
+ * Leader election for promo-attendant
+ * Only one replica should poll Telegram and run the scheduler.
+ * The leader holds a session-level Postgres advisory lock on a dedicated
+ * connection; if it dies the connection closes, the lock is released and a
+ * standby picks it up on its next attempt.
+ */
+
+const { getClient } = require('./database');
+
+const LOCK_KEY = parseInt(process.env.PROMO_ATTENDANT_LEADER_LOCK_KEY) || 727001;
+const CHECK_INTERVAL_MS = parseInt(process.env.PROMO_ATTENDANT_LEADER_CHECK_MS) || 5000;
+// A half-open connection never answers: give up on a lock query after this long
+const QUERY_TIMEOUT_MS = parseInt(process.env.PROMO_ATTENDANT_LEADER_QUERY_TIMEOUT_MS) || 10000;
+
+let client = null; // Connection holding the lock (leader only)
+let role = 'idle'; // idle | standby | leader
+let checkTimer = null;
+let checking = false;
+let callbacks = { onElected: null, onDemoted: null };
+
+/**
+ * Run a query on a lock connection, rejecting if it takes longer than QUERY_TIMEOUT_MS
+ */
+async function timedQuery(connection, text, values) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Query timed out after ${QUERY_TIMEOUT_MS}ms`)), QUERY_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([connection.query(text, values), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Try to take the lock on a fresh connection
+ */
+async function tryAcquire() {
+  const candidate = await getClient();
+  try {
+    const result = await timedQuery(candidate, 'SELECT pg_try_advisory_lock($1) AS locked', [LOCK_KEY]);
+    if (!result.rows[0].locked) {
+      candidate.release();
+      return false;
+    }
+  } catch (err) {
+    candidate.release(err);
+    throw err;
+  }
+
+  // Losing this connection means losing the lock
+  candidate.on('error', (err) => {
+    console.error('[Leader] Lock connection error:', err.message);
+    demote().catch(demoteErr => {
+      console.error('[Leader] Demotion failed:', demoteErr.message);
+    });
+  });
+  client = candidate;
+  return true;
+}
+
+/**
+ * Give up leadership (connection is discarded so the lock is released server-side)
+ */
+async function demote() {
+  if (role !== 'leader') return;
+  role = 'standby';
+
+  if (client) {
+    client.release(true);
+    client = null;
+  }
+
+  console.log('[Leader] Demoted to standby');
+  if (callbacks.onDemoted) {
+    try {
+      await callbacks.onDemoted();
+    } catch (err) {
+      console.error('[Leader] onDemoted failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Leader: verify the lock connection is alive. Standby: try to take over.
+ */
+async function check() {
+  if (checking || role === 'idle') return;
+  checking = true;
+
+  try {
+    if (role === 'leader') {
+      try {
+        await timedQuery(client, 'SELECT 1');
+      } catch (err) {
+        console.error('[Leader] Lost lock connection:', err.message);
+        await demote();
+      }
+      return;
+    }
+
+    let acquired = false;
+    try {
+      acquired = await tryAcquire();
+    } catch (err) {
+      console.error('[Leader] Election attempt failed:', err.message);
+    }
+
+    if (acquired && role === 'standby') {
+      role = 'leader';
+      console.log('[Leader] Elected leader');
+      if (callbacks.onElected) {
+        try {
+          await callbacks.onElected();
+        } catch (err) {
+          // Half a leader neither polls nor schedules: give the lock back and retry next check
+          console.error('[Leader] onElected failed, stepping down:', err.message);
+          await demote();
+        }
+      }
+    } else if (acquired) {
+      // Stopped while acquiring
+      client.release(true);
+      client = null;
+    }
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Join the election
+ * @param {Object} handlers - { onElected, onDemoted } async callbacks
+ */
+async function startLeaderElection(handlers = {}) {
+  callbacks = handlers;
+  role = 'standby';
+  await check();
+  checkTimer = setInterval(check, CHECK_INTERVAL_MS);
+  if (role === 'standby') {
+    console.log(`[Leader] Standing by (retry every ${CHECK_INTERVAL_MS / 1000}s)`);
+  }
+}
+
+/**
+ * Leave the election and release the lock
+ */
+async function stopLeaderElection() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+
+  if (client) {
+    await timedQuery(client, 'SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    // Discard rather than return to the pool: the connection carries our error listener
+    client.release(true);
+    client = null;
+  }
+  role = 'idle';
+}
+
+/**
+ * Whether this instance currently holds the lock
+ */
+function isLeader() {
+  return role === 'leader';
+}
+
+/**
+ * Current role: idle | standby | leader
+ */
+function getRole() {
+  return role;
+}
+
+module.exports = {
+  startLeaderElection,
+  stopLeaderElection,
+  isLeader,
+  getRole
+};
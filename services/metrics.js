@@ -0,0 +1,186 @@
+/**
+ * Prometheus metrics for promo-attendant
+ * Served from /metrics by the HTTP server in index.js.
+ *
+ * Counters are per process; the database gauges read the shared tables,
+ * so every replica reports the same values for those.
+ */
+
+const client = require('prom-client');
+const { query } = require('./database');
+const { classifySendError } = require('./telegramErrors');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'promo_attendant_' });
+
+const chatTypes = new Map(); // chatId -> chat_type, learned from settings rows
+
+const messagesTotal = new client.Counter({
+  name: 'promo_attendant_messages_total',
+  help: 'Telegram message operations that succeeded (including edits with nothing to change)',
+  labelNames: ['operation', 'chat_type'],
+  registers: [register]
+});
+
+const messageFailuresTotal = new client.Counter({
+  name: 'promo_attendant_message_failures_total',
+  help: 'Telegram message operations that failed after all retries',
+  labelNames: ['operation', 'chat_type', 'error_class'],
+  registers: [register]
+});
+
+const telegramRetriesTotal = new client.Counter({
+  name: 'promo_attendant_telegram_retries_total',
+  help: 'Telegram calls requeued by the send queue after a retryable error',
+  labelNames: ['error_class'],
+  registers: [register]
+});
+
+const telegramRequestDuration = new client.Histogram({
+  name: 'promo_attendant_telegram_request_duration_seconds',
+  help: 'Telegram Bot API request latency (excludes time spent queued)',
+  labelNames: ['method'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+  registers: [register]
+});
+
+const activeRoomsQueryDuration = new client.Histogram({
+  name: 'promo_attendant_active_rooms_query_duration_seconds',
+  help: 'Time spent in getActiveRooms',
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+});
+
+const visibleRooms = new client.Gauge({
+  name: 'promo_attendant_visible_rooms',
+  help: 'Active rooms found by the last room lookup (hidden rooms left out, before per-chat filters and quiet hours)',
+  registers: [register]
+});
+
+const sendQueueLength = new client.Gauge({
+  name: 'promo_attendant_send_queue_length',
+  help: 'Telegram calls waiting in the outbound send queue',
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'promo_attendant_enabled_subscriptions',
+  help: 'Enabled subscriptions by chat type',
+  labelNames: ['chat_type'],
+  registers: [register],
+  async collect() {
+    try {
+      const result = await query(
+        `SELECT chat_type, COUNT(*)::int AS count
+         FROM promo_attendant_settings
+         WHERE enabled = TRUE
+         GROUP BY chat_type`
+      );
+      this.reset();
+      for (const row of result.rows) {
+        this.set({ chat_type: row.chat_type || 'unknown' }, row.count);
+      }
+    } catch (err) {
+      console.error('[Metrics] Failed to count subscriptions:', err.message);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'promo_attendant_scheduled_chats',
+  help: 'Enabled chats with a scheduled repost (the scheduler\'s active timers)',
+  registers: [register],
+  async collect() {
+    try {
+      const result = await query(
+        `SELECT COUNT(*)::int AS count
+         FROM promo_attendant_settings
+         WHERE enabled = TRUE AND next_post_at IS NOT NULL`
+      );
+      this.set(result.rows[0].count);
+    } catch (err) {
+      console.error('[Metrics] Failed to count scheduled chats:', err.message);
+    }
+  }
+});
+
+/**
+ * Remember a chat's type so message counters can be labelled with it
+ */
+function rememberChatType(chatId, chatType) {
+  if (chatType) chatTypes.set(String(chatId), chatType);
+}
+
+/**
+ * Forget a chat whose subscription was removed
+ */
+function forgetChatType(chatId) {
+  chatTypes.delete(String(chatId));
+}
+
+/**
+ * Chat type label for a chat ID (falls back to what the ID itself tells us)
+ */
+function chatTypeLabel(chatId) {
+  const known = chatTypes.get(String(chatId));
+  if (known) return known;
+  return Number(chatId) > 0 ? 'private' : 'unknown';
+}
+
+/**
+ * Count the outcome of a (queued) Telegram message operation
+ * @param {string} operation - post, edit or delete
+ * @param {number|string} chatId - Target chat
+ * @param {Function} call - Performs the operation, returns a promise
+ */
+async function trackMessage(operation, chatId, call) {
+  const chatType = chatTypeLabel(chatId);
+  try {
+    const result = await call();
+    messagesTotal.inc({ operation, chat_type: chatType });
+    return result;
+  } catch (err) {
+    const errorClass = classifySendError(err);
+    // An unchanged embed is the normal outcome of a refresh, not a failure
+    if (errorClass === 'not_modified') {
+      messagesTotal.inc({ operation, chat_type: chatType });
+    } else {
+      messageFailuresTotal.inc({ operation, chat_type: chatType, error_class: errorClass });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Time a single Telegram Bot API request
+ */
+async function timeTelegramRequest(method, fn) {
+  const end = telegramRequestDuration.startTimer({ method });
+  try {
+    return await fn();
+  } finally {
+    end();
+  }
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ */
+async function getMetrics() {
+  return {
+    contentType: register.contentType,
+    body: await register.metrics()
+  };
+}
+
+module.exports = {
+  telegramRetriesTotal,
+  activeRoomsQueryDuration,
+  visibleRooms,
+  sendQueueLength,
+  rememberChatType,
+  forgetChatType,
+  trackMessage,
+  timeTelegramRequest,
+  getMetrics
+};
@@ -9,20 +9,225 @@
  * - Group mode: Add to groups via deep link
  * - Settings via inline buttons only (no commands)
  * Test mode: Set PROMO_ATTENDANT_TEST_USER_ID to send DMs to specific users
+ * Webhook mode: Set PROMO_ATTENDANT_WEBHOOK_URL (public base URL) to receive updates
+ * through the HTTP server instead of polling (PROMO_ATTENDANT_WEBHOOK_SECRET optional)
  */
 
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
-const { query } = require('./database');
+const { query, getClient } = require('./database');
+const { startLeaderElection, stopLeaderElection, isLeader, getRole } = require('./leader');
+const { PRIORITY, enqueue, stopSendQueue } = require('./sendQueue');
+const { classifySendError, isChatUnreachable, getMigrateToChatId } = require('./telegramErrors');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  parseWindow,
+  formatWindow,
+  isAnyWindowOpen,
+  getWindowsClosing,
+  describeAvailability
+} = require('./timeWindows');
+const { DEFAULT_LAYOUT, getLayout, listLayouts } = require('./layouts');
+const { DEFAULT_LANGUAGE, LANGUAGES, detectLanguage, hasMessage, translator } = require('./i18n');
+const { WATCH_THRESHOLDS, findWatchTransitions, parseWatchTarget, formatWatchTarget } = require('./watches');
+const { parseSchedule, formatSchedule, getNextRun, getShortestGap } = require('./cron');
+const {
+  activeRoomsQueryDuration,
+  visibleRooms,
+  rememberChatType,
+  forgetChatType,
+  trackMessage,
+  timeTelegramRequest
+} = require('./metrics');
 
 let bot = null;
-const timers = new Map(); // Repost timers (delete/repost on schedule)
-const updateTimers = new Map(); // Edit timers (edit existing message)
+let schedulerTimer = null; // Worker loop that claims due reposts/edits from the database
+let schedulerBusy = false;
+let housekeepingTimer = null; // Expiry warnings / archiving for manual entries
+let watchTimer = null; // Room watch alerts
+let lastWatchSnapshot = null; // Active rooms at the previous watch check (null until the first)
+
+// Health bookkeeping for the readiness check
+const MIGRATION_LOCK_KEY = parseInt(process.env.PROMO_ATTENDANT_MIGRATION_LOCK_KEY) || 727002;
+const HEALTH_DB_TIMEOUT_MS = 3000;
+const HEALTH_POLLING_ERROR_WINDOW_MS = 2 * 60 * 1000;
+const HEALTH_POLLING_ERROR_LIMIT = 3; // Errors within the window before polling counts as dead
+// Longest the leader may go without completing a scheduler tick
+const HEALTH_MAX_SILENCE_MS = (parseInt(process.env.PROMO_ATTENDANT_HEALTH_MAX_SILENCE_MINUTES) || 30) * 60 * 1000;
+let migrationComplete = false;
+let webhookRegistered = false;
+let leaderSince = null;
+let lastDeliveryAt = null; // Last successful send or edit
+let lastSchedulerTickAt = null; // Last scheduler tick that ran to completion
+let pollingErrors = []; // Timestamps of recent polling errors
 
 const INTERVALS = [1, 2, 4, 6, 8, 12, 24];
 const UPDATE_INTERVAL_MS = 10 * 60 * 1000; // Edit message every 10 minutes
+const MESSAGE_MAX_LENGTH = 4096; // Telegram's text limit (HTML length is never shorter than the parsed text)
+const ITEM_NAME_FIELDS = ['room_name', 'group_name', 'name']; // Shortened when one item overflows a page
+const SCHEDULER_TICK_MS = 15 * 1000; // How often the worker looks for due chats
+const SCHEDULER_BATCH_SIZE = 25; // Max chats claimed per tick
+const HOUSEKEEPING_TICK_MS = 5 * 60 * 1000; // Expiry warnings and archiving
+const EXPIRY_WARNING_HOURS = parseInt(process.env.PROMO_ATTENDANT_EXPIRY_WARNING_HOURS) || 2;
+const EXPIRY_GRACE_HOURS = parseInt(process.env.PROMO_ATTENDANT_EXPIRY_GRACE_HOURS) || 72;
+const EXPIRY_ACTION = process.env.PROMO_ATTENDANT_EXPIRY_ACTION === 'purge' ? 'purge' : 'archive';
+const WATCH_TICK_MS = 60 * 1000; // How often room watches are checked
+const WATCH_COOLDOWN_MINUTES = parseInt(process.env.PROMO_ATTENDANT_WATCH_COOLDOWN_MINUTES) || 30;
+const MAX_WATCHES_PER_USER = 10;
+
+// Callbacks that change a chat's settings (chat admins / configuring user only)
+const PROTECTED_CALLBACKS = ['pa:settings', 'pa:toggle', 'pa:int:', 'pa:flt', 'pa:brand', 'pa:lay', 'pa:lang', 'pa:sort', 'pa:quiet', 'pa:sched'];
+const ADMIN_CACHE_TTL_MS = 60 * 1000;
+// Anyone can page, but the page is shown to the whole chat: one change per chat per this long
+const PAGE_COOLDOWN_MS = 3 * 1000;
+const pageChangedAt = new Map(); // chatId -> time of the last page change
+const chatAdminCache = new Map(); // `${chatId}:${userId}` -> { isAdmin, expiresAt }
+
+// Admin roles in ascending order of privilege
+// viewer: stats only, moderator: rooms and hidden items, owner: everything incl. admins
+const ADMIN_ROLES = ['viewer', 'moderator', 'owner'];
+const ADMIN_ROLE_CACHE_TTL_MS = 30 * 1000;
+const adminRoleCache = new Map(); // userId -> { role, expiresAt }
+
+// Minimum role per admin callback (first matching prefix wins)
+const ADMIN_CALLBACK_ROLES = [
+  ['admin:panel', 'viewer'],
+  ['admin:refresh', 'viewer'],
+  ['admin:subscriptions', 'owner'],
+  ['admin:enroll', 'owner'],
+  ['admin:sub_', 'owner'],
+  ['admin:admin', 'owner'],
+  ['admin:audit', 'owner'],
+  ['admin:brand', 'owner'],
+  ['admin:', 'moderator']
+];
+
+const AUDIT_PAGE_SIZE = 10;
+
+// Manual entry columns that can be edited in place
+const MANUAL_ENTRY_FIELDS = ['name', 'meeting_id', 'invite_link', 'participant_count', 'is_hidden', 'windows'];
+
+// Add-entry wizard: steps per entry type, expiry presets (hours, null = permanent)
+const WIZARD_STEPS = {
+  zoom: ['name', 'meeting_id', 'expiry', 'confirm'],
+  telegram: ['name', 'invite_link', 'expiry', 'confirm']
+};
+const WIZARD_EXPIRY_PRESETS = [6, 12, 24, 48, 72, 168];
+const MAX_ENTRY_NAME_LENGTH = 32; // Manual entry names, in the wizard and the admin API
+const WIZARD_TTL_HOURS = 24; // Abandoned wizards are ignored after this
+const WIZARD_STEP_MAX_LENGTH = 40; // promo_attendant_wizards.step, which holds edit_<field> too
+
+// Manual entry detail screen: fields editable by text reply, expiry extensions (hours)
+const ENTRY_EDIT_FIELDS = {
+  name: 'name',
+  meeting_id: 'Zoom meeting ID (9-11 digits) or zoom.us/j/ link',
+  invite_link: 'invite link (t.me/+... or t.me/username)',
+  participant_count: 'participant count',
+  window: 'time window, e.g. <code>Fri 20:00-02:00 America/New_York</code> or <code>daily 21:00-23:00</code>'
+};
+const MAX_WINDOWS_PER_ENTRY = 7;
+const ENTRY_EXTEND_PRESETS = [6, 24, 168];
+const MAX_PARTICIPANT_COUNT = 10000;
+
+// Per-chat content filters (promo_attendant_settings.content_filters)
+const DEFAULT_CONTENT_FILTERS = {
+  zoom: true, // Show the Zoom rooms section
+  telegram: true, // Show the Telegram section
+  min_participants: 0, // Auto-detected rooms below this are left out
+  mode: 'exclude', // exclude: hide the selected rooms, include: show only them
+  groups: [], // Selected room group_numbers
+  entries: [] // Selected manual entry IDs
+};
+const MIN_PARTICIPANT_PRESETS = [0, 5, 10, 25];
+
+// Per-chat room order (promo_attendant_settings.sort_mode); pinned rooms always come first
+// order: admin-defined (room group number, manual entries after), participants: busiest first,
+// name: alphabetical, recent: most recently seen first
+const SORT_MODES = ['order', 'participants', 'name', 'recent'];
+const DEFAULT_SORT_MODE = 'order';
+
+// Quiet hours (promo_attendant_settings.quiet_hours, in the chat's timezone): reposts due
+// inside a window are deferred to its end or skipped, per quiet_mode. Silent edits continue.
+const QUIET_MODES = ['defer', 'skip'];
+const DEFAULT_QUIET_MODE = 'defer';
+const MAX_QUIET_WINDOWS = 5;
+
+// Posting schedules (promo_attendant_settings.post_schedule): cron expressions in the chat's
+// timezone, see cron.js. Unset means a repost every repost_interval_hours. Chat admins pick
+// a preset; raw expressions are for bot owners.
+const SCHEDULE_PRESETS = {
+  daily_20: '0 20 * * *',
+  evenings: '0 20 * * *; 30 23 * * *',
+  weekdays_18: '0 18 * * Mon-Fri',
+  weekend_3h: '0 */3 * * Fri-Sun'
+};
+const MIN_SCHEDULE_GAP_MINUTES = 60;
+
+// Branding: per chat (promo_attendant_settings.branding) over global (promo_attendant_config)
+// over the built-in header/footer. Text is plain (escaped on render) and length-limited
+// so it fits the fixed-width header lines.
+const BRANDING_TEXT_FIELDS = {
+  title: { maxLength: 21 },
+  tagline: { maxLength: 19 },
+  footer: { maxLength: 21 }
+};
+const BRANDING_MAX_BUTTONS = 3;
+const BRANDING_BUTTON_TEXT_MAX = 32;
+const BRANDING_URL_MAX = 256;
+const HEADER_WIDTH = 25; // Characters between the ◇ borders
+
+// Why a chat was disabled automatically (shown in admin:sub_view)
+const DISABLED_REASONS = {
+  blocked: 'Bot blocked by user',
+  deactivated: 'User account deleted',
+  kicked: 'Bot kicked from chat',
+  removed: 'Bot removed from chat',
+  chat_not_found: 'Chat not found',
+  no_rights: 'Bot lacks permission to post'
+};
+
+/**
+ * Delivery mode: webhook when PROMO_ATTENDANT_WEBHOOK_URL is set, polling otherwise
+ */
+function getDeliveryMode() {
+  return process.env.PROMO_ATTENDANT_WEBHOOK_URL ? 'webhook' : 'polling';
+}
+
+/**
+ * Derive a stable secret from the bot token (same on every replica)
+ */
+function deriveWebhookSecret(purpose) {
+  const token = process.env.PROMO_ATTENDANT_BOT_TOKEN || '';
+  return crypto.createHash('sha256').update(`${token}:${purpose}`).digest('hex');
+}
+
+/**
+ * Secret path the HTTP server accepts webhook updates on (null in polling mode)
+ */
+function getWebhookPath() {
+  if (getDeliveryMode() !== 'webhook' || !process.env.PROMO_ATTENDANT_BOT_TOKEN) return null;
+  return `/telegram/webhook/${deriveWebhookSecret('webhook-path').substring(0, 32)}`;
+}
+
+/**
+ * Value Telegram sends back in X-Telegram-Bot-Api-Secret-Token
+ */
+function getWebhookSecretToken() {
+  return process.env.PROMO_ATTENDANT_WEBHOOK_SECRET || deriveWebhookSecret('webhook-secret');
+}
+
+/**
+ * Full URL registered with Telegram's setWebHook
+ */
+function getWebhookUrl() {
+  const base = (process.env.PROMO_ATTENDANT_WEBHOOK_URL || '').replace(/\/+$/, '');
+  return `${base}${getWebhookPath()}`;
+}
 
 /**
- * Check if user is super admin
+ * Check if user is the bootstrap owner from PROMO_ATTENDANT_SUPER_ADMIN
+ * (always an owner, can't be removed from the panel)
  */
 function isSuperAdmin(userId) {
   const superAdminId = process.env.PROMO_ATTENDANT_SUPER_ADMIN;
@@ -30,6 +235,101 @@ function isSuperAdmin(userId) {
   return String(userId) === String(superAdminId);
 }
 
+/**
+ * Get a user's admin role (owner, moderator, viewer) or null
+ */
+async function getAdminRole(userId) {
+  if (!userId) return null;
+  if (isSuperAdmin(userId)) return 'owner';
+
+  const cached = adminRoleCache.get(String(userId));
+  if (cached && cached.expiresAt > Date.now()) return cached.role;
+
+  const result = await query('SELECT role FROM promo_attendant_admins WHERE user_id = $1', [userId]);
+  const role = result.rows[0]?.role || null;
+  adminRoleCache.set(String(userId), { role, expiresAt: Date.now() + ADMIN_ROLE_CACHE_TTL_MS });
+  return role;
+}
+
+/**
+ * Check if a role grants at least the required role
+ */
+function roleAtLeast(role, requiredRole) {
+  return !!role && ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Check if user holds at least the required admin role
+ */
+async function hasAdminRole(userId, requiredRole) {
+  return roleAtLeast(await getAdminRole(userId), requiredRole);
+}
+
+/**
+ * Minimum role needed for an admin:* callback
+ */
+function requiredRoleForCallback(data) {
+  const match = ADMIN_CALLBACK_ROLES.find(([prefix]) => data.startsWith(prefix));
+  return match ? match[1] : 'owner';
+}
+
+/**
+ * Check if user is an administrator of a chat (cached briefly to spare getChatMember)
+ */
+async function isChatAdmin(chatId, userId) {
+  const key = `${chatId}:${userId}`;
+  const cached = chatAdminCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.isAdmin;
+
+  let isAdmin = false;
+  try {
+    const member = await bot.getChatMember(chatId, userId);
+    isAdmin = ['creator', 'administrator'].includes(member.status);
+  } catch (e) {
+    // Bot can't see members (e.g. not an admin in the channel) - treat as not admin
+  }
+
+  chatAdminCache.set(key, { isAdmin, expiresAt: Date.now() + ADMIN_CACHE_TTL_MS });
+  return isAdmin;
+}
+
+/**
+ * Check if user may change a chat's settings
+ * DMs: the user themselves. Groups: chat admins or the user who enrolled it.
+ * Channels: channel admins, or admins of the linked discussion group.
+ */
+async function canManageChat(chat, userId) {
+  if (chat.type === 'private') return true;
+  if (await hasAdminRole(userId, 'owner')) return true;
+
+  const settings = await getSettings(chat.id);
+  if (settings.configured_by_user_id && String(settings.configured_by_user_id) === String(userId)) {
+    return true;
+  }
+
+  if (await isChatAdmin(chat.id, userId)) return true;
+
+  if (chat.type === 'channel') {
+    try {
+      const fullChat = await bot.getChat(chat.id);
+      if (fullChat.linked_chat_id) {
+        return await isChatAdmin(fullChat.linked_chat_id, userId);
+      }
+    } catch (e) {
+      console.error(`[PromoAttendant] Failed to load linked chat for ${chat.id}:`, e.message);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check if a callback changes chat settings
+ */
+function isProtectedCallback(data) {
+  return PROTECTED_CALLBACKS.some(prefix => data.startsWith(prefix));
+}
+
 /**
  * Initialize the Promo Attendant bot
  */
@@ -42,8 +342,15 @@ async function initPromoAttendant() {
   }
 
   try {
-    bot = new TelegramBot(token, { polling: true });
-    console.log('[PromoAttendant] Bot initialized successfully');
+    const mode = getDeliveryMode();
+    // Polling starts only once this instance is elected leader
+    bot = new TelegramBot(token, { polling: false });
+    console.log(`[PromoAttendant] Bot initialized successfully (${mode} mode)`);
+
+    bot.on('polling_error', (err) => {
+      pollingErrors.push(Date.now());
+      console.error('[PromoAttendant] Polling error:', err.message);
+    });
 
     // Handle commands (messages and channel posts)
     const handleMessage = async (msg) => {
@@ -51,42 +358,95 @@ async function initPromoAttendant() {
       const userId = msg.from?.id || msg.sender_chat?.id || chatId;
       const text = msg.text || '';
 
-      // /settings command for super admin only (DM only)
+      // Group upgraded to supergroup: move the subscription to the new chat ID.
+      // Telegram sends migrate_to_chat_id in the old chat and migrate_from_chat_id
+      // in the new one; whichever arrives first moves the row, the other is a no-op.
+      if (msg.migrate_to_chat_id) {
+        await migrateChat(chatId, msg.migrate_to_chat_id);
+        return;
+      }
+      if (msg.migrate_from_chat_id) {
+        await migrateChat(msg.migrate_from_chat_id, chatId);
+        return;
+      }
+
+      // Admin in the add-entry wizard: plain text answers the current step
+      if (msg.chat.type === 'private' && text && !text.startsWith('/')) {
+        const wizard = await getWizard(userId);
+        if (wizard && wizard.entry_type === 'branding') {
+          // Chat admins editing branding needn't be bot admins; handleBrandingInput checks
+          await handleBrandingInput(wizard, text);
+          return;
+        }
+        if (wizard && wizard.entry_type === 'quiet') {
+          await handleQuietHoursInput(wizard, text);
+          return;
+        }
+        if (wizard && wizard.entry_type === 'schedule') {
+          await handleScheduleInput(wizard, text);
+          return;
+        }
+        if (wizard) {
+          if (await hasAdminRole(userId, 'moderator')) {
+            await handleWizardInput(wizard, text);
+          } else {
+            await clearWizard(userId);
+          }
+          return;
+        }
+      }
+
+      // /cancel abandons the add-entry wizard
+      if (text === '/cancel' && msg.chat.type === 'private') {
+        const wizard = await getWizard(userId);
+        if (wizard) {
+          await clearWizard(userId);
+          if (wizard.message_id) {
+            await queuedDelete(chatId, wizard.message_id, PRIORITY.INTERACTIVE).catch(() => {});
+          }
+          const tr = await getChatTranslator(chatId);
+          await queuedSend(chatId, tr('confirm.cancelled'), {}, PRIORITY.INTERACTIVE);
+        }
+        return;
+      }
+
+      // /settings command for admins only (DM only)
       if (text === '/settings' && msg.chat.type === 'private') {
-        if (isSuperAdmin(userId)) {
-          await showAdminPanel(chatId);
+        const role = await getAdminRole(userId);
+        if (role) {
+          await showAdminPanel(chatId, role);
         }
         return;
       }
 
       // /menu command - show room list with keyboard buttons (DM only)
       if (text === '/menu' && msg.chat.type === 'private') {
-        await postMessage(chatId);
+        await postMessage(chatId, PRIORITY.INTERACTIVE);
         return;
       }
 
-      // /addzoom command for super admin
-      if (text.startsWith('/addzoom ') && msg.chat.type === 'private' && isSuperAdmin(userId)) {
+      // /addzoom command for moderators
+      if (text.startsWith('/addzoom ') && msg.chat.type === 'private' && await hasAdminRole(userId, 'moderator')) {
         const parts = text.replace('/addzoom ', '').split('|').map(s => s.trim());
         const [name, meetingId, expireHours] = parts;
 
         if (!name || !meetingId) {
-          await bot.sendMessage(chatId, '❌ Invalid format. Use: /addzoom Name|MeetingID|ExpireHours');
+          await queuedSend(chatId, '❌ Invalid format. Use: /addzoom Name|MeetingID|ExpireHours', {}, PRIORITY.INTERACTIVE);
           return;
         }
 
         try {
           await addManualEntry('zoom', name, meetingId, null, expireHours || null, userId);
           const expireMsg = expireHours ? ` (expires in ${expireHours}h)` : ' (permanent)';
-          await bot.sendMessage(chatId, `✅ Added Zoom room: <b>${name}</b>${expireMsg}`, { parse_mode: 'HTML' });
+          await queuedSend(chatId, `✅ Added Zoom room: <b>${name}</b>${expireMsg}`, { parse_mode: 'HTML' }, PRIORITY.INTERACTIVE);
         } catch (err) {
-          await bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+          await queuedSend(chatId, `❌ Error: ${err.message}`, {}, PRIORITY.INTERACTIVE);
         }
         return;
       }
 
-      // /addtg command for super admin
-      if (text.startsWith('/addtg ') && msg.chat.type === 'private' && isSuperAdmin(userId)) {
+      // /addtg command for moderators
+      if (text.startsWith('/addtg ') && msg.chat.type === 'private' && await hasAdminRole(userId, 'moderator')) {
         const parts = text.replace('/addtg ', '').split('|').map(s => s.trim());
 
         // Find the URL in the parts (it contains t.me or http)
@@ -108,27 +468,45 @@ async function initPromoAttendant() {
         }
 
         if (!name || !inviteLink) {
-          await bot.sendMessage(chatId, '❌ Invalid format. Use: /addtg Name|InviteLink|ExpireHours');
+          await queuedSend(chatId, '❌ Invalid format. Use: /addtg Name|InviteLink|ExpireHours', {}, PRIORITY.INTERACTIVE);
           return;
         }
 
         try {
           await addManualEntry('telegram', name, null, inviteLink, expireHours, userId);
           const expireMsg = expireHours ? ` (expires in ${expireHours}h)` : ' (permanent)';
-          await bot.sendMessage(chatId, `✅ Added Telegram chat: <b>${name}</b>${expireMsg}`, { parse_mode: 'HTML' });
+          await queuedSend(chatId, `✅ Added Telegram chat: <b>${name}</b>${expireMsg}`, { parse_mode: 'HTML' }, PRIORITY.INTERACTIVE);
+        } catch (err) {
+          await queuedSend(chatId, `❌ Error: ${err.message}`, {}, PRIORITY.INTERACTIVE);
+        }
+        return;
+      }
+
+      // /addadmin command for owners (add or change an admin's role)
+      if (text.startsWith('/addadmin ') && msg.chat.type === 'private' && await hasAdminRole(userId, 'owner')) {
+        const [adminUserId, role] = text.replace('/addadmin ', '').split('|').map(s => s.trim());
+
+        if (!/^\d+$/.test(adminUserId || '') || !ADMIN_ROLES.includes(role)) {
+          await queuedSend(chatId, '❌ Invalid format. Use: /addadmin UserID|owner|moderator|viewer', {}, PRIORITY.INTERACTIVE);
+          return;
+        }
+
+        try {
+          await setAdminRole(adminUserId, role, userId);
+          await queuedSend(chatId, `✅ <code>${adminUserId}</code> is now ${role}`, { parse_mode: 'HTML' }, PRIORITY.INTERACTIVE);
         } catch (err) {
-          await bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+          await queuedSend(chatId, `❌ Error: ${err.message}`, {}, PRIORITY.INTERACTIVE);
         }
         return;
       }
 
-      // /enroll command for super admin (enroll a chat by ID)
-      if (text.startsWith('/enroll ') && msg.chat.type === 'private' && isSuperAdmin(userId)) {
+      // /enroll command for owners (enroll a chat by ID)
+      if (text.startsWith('/enroll ') && msg.chat.type === 'private' && await hasAdminRole(userId, 'owner')) {
         const parts = text.replace('/enroll ', '').split('|').map(s => s.trim());
         const [enrollChatId, chatType] = parts;
 
         if (!enrollChatId) {
-          await bot.sendMessage(chatId, '❌ Invalid format. Use: /enroll ChatID|Type');
+          await queuedSend(chatId, '❌ Invalid format. Use: /enroll ChatID|Type', {}, PRIORITY.INTERACTIVE);
           return;
         }
 
@@ -136,18 +514,18 @@ async function initPromoAttendant() {
         const type = validTypes.includes(chatType) ? chatType : 'unknown';
 
         try {
-          await enableChat(parseInt(enrollChatId), userId, type);
-          await bot.sendMessage(chatId, `✅ Enrolled chat <code>${enrollChatId}</code> as ${type}`, { parse_mode: 'HTML' });
+          await enrollChat(parseInt(enrollChatId), type, userId);
+          await queuedSend(chatId, `✅ Enrolled chat <code>${enrollChatId}</code> as ${type}`, { parse_mode: 'HTML' }, PRIORITY.INTERACTIVE);
 
           // Try to post to the chat
           try {
-            await postMessage(parseInt(enrollChatId));
-            await bot.sendMessage(chatId, '📤 First message sent successfully!');
+            await postMessage(parseInt(enrollChatId), PRIORITY.INTERACTIVE);
+            await queuedSend(chatId, '📤 First message sent successfully!', {}, PRIORITY.INTERACTIVE);
           } catch (postErr) {
-            await bot.sendMessage(chatId, `⚠️ Enrolled but couldn't post: ${postErr.message}`);
+            await queuedSend(chatId, `⚠️ Enrolled but couldn't post: ${postErr.message}`, {}, PRIORITY.INTERACTIVE);
           }
         } catch (err) {
-          await bot.sendMessage(chatId, `❌ Error: ${err.message}`);
+          await queuedSend(chatId, `❌ Error: ${err.message}`, {}, PRIORITY.INTERACTIVE);
         }
         return;
       }
@@ -176,69 +554,52 @@ async function initPromoAttendant() {
           try {
             const memberCount = await bot.getChatMemberCount(chatId);
             if (memberCount < 100) {
-              await bot.sendMessage(chatId, '❌ This bot can only be added to groups/channels with 100+ members.', {
+              const tr = translator(detectLanguage(msg.from?.language_code));
+              await queuedSend(chatId, tr('confirm.too_small'), {
                 reply_to_message_id: msg.message_id
-              });
+              }, PRIORITY.INTERACTIVE);
               await bot.leaveChat(chatId);
               return;
             }
           } catch (e) {
             console.error('[PromoAttendant] Failed to check member count:', e.message);
           }
-          await enableChat(chatId, userId, msg.chat.type);
-          const confirmMsg = await bot.sendMessage(chatId, '✅ Enabled', {
+          await enableChat(chatId, userId, msg.chat.type, detectLanguage(msg.from?.language_code));
+          const tr = await getChatTranslator(chatId);
+          const confirmMsg = await queuedSend(chatId, tr('confirm.enabled'), {
             reply_to_message_id: msg.message_id
-          });
-          setTimeout(() => bot.deleteMessage(chatId, confirmMsg.message_id).catch(() => {}), 3000);
-          await postMessage(chatId);
+          }, PRIORITY.INTERACTIVE);
+          setTimeout(() => queuedDelete(chatId, confirmMsg.message_id, PRIORITY.INTERACTIVE).catch(() => {}), 3000);
+          await postMessage(chatId, PRIORITY.INTERACTIVE);
           return;
         }
 
         // Private chat - enroll and show main menu
         if (msg.chat.type === 'private') {
-          await enableChat(chatId, userId, 'private');
-          const confirmMsg = await bot.sendMessage(chatId, '✅ Subscribed', {
+          await enableChat(chatId, userId, 'private', detectLanguage(msg.from?.language_code));
+          const tr = await getChatTranslator(chatId);
+          const confirmMsg = await queuedSend(chatId, tr('confirm.subscribed'), {
             reply_to_message_id: msg.message_id
-          });
-          setTimeout(() => bot.deleteMessage(chatId, confirmMsg.message_id).catch(() => {}), 3000);
-          await postMessage(chatId);
+          }, PRIORITY.INTERACTIVE);
+          setTimeout(() => queuedDelete(chatId, confirmMsg.message_id, PRIORITY.INTERACTIVE).catch(() => {}), 3000);
+          await postMessage(chatId, PRIORITY.INTERACTIVE);
         }
       }
     };
 
     bot.on('message', handleMessage);
     bot.on('channel_post', handleMessage);
+    bot.on('my_chat_member', handleMyChatMember);
 
     // Set up callback handlers
     setupCallbacks();
 
     // Run migration
     await runPromoAttendantMigration();
+    migrationComplete = true;
 
-    // Start timers for existing subscriptions
-    await startAllTimers();
-
-    // Test mode: enable test user DMs (respects existing timer settings)
-    const testUserIds = process.env.PROMO_ATTENDANT_TEST_USER_ID;
-    if (testUserIds) {
-      const ids = testUserIds.split(/[,\s&]+/).filter(id => id.trim());
-      for (const id of ids) {
-        const userId = parseInt(id.trim());
-        if (userId) {
-          const existing = await getSettings(userId);
-          if (!existing.enabled) {
-            // New test user - enable and post first message
-            console.log(`[PromoAttendant] Test mode - enabling new user ${userId}`);
-            await enableChat(userId, userId, 'private');
-            await postMessage(userId);
-          } else {
-            // Existing user - just ensure timer is running (respects last_posted_at)
-            console.log(`[PromoAttendant] Test mode - user ${userId} already enabled, timer will respect settings`);
-            startTimer(userId);
-          }
-        }
-      }
-    }
+    // Only the elected leader polls (or registers the webhook) and runs the scheduler
+    await startLeaderElection({ onElected: becomeLeader, onDemoted: stepDown });
 
     console.log('[PromoAttendant] Bot is ready');
     return bot;
@@ -248,6 +609,116 @@ async function initPromoAttendant() {
   }
 }
 
+/**
+ * Take over update delivery and scheduling (called when elected leader)
+ */
+async function becomeLeader() {
+  if (!bot) return;
+
+  if (getDeliveryMode() === 'webhook') {
+    // Register webhook so Telegram delivers updates to the HTTP server
+    await bot.setWebHook(getWebhookUrl(), { secret_token: getWebhookSecretToken() });
+    webhookRegistered = true;
+    console.log(`[PromoAttendant] Webhook registered at ${getWebhookPath()}`);
+  } else {
+    pollingErrors = [];
+    await bot.startPolling();
+    console.log('[PromoAttendant] Polling started');
+  }
+  leaderSince = Date.now();
+
+  // Start the repost/edit scheduler (schedules live in the database)
+  startScheduler();
+
+  await enableTestUsers();
+}
+
+/**
+ * Stop polling and scheduling (called when leadership is lost)
+ */
+async function stepDown() {
+  stopScheduler();
+  leaderSince = null;
+  webhookRegistered = false;
+  if (bot && getDeliveryMode() === 'polling') {
+    await bot.stopPolling();
+    console.log('[PromoAttendant] Polling stopped');
+  }
+}
+
+/**
+ * Test mode: enable test user DMs (respects existing schedule)
+ */
+async function enableTestUsers() {
+  const testUserIds = process.env.PROMO_ATTENDANT_TEST_USER_ID;
+  if (!testUserIds) return;
+
+  const ids = testUserIds.split(/[,\s&]+/).filter(id => id.trim());
+  for (const id of ids) {
+    const userId = parseInt(id.trim());
+    if (userId) {
+      const existing = await getSettings(userId);
+      if (!existing.enabled) {
+        // New test user - enable and post first message
+        console.log(`[PromoAttendant] Test mode - enabling new user ${userId}`);
+        await enableChat(userId, userId, 'private');
+        await postMessage(userId, PRIORITY.INTERACTIVE);
+      } else {
+        // Existing user - schedule is already stored in next_post_at
+        console.log(`[PromoAttendant] Test mode - user ${userId} already enabled, schedule will respect settings`);
+      }
+    }
+  }
+}
+
+/**
+ * Handle an update delivered to the webhook route
+ * Returns the HTTP status the server should answer with
+ * @param {Object} update - Telegram Update object (parsed JSON body)
+ * @param {string} secretToken - Value of the X-Telegram-Bot-Api-Secret-Token header
+ */
+function handleWebhookUpdate(update, secretToken) {
+  const expected = Buffer.from(getWebhookSecretToken());
+  const received = Buffer.from(String(secretToken || ''));
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return 401;
+  }
+
+  if (!bot) return 503;
+  if (!update || typeof update.update_id !== 'number') return 400;
+
+  bot.processUpdate(update);
+  return 200;
+}
+
+/**
+ * Handle changes to the bot's own membership (blocked, kicked, rights removed)
+ */
+async function handleMyChatMember(update) {
+  const chat = update.chat;
+  const member = update.new_chat_member || {};
+  let reason = null;
+
+  if (member.status === 'kicked') {
+    reason = chat.type === 'private' ? 'blocked' : 'kicked';
+  } else if (member.status === 'left') {
+    reason = 'removed';
+  } else if (member.status === 'restricted' && member.can_send_messages === false) {
+    reason = 'no_rights';
+  } else if (chat.type === 'channel' && (member.status === 'member' ||
+      (member.status === 'administrator' && member.can_post_messages === false))) {
+    reason = 'no_rights';
+  }
+
+  if (reason) {
+    try {
+      await disableChat(chat.id, reason);
+    } catch (err) {
+      console.error(`[PromoAttendant] Failed to disable ${chat.id}:`, err.message);
+    }
+  }
+}
+
 /**
  * Set up callback handlers for inline buttons
  */
@@ -263,8 +734,35 @@ function setupCallbacks() {
     try {
       // Refresh button
       if (data === 'pa:refresh') {
-        await updateMessage(chatId, msgId);
-        await bot.answerCallbackQuery(callbackQuery.id, { text: 'Refreshed!' });
+        await updateMessage(chatId, msgId, PRIORITY.INTERACTIVE);
+        const tr = await getChatTranslator(chatId);
+        await bot.answerCallbackQuery(callbackQuery.id, { text: tr('answer.refreshed') });
+        return;
+      }
+
+      // Page buttons (anyone can page, like Refresh; rate-limited per chat)
+      if (data.startsWith('pa:page:')) {
+        if (Date.now() - (pageChangedAt.get(chatId) || 0) < PAGE_COOLDOWN_MS) {
+          const tr = await getChatTranslator(chatId);
+          await bot.answerCallbackQuery(callbackQuery.id, { text: tr('answer.page_wait') });
+          return;
+        }
+        pageChangedAt.set(chatId, Date.now());
+
+        const page = Math.max(0, parseInt(data.split(':')[2]) || 0);
+        await updateSettings(chatId, { current_page: page });
+        await updateMessage(chatId, msgId, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return;
+      }
+
+      // Settings changes are limited to chat admins / the user who enrolled the chat
+      if (isProtectedCallback(data) && !(await canManageChat(callbackQuery.message.chat, userId))) {
+        const tr = await getChatTranslator(chatId);
+        await bot.answerCallbackQuery(callbackQuery.id, {
+          text: tr('answer.admins_only'),
+          show_alert: true
+        });
         return;
       }
 
@@ -273,19 +771,139 @@ function setupCallbacks() {
         const settings = await getSettings(chatId);
         const text = buildSettingsMessage(settings);
         const keyboard = settingsKeyboard(settings);
-        await bot.editMessageText(text, {
+        await queuedEdit(text, {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
           reply_markup: keyboard
-        });
+        }, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return;
+      }
+
+      // Branding
+      if (data === 'pa:brand' || data.startsWith('pa:brand:')) {
+        await handleBrandingCallback(callbackQuery);
+        return;
+      }
+
+      // Layout picker: pa:lay shows it, pa:lay:<key> selects
+      if (data === 'pa:lay' || data.startsWith('pa:lay:')) {
+        const key = data.split(':')[2];
+        if (key && listLayouts().some(layout => layout.key === key)) {
+          await setChatLayout(chatId, key, userId);
+        }
+        const settings = await getSettings(chatId);
+        const tr = translator(settings.language);
+        await queuedEdit(buildLayoutMessage(settings), {
+          chat_id: chatId,
+          message_id: msgId,
+          parse_mode: 'HTML',
+          reply_markup: layoutKeyboard(settings)
+        }, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id,
+          key ? { text: tr('answer.layout_set', { layout: layoutLabel(getLayout(key), tr) }) } : {});
+        return;
+      }
+
+      // Sort order picker: pa:sort shows it, pa:sort:<mode> selects
+      if (data === 'pa:sort' || data.startsWith('pa:sort:')) {
+        const mode = SORT_MODES.find(sortMode => sortMode === data.split(':')[2]);
+        if (mode) {
+          await setChatSortMode(chatId, mode, userId);
+        }
+        const settings = await getSettings(chatId);
+        const tr = translator(settings.language);
+        await queuedEdit(buildSortMessage(settings), {
+          chat_id: chatId,
+          message_id: msgId,
+          parse_mode: 'HTML',
+          reply_markup: sortKeyboard(settings)
+        }, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id,
+          mode ? { text: tr('answer.sort_set', { sort: tr(`sort.${mode}`) }) } : {});
+        return;
+      }
+
+      // Quiet hours
+      if (data === 'pa:quiet' || data.startsWith('pa:quiet:')) {
+        await handleQuietHoursCallback(callbackQuery);
+        return;
+      }
+
+      // Posting schedule
+      if (data === 'pa:sched' || data.startsWith('pa:sched:')) {
+        await handleScheduleCallback(callbackQuery);
+        return;
+      }
+
+      // Language picker: pa:lang shows it, pa:lang:<code> selects
+      if (data === 'pa:lang' || data.startsWith('pa:lang:')) {
+        const code = data.split(':')[2];
+        if (code && LANGUAGES[code]) {
+          await setChatLanguage(chatId, code, userId);
+        }
+        const settings = await getSettings(chatId);
+        await queuedEdit(buildLanguageMessage(settings), {
+          chat_id: chatId,
+          message_id: msgId,
+          parse_mode: 'HTML',
+          reply_markup: languageKeyboard(settings)
+        }, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id,
+          code && LANGUAGES[code] ? { text: translator(code)('answer.language_set', { language: LANGUAGES[code] }) } : {});
+        return;
+      }
+
+      // Content filters
+      if (data.startsWith('pa:flt')) {
+        const settings = await getSettings(chatId);
+        const filters = getContentFilters(settings);
+        const [, , action, param] = data.split(':');
+        let changed = true;
+
+        if (action === 'sec' && (param === 'zoom' || param === 'telegram')) {
+          filters[param] = !filters[param];
+        } else if (action === 'min' && MIN_PARTICIPANT_PRESETS.includes(parseInt(param))) {
+          filters.min_participants = parseInt(param);
+        } else if (action === 'mode') {
+          filters.mode = filters.mode === 'include' ? 'exclude' : 'include';
+        } else if ((action === 'g' || action === 'e') && /^\d+$/.test(param)) {
+          const list = action === 'g' ? filters.groups : filters.entries;
+          const id = parseInt(param);
+          const index = list.indexOf(id);
+          if (index >= 0) {
+            list.splice(index, 1);
+          } else {
+            list.push(id);
+          }
+        } else if (action === 'reset') {
+          Object.assign(filters, DEFAULT_CONTENT_FILTERS, { groups: [], entries: [] });
+        } else {
+          changed = false;
+        }
+
+        if (changed) {
+          await setContentFilters(chatId, filters, userId);
+        }
+
+        const tr = translator(settings.language);
+        const screen = action === 'rooms' || action === 'g' || action === 'e'
+          ? await buildFilterRoomsScreen(filters, tr)
+          : { text: buildFiltersMessage(filters, tr), reply_markup: filtersKeyboard(filters, tr) };
+        await queuedEdit(screen.text, {
+          chat_id: chatId,
+          message_id: msgId,
+          parse_mode: 'HTML',
+          reply_markup: screen.reply_markup
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
 
       // Back button
       if (data === 'pa:back') {
-        await updateMessage(chatId, msgId);
+        await updateMessage(chatId, msgId, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
@@ -294,27 +912,20 @@ function setupCallbacks() {
       if (data === 'pa:toggle') {
         const settings = await getSettings(chatId);
         const newEnabled = !settings.enabled;
-        await updateSettings(chatId, { enabled: newEnabled });
-
-        if (newEnabled) {
-          startTimer(chatId);
-          startUpdateTimer(chatId, msgId);
-        } else {
-          stopTimer(chatId);
-          stopUpdateTimer(chatId);
-        }
+        await setChatEnabled(chatId, newEnabled, userId);
 
         const updatedSettings = await getSettings(chatId);
         const text = buildSettingsMessage(updatedSettings);
         const keyboard = settingsKeyboard(updatedSettings);
-        await bot.editMessageText(text, {
+        await queuedEdit(text, {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
           reply_markup: keyboard
-        });
+        }, PRIORITY.INTERACTIVE);
+        const tr = translator(updatedSettings.language);
         await bot.answerCallbackQuery(callbackQuery.id, {
-          text: newEnabled ? 'Updates enabled!' : 'Updates disabled'
+          text: tr(newEnabled ? 'answer.updates_enabled' : 'answer.updates_disabled')
         });
         return;
       }
@@ -323,67 +934,72 @@ function setupCallbacks() {
       if (data.startsWith('pa:int:')) {
         const hours = parseInt(data.split(':')[2]);
         if (INTERVALS.includes(hours)) {
-          await updateSettings(chatId, { repost_interval_hours: hours });
-
-          // Restart timer with new interval
-          const settings = await getSettings(chatId);
-          if (settings.enabled) {
-            startTimer(chatId);
-          }
+          await setRepostInterval(chatId, hours, userId);
 
           const updatedSettings = await getSettings(chatId);
           const text = buildSettingsMessage(updatedSettings);
           const keyboard = settingsKeyboard(updatedSettings);
-          await bot.editMessageText(text, {
+          await queuedEdit(text, {
             chat_id: chatId,
             message_id: msgId,
             parse_mode: 'HTML',
             reply_markup: keyboard
-          });
-          await bot.answerCallbackQuery(callbackQuery.id, { text: `Interval set to ${hours}h` });
+          }, PRIORITY.INTERACTIVE);
+          const tr = translator(updatedSettings.language);
+          await bot.answerCallbackQuery(callbackQuery.id, { text: tr('answer.interval_set', { hours }) });
         }
         return;
       }
 
       // Enable DM updates
       if (data === 'pa:enable_dm') {
-        await enableChat(userId, userId, 'private');
-        await postMessage(userId);
-        await bot.answerCallbackQuery(callbackQuery.id, { text: 'DM updates enabled!' });
+        await enableChat(userId, userId, 'private', detectLanguage(callbackQuery.from.language_code));
+        await postMessage(userId, PRIORITY.INTERACTIVE);
+        const tr = await getChatTranslator(userId);
+        await bot.answerCallbackQuery(callbackQuery.id, { text: tr('answer.dm_enabled') });
         return;
       }
 
       // View List (for DM subscribers)
       if (data === 'pa:view_list') {
-        const viewListText = buildViewListMessage();
-        await bot.editMessageText(viewListText, {
+        const tr = await getChatTranslator(chatId);
+        const viewListText = buildViewListMessage(tr);
+        await queuedEdit(viewListText, {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
           disable_web_page_preview: true,
-          reply_markup: viewListKeyboard()
-        });
+          reply_markup: viewListKeyboard(tr)
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
 
       // More Info
       if (data === 'pa:more_info') {
-        const moreInfoText = buildMoreInfoMessage();
-        await bot.editMessageText(moreInfoText, {
+        const tr = await getChatTranslator(chatId);
+        const moreInfoText = buildMoreInfoMessage(tr);
+        await queuedEdit(moreInfoText, {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
           disable_web_page_preview: true,
-          reply_markup: moreInfoKeyboard()
-        });
+          reply_markup: moreInfoKeyboard(tr)
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
 
-      // ========== ADMIN CALLBACKS (Super Admin Only) ==========
+      // Room watches (per user, DM only)
+      if (data === 'pa:watch' || data.startsWith('pa:watch:')) {
+        await handleWatchCallback(callbackQuery);
+        return;
+      }
+
+      // ========== ADMIN CALLBACKS (by role) ==========
 
-      if (data.startsWith('admin:') && !isSuperAdmin(userId)) {
+      const adminRole = data.startsWith('admin:') ? await getAdminRole(userId) : null;
+      if (data.startsWith('admin:') && !roleAtLeast(adminRole, requiredRoleForCallback(data))) {
         await bot.answerCallbackQuery(callbackQuery.id, { text: 'Access denied', show_alert: true });
         return;
       }
@@ -399,30 +1015,20 @@ function setupCallbacks() {
 Select an option below:
         `.trim();
 
-        await bot.editMessageText(text, {
+        await queuedEdit(text, {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: '📹 Manage Zoom Rooms', callback_data: 'admin:zoom' }],
-              [{ text: '💬 Manage Telegram Chats', callback_data: 'admin:telegram' }],
-              [{ text: '👥 Manage Subscriptions', callback_data: 'admin:subscriptions' }],
-              [{ text: '➕ Add Manual Entry', callback_data: 'admin:add' }],
-              [{ text: '👁 View Hidden Items', callback_data: 'admin:hidden' }],
-              [{ text: '🔄 Refresh Stats', callback_data: 'admin:refresh' }],
-              [{ text: '« Back to Room Pulse', callback_data: 'pa:back' }]
-            ]
-          }
-        });
+          reply_markup: adminPanelKeyboard(adminRole)
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
 
       // Refresh admin stats
       if (data === 'admin:refresh') {
-        await showAdminPanel(chatId);
-        await bot.deleteMessage(chatId, msgId).catch(() => {});
+        await showAdminPanel(chatId, adminRole);
+        await queuedDelete(chatId, msgId, PRIORITY.INTERACTIVE).catch(() => {});
         await bot.answerCallbackQuery(callbackQuery.id, { text: 'Stats refreshed!' });
         return;
       }
@@ -431,6 +1037,7 @@ Select an option below:
       if (data === 'admin:zoom') {
         const rooms = await getActiveRooms(60);
         const hiddenIds = await getHiddenMeetings();
+        const pinnedGroups = (await getPinnedRooms()).filter(pin => pin.kind === 'group').map(pin => pin.ref_id);
         const manualZoom = await getManualEntries('zoom');
 
         let text = `
@@ -446,13 +1053,22 @@ Select an option below:
         } else {
           for (const room of rooms) {
             const isHidden = hiddenIds.includes(room.meeting_id);
-            const status = isHidden ? '🔴 Hidden' : '🟢 Visible';
+            const isPinned = !room.is_manual && pinnedGroups.includes(room.group_number);
+            const status = (isHidden ? '🔴 Hidden' : '🟢 Visible') + (isPinned ? ' · 📌 Pinned' : '');
             const name = room.room_name || room.group_name || `Room ${room.group_number}`;
-            text += `\n• ${name} (${room.meeting_id})\n  ${status}\n`;
-            buttons.push([{
+            text += `\n• ${escapeHtml(name)} (${room.meeting_id})\n  ${status}\n`;
+            const row = [{
               text: `${isHidden ? '👁 Show' : '🙈 Hide'} ${name}`,
               callback_data: `admin:toggle_zoom:${room.meeting_id}`
-            }]);
+            }];
+            // Manual entries are pinned from their own screen
+            if (!room.is_manual) {
+              row.push({
+                text: isPinned ? '📌 Unpin' : '📌 Pin',
+                callback_data: `admin:pin_group:${room.group_number}`
+              });
+            }
+            buttons.push(row);
           }
         }
 
@@ -460,10 +1076,11 @@ Select an option below:
           text += '\n<b>Manual entries:</b>\n';
           for (const entry of manualZoom) {
             const expiry = entry.expires_at ? `expires ${new Date(entry.expires_at).toLocaleDateString()}` : 'permanent';
-            text += `\n• ${entry.name} (${entry.meeting_id})\n  ${expiry}\n`;
+            const availability = describeAvailability(entry.windows);
+            text += `\n• ${escapeHtml(entry.name)} (${entry.meeting_id})\n  ${expiry}${availability ? `\n  ${availability}` : ''}\n`;
             buttons.push([{
-              text: `🗑 Delete ${entry.name}`,
-              callback_data: `admin:del_manual:${entry.id}`
+              text: `✏️ ${entry.name}`,
+              callback_data: `admin:entry:${entry.id}`
             }]);
           }
         }
@@ -471,12 +1088,12 @@ Select an option below:
         buttons.push([{ text: '➕ Add Zoom Room', callback_data: 'admin:add_zoom' }]);
         buttons.push([{ text: '« Back', callback_data: 'admin:panel' }]);
 
-        await bot.editMessageText(text.trim(), {
+        await queuedEdit(text.trim(), {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
           reply_markup: { inline_keyboard: buttons }
-        });
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
@@ -498,7 +1115,7 @@ Select an option below:
           text += '<i>No configured chats</i>\n';
         } else {
           for (const group of telegramGroups) {
-            text += `\n• ${group.name}\n`;
+            text += `\n• ${escapeHtml(group.name)}\n`;
           }
         }
 
@@ -506,10 +1123,11 @@ Select an option below:
           text += '\n<b>Manual entries:</b>\n';
           for (const entry of manualTelegram) {
             const expiry = entry.expires_at ? `expires ${new Date(entry.expires_at).toLocaleDateString()}` : 'permanent';
-            text += `\n• ${entry.name}\n  ${expiry}\n`;
+            const availability = describeAvailability(entry.windows);
+            text += `\n• ${escapeHtml(entry.name)}\n  ${expiry}${availability ? `\n  ${availability}` : ''}\n`;
             buttons.push([{
-              text: `🗑 Delete ${entry.name}`,
-              callback_data: `admin:del_manual:${entry.id}`
+              text: `✏️ ${entry.name}`,
+              callback_data: `admin:entry:${entry.id}`
             }]);
           }
         }
@@ -517,12 +1135,12 @@ Select an option below:
         buttons.push([{ text: '➕ Add Telegram Chat', callback_data: 'admin:add_telegram' }]);
         buttons.push([{ text: '« Back', callback_data: 'admin:panel' }]);
 
-        await bot.editMessageText(text.trim(), {
+        await queuedEdit(text.trim(), {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
           reply_markup: { inline_keyboard: buttons }
-        });
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
@@ -536,7 +1154,7 @@ Select an option below:
 Select entry type:
         `.trim();
 
-        await bot.editMessageText(text, {
+        await queuedEdit(text, {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
@@ -547,91 +1165,211 @@ Select entry type:
               [{ text: '« Back', callback_data: 'admin:panel' }]
             ]
           }
-        });
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
 
-      // Add Zoom Room prompt
-      if (data === 'admin:add_zoom') {
-        const text = `
-<b>➕ ADD ZOOM ROOM</b>
-━━━━━━━━━━━━━━━━━━
+      // Add Zoom Room / Telegram Chat wizard
+      if (data === 'admin:add_zoom' || data === 'admin:add_telegram') {
+        await startWizard(userId, chatId, msgId, data === 'admin:add_zoom' ? 'zoom' : 'telegram');
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return;
+      }
 
-Send a message in this format:
+      // Wizard buttons (expiry presets, save, back, cancel)
+      if (data.startsWith('admin:wiz_')) {
+        const wizard = await getWizard(userId);
+        if (!wizard || String(wizard.message_id) !== String(msgId)) {
+          await bot.answerCallbackQuery(callbackQuery.id, { text: 'This wizard has expired', show_alert: true });
+          return;
+        }
+        const steps = WIZARD_STEPS[wizard.entry_type];
+        const listCallback = wizard.entry_type === 'zoom' ? 'admin:zoom' : 'admin:telegram';
 
-<code>/addzoom Name|MeetingID|ExpireHours</code>
+        if (data === 'admin:wiz_cancel' || (data === 'admin:wiz_back' && wizard.step === steps[0])) {
+          await clearWizard(userId);
+          await bot.answerCallbackQuery(callbackQuery.id, data === 'admin:wiz_cancel' ? { text: 'Cancelled' } : {});
+          bot.emit('callback_query', { ...callbackQuery, data: listCallback });
+          return;
+        }
 
-Examples:
-<code>/addzoom Party Room|1234567890|24</code>
-<code>/addzoom VIP Lounge|9876543210</code>
+        if (data === 'admin:wiz_back') {
+          wizard.step = steps[steps.indexOf(wizard.step) - 1];
+          await saveWizard(wizard);
+          await editWizardScreen(wizard);
+          await bot.answerCallbackQuery(callbackQuery.id);
+          return;
+        }
 
-ExpireHours is optional (omit for permanent)
-        `.trim();
+        if (data.startsWith('admin:wiz_exp:') && wizard.step === 'expiry') {
+          const hours = parseInt(data.replace('admin:wiz_exp:', ''));
+          wizard.data.expires_hours = WIZARD_EXPIRY_PRESETS.includes(hours) ? hours : null;
+          wizard.step = 'confirm';
+          await saveWizard(wizard);
+          await editWizardScreen(wizard);
+          await bot.answerCallbackQuery(callbackQuery.id);
+          return;
+        }
+
+        if (data === 'admin:wiz_save' && wizard.step === 'confirm') {
+          const { name, meeting_id: meetingId, invite_link: inviteLink, expires_hours: expiresHours } = wizard.data;
+          await addManualEntry(wizard.entry_type, name, meetingId || null, inviteLink || null, expiresHours || null, userId);
+          await clearWizard(userId);
+          await bot.answerCallbackQuery(callbackQuery.id, {
+            text: `Added ${name}${expiresHours ? ` (expires in ${expiresHours}h)` : ' (permanent)'}`
+          });
+          bot.emit('callback_query', { ...callbackQuery, data: listCallback });
+          return;
+        }
 
-        await bot.editMessageText(text, {
-          chat_id: chatId,
-          message_id: msgId,
-          parse_mode: 'HTML',
-          reply_markup: {
-            inline_keyboard: [[{ text: '« Back', callback_data: 'admin:zoom' }]]
-          }
-        });
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
 
-      // Add Telegram Chat prompt
-      if (data === 'admin:add_telegram') {
-        const text = `
-<b>➕ ADD TELEGRAM CHAT</b>
-━━━━━━━━━━━━━━━━━━
+      // Toggle Zoom visibility
+      if (data.startsWith('admin:toggle_zoom:')) {
+        const meetingId = data.replace('admin:toggle_zoom:', '');
+        const hiddenIds = await getHiddenMeetings();
 
-Send a message in this format:
+        if (hiddenIds.includes(meetingId)) {
+          await unhideMeeting(meetingId, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Room is now visible' });
+        } else {
+          await hideMeeting(meetingId, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Room is now hidden' });
+        }
+
+        // Refresh the zoom panel
+        bot.emit('callback_query', { ...callbackQuery, data: 'admin:zoom' });
+        return;
+      }
 
-<code>/addtg Name|InviteLink|ExpireHours</code>
+      // Pin / unpin an auto-detected room group
+      if (data.startsWith('admin:pin_group:')) {
+        const groupNumber = parseInt(data.replace('admin:pin_group:', ''));
 
-Examples:
-<code>/addtg VIP Lounge|https://t.me/+abc123|24</code>
-<code>/addtg Main Chat|https://t.me/mychat</code>
+        if (await isRoomPinned('group', groupNumber)) {
+          await unpinRoom('group', groupNumber, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Room unpinned' });
+        } else {
+          await pinRoom('group', groupNumber, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Room pinned to the top' });
+        }
 
-ExpireHours is optional (omit for permanent)
-        `.trim();
+        // Refresh the zoom panel
+        bot.emit('callback_query', { ...callbackQuery, data: 'admin:zoom' });
+        return;
+      }
+
+      // Manual entry detail / time windows (also cancel a pending field edit)
+      if (data.startsWith('admin:entry:') || data.startsWith('admin:entry_win:')) {
+        const entry = await getManualEntry(parseInt(data.split(':')[2]));
+        const pending = await getWizard(userId);
+        if (pending && pending.step.startsWith('edit_')) {
+          await clearWizard(userId);
+        }
+        if (!entry) {
+          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Entry not found', show_alert: true });
+          return;
+        }
 
-        await bot.editMessageText(text, {
+        const screen = data.startsWith('admin:entry_win:')
+          ? buildEntryWindowsScreen(entry)
+          : buildManualEntryScreen(entry, await isRoomPinned('entry', entry.id));
+        await queuedEdit(screen.text, {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
-          reply_markup: {
-            inline_keyboard: [[{ text: '« Back', callback_data: 'admin:telegram' }]]
-          }
-        });
+          disable_web_page_preview: true,
+          reply_markup: screen.reply_markup
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
 
-      // Toggle Zoom visibility
-      if (data.startsWith('admin:toggle_zoom:')) {
-        const meetingId = data.replace('admin:toggle_zoom:', '');
-        const hiddenIds = await getHiddenMeetings();
+      // Edit a manual entry field (the admin replies with the new value)
+      if (data.startsWith('admin:entry_edit:')) {
+        const [id, field] = data.replace('admin:entry_edit:', '').split(':');
+        const entry = await getManualEntry(parseInt(id));
+        if (!entry || !ENTRY_EDIT_FIELDS[field]) {
+          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Entry not found', show_alert: true });
+          return;
+        }
 
-        if (hiddenIds.includes(meetingId)) {
-          await unhideMeeting(meetingId);
-          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Room is now visible' });
+        await saveWizard({
+          user_id: userId,
+          chat_id: chatId,
+          message_id: msgId,
+          entry_type: entry.entry_type,
+          step: `edit_${field}`,
+          data: { entry_id: entry.id }
+        });
+        const screen = buildEntryEditScreen(entry, field);
+        await queuedEdit(screen.text, {
+          chat_id: chatId,
+          message_id: msgId,
+          parse_mode: 'HTML',
+          disable_web_page_preview: true,
+          reply_markup: screen.reply_markup
+        }, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return;
+      }
+
+      // Remove a time window
+      if (data.startsWith('admin:entry_windel:')) {
+        const [id, index] = data.replace('admin:entry_windel:', '').split(':').map(Number);
+        const entry = await getManualEntry(id);
+        if (entry && entry.windows && entry.windows[index]) {
+          const windows = entry.windows.filter((_, i) => i !== index);
+          await updateManualEntry(id, { windows }, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Window removed' });
         } else {
-          await hideMeeting(meetingId, userId);
-          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Room is now hidden' });
+          await bot.answerCallbackQuery(callbackQuery.id);
+        }
+        bot.emit('callback_query', { ...callbackQuery, data: `admin:entry_win:${id}` });
+        return;
+      }
+
+      // Extend / set / clear a manual entry's expiry, or toggle hidden / pinned
+      if (data.startsWith('admin:entry_ext:') || data.startsWith('admin:entry_exp:') ||
+          data.startsWith('admin:entry_perm:') || data.startsWith('admin:entry_hide:') ||
+          data.startsWith('admin:entry_pin:')) {
+        const [, action, id, hoursParam] = data.split(':');
+        const entryId = parseInt(id);
+        const hours = parseInt(hoursParam);
+        let notice;
+
+        if (action === 'entry_hide') {
+          await toggleHideManualEntry(entryId, userId);
+          notice = 'Visibility updated';
+        } else if (action === 'entry_pin') {
+          if (await isRoomPinned('entry', entryId)) {
+            await unpinRoom('entry', entryId, userId);
+            notice = 'Unpinned';
+          } else {
+            await pinRoom('entry', entryId, userId);
+            notice = 'Pinned to the top';
+          }
+        } else if (action === 'entry_perm') {
+          await updateManualEntry(entryId, { expires_hours: null }, userId);
+          notice = 'Entry is now permanent';
+        } else if (ENTRY_EXTEND_PRESETS.includes(hours)) {
+          const updates = action === 'entry_ext' ? { extend_hours: hours } : { expires_hours: hours };
+          await updateManualEntry(entryId, updates, userId);
+          notice = action === 'entry_ext' ? `Extended by ${hours}h` : `Expires in ${hours}h`;
         }
 
-        // Refresh the zoom panel
-        bot.emit('callback_query', { ...callbackQuery, data: 'admin:zoom' });
+        await bot.answerCallbackQuery(callbackQuery.id, notice ? { text: notice } : {});
+        bot.emit('callback_query', { ...callbackQuery, data: `admin:entry:${entryId}` });
         return;
       }
 
       // Delete manual entry
       if (data.startsWith('admin:del_manual:')) {
         const id = parseInt(data.replace('admin:del_manual:', ''));
-        await deleteManualEntry(id);
+        await deleteManualEntry(id, userId);
         await bot.answerCallbackQuery(callbackQuery.id, { text: 'Entry deleted' });
         // Go back to admin panel
         bot.emit('callback_query', { ...callbackQuery, data: 'admin:panel' });
@@ -658,7 +1396,7 @@ ExpireHours is optional (omit for permanent)
           if (hiddenIds.length > 0) {
             text += '<b>Hidden Zoom Rooms:</b>\n';
             for (const id of hiddenIds) {
-              text += `• ${id}\n`;
+              text += `• ${escapeHtml(id)}\n`;
               buttons.push([{
                 text: `👁 Unhide ${id}`,
                 callback_data: `admin:toggle_zoom:${id}`
@@ -669,7 +1407,7 @@ ExpireHours is optional (omit for permanent)
           if (hiddenManual.rows.length > 0) {
             text += '\n<b>Hidden Manual Entries:</b>\n';
             for (const entry of hiddenManual.rows) {
-              text += `• ${entry.name}\n`;
+              text += `• ${escapeHtml(entry.name)}\n`;
               buttons.push([{
                 text: `👁 Unhide ${entry.name}`,
                 callback_data: `admin:unhide_manual:${entry.id}`
@@ -680,12 +1418,12 @@ ExpireHours is optional (omit for permanent)
 
         buttons.push([{ text: '« Back', callback_data: 'admin:panel' }]);
 
-        await bot.editMessageText(text.trim(), {
+        await queuedEdit(text.trim(), {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
           reply_markup: { inline_keyboard: buttons }
-        });
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
@@ -693,7 +1431,7 @@ ExpireHours is optional (omit for permanent)
       // Unhide manual entry
       if (data.startsWith('admin:unhide_manual:')) {
         const id = parseInt(data.replace('admin:unhide_manual:', ''));
-        await toggleHideManualEntry(id);
+        await toggleHideManualEntry(id, userId);
         await bot.answerCallbackQuery(callbackQuery.id, { text: 'Entry unhidden' });
         bot.emit('callback_query', { ...callbackQuery, data: 'admin:hidden' });
         return;
@@ -779,12 +1517,12 @@ ExpireHours is optional (omit for permanent)
         buttons.push([{ text: '➕ Enroll New', callback_data: 'admin:enroll' }]);
         buttons.push([{ text: '« Back', callback_data: 'admin:panel' }]);
 
-        await bot.editMessageText(text.trim(), {
+        await queuedEdit(text.trim(), {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
           reply_markup: { inline_keyboard: buttons }
-        });
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
@@ -809,14 +1547,14 @@ Send a message with the chat ID to enroll:
 The bot will start posting to this chat.
         `.trim();
 
-        await bot.editMessageText(text, {
+        await queuedEdit(text, {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
           reply_markup: {
             inline_keyboard: [[{ text: '« Back', callback_data: 'admin:subscriptions' }]]
           }
-        });
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
@@ -829,6 +1567,10 @@ The bot will start posting to this chat.
         const status = sub.enabled ? '🟢 Enabled' : '🔴 Disabled';
         const interval = sub.repost_interval_hours || 4;
         const chatType = sub.chat_type || 'unknown';
+        const disabledLine = !sub.enabled && sub.disabled_reason
+          ? `\n<b>Reason:</b> ${DISABLED_REASONS[sub.disabled_reason] || sub.disabled_reason}` +
+            (sub.disabled_at ? ` (${new Date(sub.disabled_at).toLocaleString()})` : '')
+          : '';
 
         const text = `
 <b>📋 SUBSCRIPTION DETAILS</b>
@@ -836,18 +1578,18 @@ The bot will start posting to this chat.
 
 <b>Chat ID:</b> <code>${subChatId}</code>
 <b>Type:</b> ${chatType}
-<b>Status:</b> ${status}
-<b>Interval:</b> ${interval}h
+<b>Status:</b> ${status}${disabledLine}
+${sub.post_schedule ? `<b>Schedule:</b> <code>${escapeHtml(sub.post_schedule)}</code>` : `<b>Interval:</b> ${interval}h`}
 
 Select an action:
         `.trim();
 
         const intervalBtns = [1, 2, 4, 8, 12, 24].map(h => ({
-          text: h === interval ? `[${h}h]` : `${h}h`,
+          text: h === interval && !sub.post_schedule ? `[${h}h]` : `${h}h`,
           callback_data: `admin:sub_int:${subChatId}:${h}`
         }));
 
-        await bot.editMessageText(text, {
+        await queuedEdit(text, {
           chat_id: chatId,
           message_id: msgId,
           parse_mode: 'HTML',
@@ -861,7 +1603,7 @@ Select an action:
               [{ text: '« Back', callback_data: 'admin:subscriptions' }]
             ]
           }
-        });
+        }, PRIORITY.INTERACTIVE);
         await bot.answerCallbackQuery(callbackQuery.id);
         return;
       }
@@ -871,14 +1613,7 @@ Select an action:
         const subChatId = parseInt(data.replace('admin:sub_toggle:', ''));
         const sub = await getSettings(subChatId);
         const newEnabled = !sub.enabled;
-        await updateSettings(subChatId, { enabled: newEnabled });
-
-        if (newEnabled) {
-          startTimer(subChatId);
-        } else {
-          stopTimer(subChatId);
-          stopUpdateTimer(subChatId);
-        }
+        await setChatEnabled(subChatId, newEnabled, userId);
 
         await bot.answerCallbackQuery(callbackQuery.id, {
           text: newEnabled ? 'Subscription enabled' : 'Subscription disabled'
@@ -893,11 +1628,7 @@ Select an action:
         const subChatId = parseInt(parts[0]);
         const hours = parseInt(parts[1]);
 
-        await updateSettings(subChatId, { repost_interval_hours: hours });
-        const sub = await getSettings(subChatId);
-        if (sub.enabled) {
-          startTimer(subChatId);
-        }
+        await setRepostInterval(subChatId, hours, userId);
 
         await bot.answerCallbackQuery(callbackQuery.id, { text: `Interval set to ${hours}h` });
         bot.emit('callback_query', { ...callbackQuery, data: `admin:sub_view:${subChatId}` });
@@ -907,11 +1638,11 @@ Select an action:
       // Force post to subscription
       if (data.startsWith('admin:sub_post:')) {
         const subChatId = parseInt(data.replace('admin:sub_post:', ''));
-        try {
-          await postMessage(subChatId);
+        const msg = await forcePost(subChatId, userId);
+        if (msg) {
           await bot.answerCallbackQuery(callbackQuery.id, { text: 'Message posted!' });
-        } catch (e) {
-          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Failed: ' + e.message, show_alert: true });
+        } else {
+          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Failed to post (see logs)', show_alert: true });
         }
         return;
       }
@@ -919,14 +1650,241 @@ Select an action:
       // Delete/Unenroll subscription
       if (data.startsWith('admin:sub_del:')) {
         const subChatId = parseInt(data.replace('admin:sub_del:', ''));
-        stopTimer(subChatId);
-        stopUpdateTimer(subChatId);
-        await query('DELETE FROM promo_attendant_settings WHERE chat_id = $1', [subChatId]);
+        await unenrollChat(subChatId, userId);
         await bot.answerCallbackQuery(callbackQuery.id, { text: 'Subscription removed' });
         bot.emit('callback_query', { ...callbackQuery, data: 'admin:subscriptions' });
         return;
       }
 
+      // Manage Admins
+      if (data === 'admin:admins') {
+        const admins = await getAdmins();
+
+        let text = `
+<b>🛡 ADMINS</b>
+━━━━━━━━━━━━━━━━━━
+
+<b>owner</b> - everything, incl. admins
+<b>moderator</b> - rooms and hidden items
+<b>viewer</b> - stats only
+`;
+        const buttons = [];
+
+        const superAdminId = process.env.PROMO_ATTENDANT_SUPER_ADMIN;
+        if (superAdminId) {
+          text += `\n🔒 <code>${superAdminId}</code> - owner (PROMO_ATTENDANT_SUPER_ADMIN)`;
+        }
+        for (const admin of admins) {
+          text += `\n• <code>${admin.user_id}</code> - ${admin.role}`;
+          buttons.push([{
+            text: `✏️ ${admin.user_id} (${admin.role})`,
+            callback_data: `admin:admin_view:${admin.user_id}`
+          }]);
+        }
+        if (!superAdminId && admins.length === 0) {
+          text += '\n<i>No admins yet</i>';
+        }
+
+        buttons.push([{ text: '➕ Add Admin', callback_data: 'admin:admin_add' }]);
+        buttons.push([{ text: '« Back', callback_data: 'admin:panel' }]);
+
+        await queuedEdit(text.trim(), {
+          chat_id: chatId,
+          message_id: msgId,
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: buttons }
+        }, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return;
+      }
+
+      // Add admin prompt
+      if (data === 'admin:admin_add') {
+        const text = `
+<b>➕ ADD ADMIN</b>
+━━━━━━━━━━━━━━━━━━
+
+Send a message in this format:
+
+<code>/addadmin UserID|Role</code>
+
+<b>Roles:</b> owner, moderator, viewer
+
+Examples:
+<code>/addadmin 123456789|moderator</code>
+<code>/addadmin 987654321|viewer</code>
+
+Sending it again for an existing admin changes their role.
+        `.trim();
+
+        await queuedEdit(text, {
+          chat_id: chatId,
+          message_id: msgId,
+          parse_mode: 'HTML',
+          reply_markup: {
+            inline_keyboard: [[{ text: '« Back', callback_data: 'admin:admins' }]]
+          }
+        }, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return;
+      }
+
+      // View/Edit admin
+      if (data.startsWith('admin:admin_view:')) {
+        const adminUserId = data.replace('admin:admin_view:', '');
+        const role = await getAdminRole(adminUserId);
+
+        const text = `
+<b>🛡 ADMIN DETAILS</b>
+━━━━━━━━━━━━━━━━━━
+
+<b>User ID:</b> <code>${adminUserId}</code>
+<b>Role:</b> ${role || 'none'}
+
+Select an action:
+        `.trim();
+
+        const roleBtns = ADMIN_ROLES.map(r => ({
+          text: r === role ? `[${r}]` : r,
+          callback_data: `admin:admin_role:${adminUserId}:${r}`
+        }));
+
+        await queuedEdit(text, {
+          chat_id: chatId,
+          message_id: msgId,
+          parse_mode: 'HTML',
+          reply_markup: {
+            inline_keyboard: [
+              roleBtns,
+              [{ text: '🗑 Remove Admin', callback_data: `admin:admin_del:${adminUserId}` }],
+              [{ text: '« Back', callback_data: 'admin:admins' }]
+            ]
+          }
+        }, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return;
+      }
+
+      // Change admin role
+      if (data.startsWith('admin:admin_role:')) {
+        const [adminUserId, role] = data.replace('admin:admin_role:', '').split(':');
+        try {
+          await setAdminRole(adminUserId, role, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, { text: `Role set to ${role}` });
+        } catch (e) {
+          await bot.answerCallbackQuery(callbackQuery.id, { text: e.message, show_alert: true });
+        }
+        bot.emit('callback_query', { ...callbackQuery, data: `admin:admin_view:${adminUserId}` });
+        return;
+      }
+
+      // Remove admin
+      if (data.startsWith('admin:admin_del:')) {
+        const adminUserId = data.replace('admin:admin_del:', '');
+        try {
+          await removeAdmin(adminUserId, userId);
+          await bot.answerCallbackQuery(callbackQuery.id, { text: 'Admin removed' });
+        } catch (e) {
+          await bot.answerCallbackQuery(callbackQuery.id, { text: e.message, show_alert: true });
+        }
+        bot.emit('callback_query', { ...callbackQuery, data: 'admin:admins' });
+        return;
+      }
+
+      // Global branding (owner only)
+      if (data === 'admin:brand' || data.startsWith('admin:brand:')) {
+        await handleBrandingCallback(callbackQuery);
+        return;
+      }
+
+      // Audit Log: admin:audit:<page>:<actor|->:<action|->
+      if (data === 'admin:audit' || data.startsWith('admin:audit:')) {
+        const [pageStr, actorStr, actionStr] = data.replace(/^admin:audit:?/, '').split(':');
+        const page = parseInt(pageStr) || 0;
+        const actorId = actorStr && actorStr !== '-' ? actorStr : null;
+        const action = actionStr && actionStr !== '-' ? actionStr : null;
+        const filterKey = `${actorId || '-'}:${action || '-'}`;
+
+        const { rows, total } = await getAuditLog({
+          actorId,
+          action,
+          limit: AUDIT_PAGE_SIZE,
+          offset: page * AUDIT_PAGE_SIZE
+        });
+        const totalPages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+
+        let text = `
+<b>📜 AUDIT LOG</b>
+━━━━━━━━━━━━━━━━━━
+`;
+        if (actorId || action) {
+          text += `<b>Filter:</b> ${actorId ? `actor <code>${actorId}</code> ` : ''}${action ? `action <b>${action}</b>` : ''}\n`;
+        }
+        text += `<b>Page ${page + 1}/${totalPages}</b> (${total} entries)\n`;
+
+        if (rows.length === 0) {
+          text += '\n<i>No entries</i>';
+        }
+        for (const entry of rows) {
+          text += `\n${formatAuditEntry(entry)}\n`;
+        }
+
+        const buttons = [];
+        const navRow = [];
+        if (page > 0) {
+          navRow.push({ text: '« Prev', callback_data: `admin:audit:${page - 1}:${filterKey}` });
+        }
+        navRow.push({ text: `${page + 1}/${totalPages}`, callback_data: `admin:audit:${page}:${filterKey}` });
+        if (page < totalPages - 1) {
+          navRow.push({ text: 'Next »', callback_data: `admin:audit:${page + 1}:${filterKey}` });
+        }
+        buttons.push(navRow);
+        buttons.push([
+          { text: '👤 By Actor', callback_data: `admin:audit_actors:${action || '-'}` },
+          { text: '🏷 By Action', callback_data: `admin:audit_actions:${actorId || '-'}` }
+        ]);
+        if (actorId || action) {
+          buttons.push([{ text: '✖️ Clear Filters', callback_data: 'admin:audit:0:-:-' }]);
+        }
+        buttons.push([{ text: '« Back', callback_data: 'admin:panel' }]);
+
+        await queuedEdit(text.trim(), {
+          chat_id: chatId,
+          message_id: msgId,
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: buttons }
+        }, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return;
+      }
+
+      // Audit Log filter pickers (keep the other filter as-is)
+      if (data.startsWith('admin:audit_actors:') || data.startsWith('admin:audit_actions:')) {
+        const byActor = data.startsWith('admin:audit_actors:');
+        const otherFilter = data.split(':')[2];
+        const values = await getAuditFilterValues(byActor ? 'actor_id' : 'action');
+
+        const buttons = values.map(value => [{
+          text: String(value),
+          callback_data: byActor
+            ? `admin:audit:0:${value}:${otherFilter}`
+            : `admin:audit:0:${otherFilter}:${value}`
+        }]);
+        buttons.push([{
+          text: '« Back',
+          callback_data: byActor ? `admin:audit:0:-:${otherFilter}` : `admin:audit:0:${otherFilter}:-`
+        }]);
+
+        await queuedEdit(`<b>📜 AUDIT LOG</b>\n━━━━━━━━━━━━━━━━━━\n\nFilter by ${byActor ? 'actor' : 'action'}:`, {
+          chat_id: chatId,
+          message_id: msgId,
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: buttons }
+        }, PRIORITY.INTERACTIVE);
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return;
+      }
+
       await bot.answerCallbackQuery(callbackQuery.id);
     } catch (error) {
       console.error('[PromoAttendant] Callback error:', error.message);
@@ -938,9 +1896,24 @@ Select an action:
 }
 
 /**
- * Run database migration
+ * Run database migration, one replica at a time
+ * (replicas starting together would otherwise race on the DDL, e.g. the audit log trigger)
  */
 async function runPromoAttendantMigration() {
+  const client = await getClient();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await migrateSchema();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Create or upgrade every table (run under the migration lock)
+ */
+async function migrateSchema() {
   console.log('[PromoAttendant] Running database migration...');
 
   await query(`
@@ -962,13 +1935,86 @@ async function runPromoAttendantMigration() {
     ALTER TABLE promo_attendant_settings
     ADD COLUMN IF NOT EXISTS chat_type VARCHAR(20) DEFAULT 'unknown'
   `).catch(() => {});
-  console.log('[PromoAttendant] 1/4 promo_attendant_settings table');
+  // Quiet hours: timezone (NULL = PROMO_ATTENDANT_TIMEZONE), windows as
+  // [{days, start, end}] in that timezone, and defer/skip (NULL = defer)
+  await query(`
+    ALTER TABLE promo_attendant_settings
+    ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS quiet_hours JSONB,
+    ADD COLUMN IF NOT EXISTS quiet_mode VARCHAR(10)
+  `);
+  // Cron-style posting schedule (NULL = every repost_interval_hours)
+  await query(`
+    ALTER TABLE promo_attendant_settings
+    ADD COLUMN IF NOT EXISTS post_schedule VARCHAR(200)
+  `);
+  // Per-chat room order (NULL = admin-defined order)
+  await query(`
+    ALTER TABLE promo_attendant_settings
+    ADD COLUMN IF NOT EXISTS sort_mode VARCHAR(20)
+  `);
+  // Page of the room list the chat's embed is showing
+  await query(`
+    ALTER TABLE promo_attendant_settings
+    ADD COLUMN IF NOT EXISTS current_page INTEGER DEFAULT 0
+  `);
+  // Per-chat language for user-facing text (NULL = default)
+  await query(`
+    ALTER TABLE promo_attendant_settings
+    ADD COLUMN IF NOT EXISTS language VARCHAR(8)
+  `);
+  // Per-chat embed layout (NULL = default)
+  await query(`
+    ALTER TABLE promo_attendant_settings
+    ADD COLUMN IF NOT EXISTS layout VARCHAR(20)
+  `);
+  // Per-chat branding (NULL = global / built-in)
+  await query(`
+    ALTER TABLE promo_attendant_settings
+    ADD COLUMN IF NOT EXISTS branding JSONB
+  `);
+  // Per-chat content filters (NULL = show everything)
+  await query(`
+    ALTER TABLE promo_attendant_settings
+    ADD COLUMN IF NOT EXISTS content_filters JSONB
+  `);
+  // Auto-disable bookkeeping (blocked / kicked / no rights)
+  await query(`
+    ALTER TABLE promo_attendant_settings
+    ADD COLUMN IF NOT EXISTS disabled_reason VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ
+  `);
+  // Persistent schedule columns (the scheduler claims rows whose time has come)
+  await query(`
+    ALTER TABLE promo_attendant_settings
+    ADD COLUMN IF NOT EXISTS next_post_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS next_edit_at TIMESTAMPTZ
+  `);
+  // Backfill schedules for installations that used in-memory timers
+  await query(`
+    UPDATE promo_attendant_settings
+    SET next_post_at = GREATEST(
+          COALESCE(last_posted_at + INTERVAL '1 hour' * repost_interval_hours, NOW()),
+          NOW()
+        ),
+        next_edit_at = CASE WHEN last_message_id IS NOT NULL THEN NOW() END
+    WHERE enabled = TRUE AND next_post_at IS NULL
+  `);
+  console.log('[PromoAttendant] 1/10 promo_attendant_settings table');
 
   await query(`
     CREATE INDEX IF NOT EXISTS idx_promo_attendant_enabled
     ON promo_attendant_settings(enabled) WHERE enabled = TRUE
   `);
-  console.log('[PromoAttendant] 2/4 indexes created');
+  await query(`
+    CREATE INDEX IF NOT EXISTS idx_promo_attendant_next_post
+    ON promo_attendant_settings(next_post_at) WHERE enabled = TRUE
+  `);
+  await query(`
+    CREATE INDEX IF NOT EXISTS idx_promo_attendant_next_edit
+    ON promo_attendant_settings(next_edit_at) WHERE enabled = TRUE
+  `);
+  console.log('[PromoAttendant] 2/10 indexes created');
 
   // Manual entries table (admin can add custom rooms)
   await query(`
@@ -986,7 +2032,18 @@ async function runPromoAttendantMigration() {
       updated_at TIMESTAMPTZ DEFAULT NOW()
     )
   `);
-  console.log('[PromoAttendant] 3/4 promo_attendant_manual_entries table');
+  // Recurring availability windows (NULL = always, see services/timeWindows.js)
+  await query(`
+    ALTER TABLE promo_attendant_manual_entries
+    ADD COLUMN IF NOT EXISTS windows JSONB
+  `);
+  // Expiry housekeeping: when the creator was warned, when the expired row was archived
+  await query(`
+    ALTER TABLE promo_attendant_manual_entries
+    ADD COLUMN IF NOT EXISTS expiry_warned_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ
+  `);
+  console.log('[PromoAttendant] 3/10 promo_attendant_manual_entries table');
 
   // Hidden meetings table (hide auto-detected meetings)
   await query(`
@@ -996,25 +2053,163 @@ async function runPromoAttendantMigration() {
       hidden_at TIMESTAMPTZ DEFAULT NOW()
     )
   `);
-  console.log('[PromoAttendant] 4/4 promo_attendant_hidden table');
-
-  console.log('[PromoAttendant] Migration complete!');
-}
+  console.log('[PromoAttendant] 4/10 promo_attendant_hidden table');
 
-/**
- * Show admin panel (super admin only)
- */
-async function showAdminPanel(chatId) {
-  // Get subscription stats
-  const stats = await getSubscriptionStats();
-  const total = parseInt(stats.total_active) || 0;
-  const dms = parseInt(stats.dm_count) || 0;
-  const groups = parseInt(stats.group_count) + parseInt(stats.supergroup_count) || 0;
-  const channels = parseInt(stats.channel_count) || 0;
+  // Admins table (roles replace the single PROMO_ATTENDANT_SUPER_ADMIN)
+  await query(`
+    CREATE TABLE IF NOT EXISTS promo_attendant_admins (
+      user_id BIGINT PRIMARY KEY,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'moderator', 'viewer')),
+      added_by BIGINT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  console.log('[PromoAttendant] 5/10 promo_attendant_admins table');
 
-  // Build interval distribution chart
-  const intervals = [
-    { h: 1, count: parseInt(stats.interval_1h) || 0 },
+  // Audit log (append-only: a trigger rejects UPDATE and DELETE)
+  await query(`
+    CREATE TABLE IF NOT EXISTS promo_attendant_audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor_id BIGINT,
+      action VARCHAR(50) NOT NULL,
+      target VARCHAR(100),
+      before_value JSONB,
+      after_value JSONB,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await query(`
+    CREATE INDEX IF NOT EXISTS idx_promo_attendant_audit_actor
+    ON promo_attendant_audit_log(actor_id, created_at DESC)
+  `);
+  await query(`
+    CREATE INDEX IF NOT EXISTS idx_promo_attendant_audit_action
+    ON promo_attendant_audit_log(action, created_at DESC)
+  `);
+  await query(`
+    CREATE OR REPLACE FUNCTION promo_attendant_audit_log_immutable() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'promo_attendant_audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  // One multi-statement query runs as a single transaction, so the table is never without the trigger
+  await query(`
+    DROP TRIGGER IF EXISTS trg_promo_attendant_audit_log_immutable ON promo_attendant_audit_log;
+    CREATE TRIGGER trg_promo_attendant_audit_log_immutable
+    BEFORE UPDATE OR DELETE ON promo_attendant_audit_log
+    FOR EACH ROW EXECUTE FUNCTION promo_attendant_audit_log_immutable()
+  `);
+  console.log('[PromoAttendant] 6/10 promo_attendant_audit_log table');
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS promo_attendant_wizards (
+      user_id BIGINT PRIMARY KEY,
+      chat_id BIGINT NOT NULL,
+      message_id BIGINT,
+      entry_type VARCHAR(20) NOT NULL,
+      step VARCHAR(${WIZARD_STEP_MAX_LENGTH}) NOT NULL,
+      data JSONB NOT NULL DEFAULT '{}',
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  // Widen step for installations created with VARCHAR(20)
+  await query(`
+    ALTER TABLE promo_attendant_wizards
+    ALTER COLUMN step TYPE VARCHAR(${WIZARD_STEP_MAX_LENGTH})
+  `);
+  console.log('[PromoAttendant] 7/10 promo_attendant_wizards table');
+
+  // Global settings (e.g. branding) edited by owners
+  await query(`
+    CREATE TABLE IF NOT EXISTS promo_attendant_config (
+      key VARCHAR(50) PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_by BIGINT,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  console.log('[PromoAttendant] 8/10 promo_attendant_config table');
+
+  // Rooms pinned to the top of every chat's list (kind: 'group' = room group number,
+  // 'entry' = manual entry ID)
+  await query(`
+    CREATE TABLE IF NOT EXISTS promo_attendant_pinned (
+      kind VARCHAR(10) NOT NULL CHECK (kind IN ('group', 'entry')),
+      ref_id INTEGER NOT NULL,
+      pinned_by BIGINT,
+      pinned_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (kind, ref_id)
+    )
+  `);
+  console.log('[PromoAttendant] 9/10 promo_attendant_pinned table');
+
+  // Per-user room watches (see services/watches.js); target_name is the room's
+  // name when the watch was made, for the list screen
+  await query(`
+    CREATE TABLE IF NOT EXISTS promo_attendant_watches (
+      id SERIAL PRIMARY KEY,
+      user_id BIGINT NOT NULL,
+      target_kind VARCHAR(10) NOT NULL CHECK (target_kind IN ('any', 'group', 'meeting')),
+      target_id VARCHAR(50),
+      target_name VARCHAR(255),
+      min_participants INTEGER NOT NULL DEFAULT 0,
+      last_alert_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_attendant_watches_rule
+    ON promo_attendant_watches(user_id, target_kind, COALESCE(target_id, ''), min_participants)
+  `);
+  console.log('[PromoAttendant] 10/10 promo_attendant_watches table');
+
+  console.log('[PromoAttendant] Migration complete!');
+}
+
+/**
+ * Build admin panel keyboard (only the sections the role can use)
+ */
+function adminPanelKeyboard(role) {
+  const rows = [];
+
+  if (roleAtLeast(role, 'moderator')) {
+    rows.push([{ text: '📹 Manage Zoom Rooms', callback_data: 'admin:zoom' }]);
+    rows.push([{ text: '💬 Manage Telegram Chats', callback_data: 'admin:telegram' }]);
+  }
+  if (roleAtLeast(role, 'owner')) {
+    rows.push([{ text: '👥 Manage Subscriptions', callback_data: 'admin:subscriptions' }]);
+  }
+  if (roleAtLeast(role, 'moderator')) {
+    rows.push([{ text: '➕ Add Manual Entry', callback_data: 'admin:add' }]);
+    rows.push([{ text: '👁 View Hidden Items', callback_data: 'admin:hidden' }]);
+  }
+  if (roleAtLeast(role, 'owner')) {
+    rows.push([{ text: '🛡 Manage Admins', callback_data: 'admin:admins' }]);
+    rows.push([{ text: '📜 Audit Log', callback_data: 'admin:audit' }]);
+    rows.push([{ text: '🎨 Global Branding', callback_data: 'admin:brand' }]);
+  }
+  rows.push([{ text: '🔄 Refresh Stats', callback_data: 'admin:refresh' }]);
+  rows.push([{ text: '« Back to Room Pulse', callback_data: 'pa:back' }]);
+
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Show admin panel (any admin role; buttons depend on role)
+ */
+async function showAdminPanel(chatId, role) {
+  // Get subscription stats
+  const stats = await getSubscriptionStats();
+  const total = parseInt(stats.total_active) || 0;
+  const dms = parseInt(stats.dm_count) || 0;
+  const groups = parseInt(stats.group_count) + parseInt(stats.supergroup_count) || 0;
+  const channels = parseInt(stats.channel_count) || 0;
+
+  // Build interval distribution chart
+  const intervals = [
+    { h: 1, count: parseInt(stats.interval_1h) || 0 },
     { h: 2, count: parseInt(stats.interval_2h) || 0 },
     { h: 4, count: parseInt(stats.interval_4h) || 0 },
     { h: 8, count: parseInt(stats.interval_8h) || 0 },
@@ -1045,21 +2240,161 @@ ${intervalLines}
 <b>Manage Rooms & Chats</b>
   `.trim();
 
-  const keyboard = {
-    inline_keyboard: [
-      [{ text: '📹 Manage Zoom Rooms', callback_data: 'admin:zoom' }],
-      [{ text: '💬 Manage Telegram Chats', callback_data: 'admin:telegram' }],
-      [{ text: '➕ Add Manual Entry', callback_data: 'admin:add' }],
-      [{ text: '👁 View Hidden Items', callback_data: 'admin:hidden' }],
-      [{ text: '🔄 Refresh Stats', callback_data: 'admin:refresh' }],
-      [{ text: '« Back to Room Pulse', callback_data: 'pa:back' }]
-    ]
-  };
+  const keyboard = adminPanelKeyboard(role);
 
-  await bot.sendMessage(chatId, text, {
+  await queuedSend(chatId, text, {
     parse_mode: 'HTML',
     reply_markup: keyboard
-  });
+  }, PRIORITY.INTERACTIVE);
+}
+
+/**
+ * Get admins from the database (PROMO_ATTENDANT_SUPER_ADMIN is not stored)
+ */
+async function getAdmins() {
+  const result = await query(
+    `SELECT * FROM promo_attendant_admins
+     ORDER BY CASE role WHEN 'owner' THEN 0 WHEN 'moderator' THEN 1 ELSE 2 END, created_at`
+  );
+  return result.rows;
+}
+
+/**
+ * Count owners, including the bootstrap owner from the environment
+ */
+async function countOwners() {
+  const result = await query(`SELECT COUNT(*) AS count FROM promo_attendant_admins WHERE role = 'owner'`);
+  return parseInt(result.rows[0].count) + (process.env.PROMO_ATTENDANT_SUPER_ADMIN ? 1 : 0);
+}
+
+/**
+ * Append an entry to the audit log (failures are logged, never thrown)
+ * @param {number} actorId - Telegram user who performed the action
+ * @param {string} action - e.g. hide_meeting, delete_manual, unenroll
+ * @param {string|number} target - Meeting ID, entry ID, chat ID, ...
+ * @param {Object|null} before - State before the change
+ * @param {Object|null} after - State after the change
+ */
+async function recordAudit(actorId, action, target, before = null, after = null) {
+  try {
+    await query(
+      `INSERT INTO promo_attendant_audit_log (actor_id, action, target, before_value, after_value)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        actorId || null,
+        action,
+        target === null || target === undefined ? null : String(target),
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after)
+      ]
+    );
+  } catch (err) {
+    console.error(`[PromoAttendant] Failed to record audit ${action}:`, err.message);
+  }
+}
+
+/**
+ * Get a page of audit entries, newest first
+ */
+async function getAuditLog({ actorId = null, action = null, limit = AUDIT_PAGE_SIZE, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (actorId) {
+    params.push(actorId);
+    conditions.push(`actor_id = $${params.length}`);
+  }
+  if (action) {
+    params.push(action);
+    conditions.push(`action = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await query(`SELECT COUNT(*) AS total FROM promo_attendant_audit_log ${where}`, params);
+  const result = await query(
+    `SELECT * FROM promo_attendant_audit_log ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].total) };
+}
+
+/**
+ * Distinct actors or actions for the audit filter pickers (most recent first)
+ */
+async function getAuditFilterValues(column) {
+  const field = column === 'actor_id' ? 'actor_id' : 'action';
+  const result = await query(
+    `SELECT ${field} AS value FROM promo_attendant_audit_log
+     WHERE ${field} IS NOT NULL
+     GROUP BY ${field}
+     ORDER BY MAX(created_at) DESC
+     LIMIT 20`
+  );
+  return result.rows.map(r => r.value);
+}
+
+/**
+ * Format one audit entry for the viewer
+ */
+function formatAuditEntry(entry) {
+  const when = new Date(entry.created_at).toISOString().replace('T', ' ').substring(0, 16);
+  const summarize = (value) => {
+    if (value === null || value === undefined) return '∅';
+    const json = JSON.stringify(value);
+    return escapeHtml(json.length > 60 ? json.substring(0, 57) + '...' : json);
+  };
+
+  let line = `<code>${when}</code> · <code>${entry.actor_id || 'system'}</code>\n<b>${escapeHtml(entry.action)}</b>`;
+  if (entry.target) line += ` ${escapeHtml(entry.target)}`;
+  if (entry.before_value !== null || entry.after_value !== null) {
+    line += `\n  ${summarize(entry.before_value)} → ${summarize(entry.after_value)}`;
+  }
+  return line;
+}
+
+/**
+ * Add an admin or change their role
+ */
+async function setAdminRole(userId, role, addedBy) {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  if (isSuperAdmin(userId)) {
+    throw new Error('PROMO_ATTENDANT_SUPER_ADMIN is always an owner');
+  }
+  const previousRole = await getAdminRole(userId);
+  if (role !== 'owner' && previousRole === 'owner' && (await countOwners()) <= 1) {
+    throw new Error('Cannot demote the last owner');
+  }
+
+  await query(
+    `INSERT INTO promo_attendant_admins (user_id, role, added_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id) DO UPDATE SET role = $2, updated_at = NOW()`,
+    [userId, role, addedBy]
+  );
+  adminRoleCache.delete(String(userId));
+  await recordAudit(addedBy, 'set_admin_role', userId, previousRole ? { role: previousRole } : null, { role });
+}
+
+/**
+ * Remove an admin
+ */
+async function removeAdmin(userId, actorId) {
+  if (isSuperAdmin(userId)) {
+    throw new Error('PROMO_ATTENDANT_SUPER_ADMIN cannot be removed');
+  }
+  const previousRole = await getAdminRole(userId);
+  if (previousRole === 'owner' && (await countOwners()) <= 1) {
+    throw new Error('Cannot remove the last owner');
+  }
+
+  await query('DELETE FROM promo_attendant_admins WHERE user_id = $1', [userId]);
+  adminRoleCache.delete(String(userId));
+  await recordAudit(actorId, 'remove_admin', userId, { role: previousRole }, null);
 }
 
 /**
@@ -1098,11 +2433,96 @@ async function getHiddenMeetings() {
 async function addManualEntry(type, name, meetingId, inviteLink, expiresHours, userId) {
   const expiresAt = expiresHours ? `NOW() + INTERVAL '${parseInt(expiresHours)} hours'` : 'NULL';
 
-  await query(`
+  const result = await query(`
     INSERT INTO promo_attendant_manual_entries
     (entry_type, name, meeting_id, invite_link, expires_at, created_by)
     VALUES ($1, $2, $3, $4, ${expiresAt}, $5)
+    RETURNING *
   `, [type, name, meetingId, inviteLink, userId]);
+
+  const entry = result.rows[0];
+  await recordAudit(userId, 'add_manual', entry.id, null, entry);
+  return entry;
+}
+
+/**
+ * Get a manual entry by ID (including hidden and expired ones)
+ */
+async function getManualEntry(id) {
+  const result = await query('SELECT * FROM promo_attendant_manual_entries WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get all manual entries (including hidden and expired ones)
+ */
+async function getAllManualEntries(type = null) {
+  const result = type
+    ? await query('SELECT * FROM promo_attendant_manual_entries WHERE entry_type = $1 ORDER BY created_at DESC', [type])
+    : await query('SELECT * FROM promo_attendant_manual_entries ORDER BY created_at DESC');
+  return result.rows;
+}
+
+/**
+ * Update a manual entry
+ * @param {number} id - Entry ID
+ * @param {Object} updates - Any of name, meeting_id, invite_link, participant_count, is_hidden, windows,
+ *   expires_hours (hours from now, or null for permanent), extend_hours (added to the
+ *   current expiry, or to now if it already passed)
+ * @param {number} actorId - User making the change (for the audit log)
+ * @returns {Object|null} Updated entry, or null if it doesn't exist
+ */
+async function updateManualEntry(id, updates, actorId) {
+  const before = await getManualEntry(id);
+  if (!before) return null;
+
+  const fields = [];
+  const values = [id];
+  const changed = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === undefined) continue;
+    if (key === 'expires_hours') {
+      if (value === null) {
+        fields.push('expires_at = NULL');
+      } else {
+        values.push(parseInt(value));
+        fields.push(`expires_at = NOW() + INTERVAL '1 hour' * $${values.length}`);
+      }
+      changed.push('expires_at');
+    } else if (key === 'extend_hours') {
+      values.push(parseInt(value));
+      fields.push(`expires_at = GREATEST(COALESCE(expires_at, NOW()), NOW()) + INTERVAL '1 hour' * $${values.length}`);
+      changed.push('expires_at');
+    } else if (key === 'windows') {
+      values.push(value && value.length > 0 ? JSON.stringify(value) : null);
+      fields.push(`windows = $${values.length}`);
+      changed.push(key);
+    } else if (MANUAL_ENTRY_FIELDS.includes(key)) {
+      values.push(value);
+      fields.push(`${key} = $${values.length}`);
+      changed.push(key);
+    }
+  }
+
+  if (fields.length === 0) return before;
+  if (changed.includes('expires_at')) {
+    // New expiry: warn again before it, and bring back an archived entry
+    fields.push('expiry_warned_at = NULL', 'archived_at = NULL');
+  }
+
+  const result = await query(
+    `UPDATE promo_attendant_manual_entries
+     SET ${fields.join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    values
+  );
+  const after = result.rows[0];
+
+  const pick = (row) => Object.fromEntries(changed.map(key => [key, row[key]]));
+  await recordAudit(actorId, 'update_manual', id, pick(before), pick(after));
+  return after;
 }
 
 /**
@@ -1114,377 +2534,2397 @@ async function hideMeeting(meetingId, userId) {
     VALUES ($1, $2)
     ON CONFLICT (meeting_id) DO NOTHING
   `, [meetingId, userId]);
+  await recordAudit(userId, 'hide_meeting', meetingId, { hidden: false }, { hidden: true });
 }
 
 /**
  * Unhide a meeting
  */
-async function unhideMeeting(meetingId) {
+async function unhideMeeting(meetingId, userId) {
   await query('DELETE FROM promo_attendant_hidden WHERE meeting_id = $1', [meetingId]);
+  await recordAudit(userId, 'unhide_meeting', meetingId, { hidden: true }, { hidden: false });
 }
 
 /**
- * Delete manual entry
+ * Get pinned rooms, oldest pin first
+ * @returns {Array<{kind: string, ref_id: number}>}
+ */
+async function getPinnedRooms() {
+  const result = await query('SELECT kind, ref_id FROM promo_attendant_pinned ORDER BY pinned_at, kind, ref_id');
+  return result.rows;
+}
+
+/**
+ * Whether a room group / manual entry is pinned
  */
-async function deleteManualEntry(id) {
-  await query('DELETE FROM promo_attendant_manual_entries WHERE id = $1', [id]);
+async function isRoomPinned(kind, refId) {
+  const result = await query('SELECT 1 FROM promo_attendant_pinned WHERE kind = $1 AND ref_id = $2', [kind, refId]);
+  return result.rows.length > 0;
 }
 
 /**
- * Toggle hide manual entry
+ * Pin a room group ('group') or manual entry ('entry') to the top of the list
  */
-async function toggleHideManualEntry(id) {
+async function pinRoom(kind, refId, userId) {
   await query(`
-    UPDATE promo_attendant_manual_entries
-    SET is_hidden = NOT is_hidden, updated_at = NOW()
-    WHERE id = $1
-  `, [id]);
+    INSERT INTO promo_attendant_pinned (kind, ref_id, pinned_by)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (kind, ref_id) DO NOTHING
+  `, [kind, refId, userId]);
+  await recordAudit(userId, 'pin_room', `${kind}:${refId}`, { pinned: false }, { pinned: true });
 }
 
 /**
- * Get settings for a chat
+ * Unpin a room
  */
-async function getSettings(chatId) {
-  const result = await query(
-    `SELECT * FROM promo_attendant_settings WHERE chat_id = $1`,
-    [chatId]
-  );
-  return result.rows[0] || {
-    chat_id: chatId,
-    enabled: false,
-    repost_interval_hours: 4,
-    inactive_threshold_minutes: 60
-  };
+async function unpinRoom(kind, refId, userId) {
+  await query('DELETE FROM promo_attendant_pinned WHERE kind = $1 AND ref_id = $2', [kind, refId]);
+  await recordAudit(userId, 'unpin_room', `${kind}:${refId}`, { pinned: true }, { pinned: false });
 }
 
 /**
- * Get all subscriptions
+ * Get a user's room watches, oldest first
  */
-async function getAllSubscriptions() {
-  const result = await query(
-    `SELECT * FROM promo_attendant_settings ORDER BY chat_type, enabled DESC, updated_at DESC`
-  );
+async function getUserWatches(userId) {
+  const result = await query('SELECT * FROM promo_attendant_watches WHERE user_id = $1 ORDER BY id', [userId]);
   return result.rows;
 }
 
 /**
- * Update settings for a chat
+ * Add a room watch
+ * @returns {Promise<Object|null>} The watch, or null if the user already has it
  */
-async function updateSettings(chatId, updates) {
-  const fields = [];
-  const values = [chatId];
-  let paramIndex = 2;
+async function addWatch(userId, target, minParticipants, targetName) {
+  const result = await query(`
+    INSERT INTO promo_attendant_watches (user_id, target_kind, target_id, target_name, min_participants)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `, [userId, target.target_kind, target.target_id, targetName, minParticipants]);
+  return result.rows[0] || null;
+}
 
-  for (const [key, value] of Object.entries(updates)) {
-    fields.push(`${key} = $${paramIndex}`);
-    values.push(value);
-    paramIndex++;
-  }
+/**
+ * Remove one of a user's room watches
+ */
+async function removeWatch(userId, watchId) {
+  await query('DELETE FROM promo_attendant_watches WHERE id = $1 AND user_id = $2', [watchId, userId]);
+}
 
-  await query(
-    `UPDATE promo_attendant_settings
-     SET ${fields.join(', ')}, updated_at = NOW()
-     WHERE chat_id = $1`,
-    values
-  );
+/**
+ * Name of a watch target, or null if the room group / manual entry doesn't exist
+ * @returns {Promise<{name: string|null}|null>} name is null for "any room"
+ */
+async function resolveWatchTarget(target) {
+  if (target.target_kind === 'any') return { name: null };
+
+  const result = target.target_kind === 'group'
+    ? await query('SELECT primary_name AS name FROM promo_room_groups WHERE group_number = $1 LIMIT 1',
+      [parseInt(target.target_id)])
+    : await query(`
+        SELECT name FROM promo_attendant_manual_entries
+        WHERE entry_type = 'zoom' AND meeting_id = $1 AND archived_at IS NULL
+        LIMIT 1
+      `, [target.target_id]);
+  return result.rows[0] ? { name: result.rows[0].name || null } : null;
 }
 
 /**
- * Enable a chat
+ * Delete manual entry
  */
-async function enableChat(chatId, userId, chatType = 'unknown') {
-  await query(
-    `INSERT INTO promo_attendant_settings (chat_id, chat_type, enabled, configured_by_user_id)
-     VALUES ($1, $3, TRUE, $2)
-     ON CONFLICT (chat_id) DO UPDATE SET
-       enabled = TRUE,
-       chat_type = COALESCE(NULLIF($3, 'unknown'), promo_attendant_settings.chat_type),
-       configured_by_user_id = $2,
-       updated_at = NOW()`,
-    [chatId, userId, chatType]
-  );
+async function deleteManualEntry(id, userId) {
+  const result = await query('DELETE FROM promo_attendant_manual_entries WHERE id = $1 RETURNING *', [id]);
+  await query(`DELETE FROM promo_attendant_pinned WHERE kind = 'entry' AND ref_id = $1`, [id]);
+  if (result.rows[0]) {
+    await recordAudit(userId, 'delete_manual', id, result.rows[0], null);
+  }
 }
 
 /**
- * Get subscription statistics for admin panel
+ * Toggle hide manual entry
  */
-async function getSubscriptionStats() {
+async function toggleHideManualEntry(id, userId) {
   const result = await query(`
-    SELECT
-      COUNT(*) FILTER (WHERE enabled = TRUE) as total_active,
-      COUNT(*) FILTER (WHERE enabled = TRUE AND chat_type = 'private') as dm_count,
-      COUNT(*) FILTER (WHERE enabled = TRUE AND chat_type = 'group') as group_count,
-      COUNT(*) FILTER (WHERE enabled = TRUE AND chat_type = 'supergroup') as supergroup_count,
-      COUNT(*) FILTER (WHERE enabled = TRUE AND chat_type = 'channel') as channel_count,
-      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 1) as interval_1h,
-      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 2) as interval_2h,
-      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 4) as interval_4h,
-      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 8) as interval_8h,
-      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 12) as interval_12h,
-      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 24) as interval_24h
-    FROM promo_attendant_settings
-  `);
-  return result.rows[0];
+    UPDATE promo_attendant_manual_entries
+    SET is_hidden = NOT is_hidden, updated_at = NOW()
+    WHERE id = $1
+    RETURNING is_hidden
+  `, [id]);
+  if (result.rows[0]) {
+    const isHidden = result.rows[0].is_hidden;
+    await recordAudit(userId, isHidden ? 'hide_manual' : 'unhide_manual', id, { is_hidden: !isHidden }, { is_hidden: isHidden });
+  }
 }
 
 /**
- * Get active rooms from database (filtered by hidden list)
+ * Get an admin's in-progress add-entry wizard (null if none or abandoned)
  */
-async function getActiveRooms(thresholdMinutes = 60) {
-  // Ensure thresholdMinutes is a valid integer to prevent SQL injection
-  const threshold = Math.max(1, Math.min(1440, parseInt(thresholdMinutes) || 60));
+async function getWizard(userId) {
+  const result = await query(`
+    SELECT * FROM promo_attendant_wizards
+    WHERE user_id = $1 AND updated_at > NOW() - INTERVAL '1 hour' * $2
+  `, [userId, WIZARD_TTL_HOURS]);
+  return result.rows[0] || null;
+}
 
-  // Get hidden meeting IDs
-  const hiddenIds = await getHiddenMeetings();
+/**
+ * Create or update an admin's wizard state
+ */
+async function saveWizard(wizard) {
+  await query(`
+    INSERT INTO promo_attendant_wizards (user_id, chat_id, message_id, entry_type, step, data, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW())
+    ON CONFLICT (user_id) DO UPDATE SET
+      chat_id = $2, message_id = $3, entry_type = $4, step = $5, data = $6, updated_at = NOW()
+  `, [wizard.user_id, wizard.chat_id, wizard.message_id, wizard.entry_type, wizard.step, JSON.stringify(wizard.data)]);
+}
 
-  const result = await query(
-    `SELECT DISTINCT ON (prg.group_number)
-            pm.meeting_id, pm.room_name, pm.zoom_participant_count,
-            pm.zoom_host_name, pm.zoom_co_hosts, pm.zoom_scrape_status,
-            pm.zoom_last_scraped_at, pm.last_seen,
-            prg.primary_name as group_name, prg.group_number
-     FROM promo_meetings pm
-     JOIN promo_room_groups prg ON pm.group_id = prg.group_id
-     WHERE pm.room_enabled = TRUE
-       AND pm.last_seen > NOW() - INTERVAL '1 minute' * $1
-     ORDER BY prg.group_number, pm.last_seen DESC`,
-    [threshold]
+/**
+ * Discard an admin's wizard
+ */
+async function clearWizard(userId) {
+  await query('DELETE FROM promo_attendant_wizards WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Normalize a Zoom meeting ID (accepts spaces/dashes or a zoom.us/j/ link); null if invalid
+ */
+function normalizeMeetingId(text) {
+  const linkMatch = /zoom\.us\/j\/(\d+)/.exec(text);
+  const digits = linkMatch ? linkMatch[1] : text.replace(/[\s-]/g, '');
+  return /^\d{9,11}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Normalize a t.me invite or public link to https://t.me/...; null if invalid
+ */
+function normalizeInviteLink(text) {
+  const match = /^(?:https?:\/\/)?(?:t|telegram)\.me\/(\+[\w-]+|joinchat\/[\w-]+|[a-zA-Z][\w]{3,31})\/?$/.exec(text.trim());
+  return match ? `https://t.me/${match[1]}` : null;
+}
+
+/**
+ * Build the embed preview for the entry a wizard is about to add
+ */
+function buildWizardPreview(wizard) {
+  if (wizard.entry_type === 'zoom') {
+    return buildMessage([{
+      meeting_id: wizard.data.meeting_id,
+      room_name: wizard.data.name,
+      zoom_participant_count: 0,
+      is_manual: true
+    }], []);
+  }
+  return buildMessage([], [{
+    name: wizard.data.name,
+    inviteLink: wizard.data.invite_link,
+    username: null,
+    is_manual: true
+  }]);
+}
+
+/**
+ * Build the text and keyboard for a wizard's current step
+ * @param {Object} wizard - Wizard state row
+ * @param {string} error - Validation error from the last answer (optional)
+ */
+function buildWizardScreen(wizard, error = null) {
+  const steps = WIZARD_STEPS[wizard.entry_type];
+  const stepIndex = steps.indexOf(wizard.step);
+  const isZoom = wizard.entry_type === 'zoom';
+  const { data } = wizard;
+
+  const lines = [
+    `<b>➕ ADD ${isZoom ? 'ZOOM ROOM' : 'TELEGRAM CHAT'}</b>`,
+    '━━━━━━━━━━━━━━━━━━',
+    `<i>Step ${stepIndex + 1} of ${steps.length}</i>`,
+    ''
+  ];
+
+  if (data.name) lines.push(`<b>Name:</b> ${escapeHtml(data.name)}`);
+  if (data.meeting_id) lines.push(`<b>Meeting ID:</b> <code>${data.meeting_id}</code>`);
+  if (data.invite_link) lines.push(`<b>Link:</b> ${escapeHtml(data.invite_link)}`);
+  if (wizard.step === 'confirm') {
+    lines.push(`<b>Expires:</b> ${data.expires_hours ? `in ${data.expires_hours}h` : 'never (permanent)'}`);
+  }
+  if (data.name) lines.push('');
+
+  const buttons = [];
+  if (wizard.step === 'name') {
+    lines.push(`Send the ${isZoom ? 'room' : 'chat'} name (max ${MAX_ENTRY_NAME_LENGTH} characters).`);
+  } else if (wizard.step === 'meeting_id') {
+    lines.push('Send the Zoom meeting ID (9-11 digits) or a zoom.us/j/ link.');
+  } else if (wizard.step === 'invite_link') {
+    lines.push('Send the invite link (t.me/+... or t.me/username).');
+  } else if (wizard.step === 'expiry') {
+    lines.push('When should this entry expire?');
+    const presetButtons = WIZARD_EXPIRY_PRESETS.map(hours => ({
+      text: hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`,
+      callback_data: `admin:wiz_exp:${hours}`
+    }));
+    for (let i = 0; i < presetButtons.length; i += 3) {
+      buttons.push(presetButtons.slice(i, i + 3));
+    }
+    buttons.push([{ text: '♾ Permanent', callback_data: 'admin:wiz_exp:0' }]);
+  } else if (wizard.step === 'confirm') {
+    lines.push('<b>Preview:</b>', '', buildWizardPreview(wizard));
+    buttons.push([{ text: '✅ Save', callback_data: 'admin:wiz_save' }]);
+  }
+
+  if (error) {
+    lines.push('', `⚠️ ${error}`);
+  }
+
+  buttons.push([
+    { text: '« Back', callback_data: 'admin:wiz_back' },
+    { text: '✖ Cancel', callback_data: 'admin:wiz_cancel' }
+  ]);
+
+  return {
+    text: lines.join('\n'),
+    reply_markup: { inline_keyboard: buttons }
+  };
+}
+
+/**
+ * Show a wizard step by editing its message in place (after a button press)
+ */
+async function editWizardScreen(wizard, error = null) {
+  const screen = buildWizardScreen(wizard, error);
+  await queuedEdit(screen.text, {
+    chat_id: wizard.chat_id,
+    message_id: wizard.message_id,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    reply_markup: screen.reply_markup
+  }, PRIORITY.INTERACTIVE);
+}
+
+/**
+ * Show a wizard step as a new message below the admin's answer,
+ * replacing the previous wizard message
+ */
+async function resendWizardScreen(wizard, error = null) {
+  if (wizard.message_id) {
+    await queuedDelete(wizard.chat_id, wizard.message_id, PRIORITY.INTERACTIVE).catch(() => {});
+  }
+  const screen = buildWizardScreen(wizard, error);
+  const sent = await queuedSend(wizard.chat_id, screen.text, {
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    reply_markup: screen.reply_markup
+  }, PRIORITY.INTERACTIVE);
+  wizard.message_id = sent.message_id;
+  await saveWizard(wizard);
+}
+
+/**
+ * Start the add-entry wizard on the admin's current panel message
+ */
+async function startWizard(userId, chatId, msgId, entryType) {
+  const wizard = {
+    user_id: userId,
+    chat_id: chatId,
+    message_id: msgId,
+    entry_type: entryType,
+    step: WIZARD_STEPS[entryType][0],
+    data: {}
+  };
+  await saveWizard(wizard);
+  await editWizardScreen(wizard);
+}
+
+/**
+ * Handle a text answer to the current wizard step
+ */
+async function handleWizardInput(wizard, text) {
+  if (wizard.step.startsWith('edit_')) {
+    await handleEntryEditInput(wizard, text);
+    return;
+  }
+
+  const steps = WIZARD_STEPS[wizard.entry_type];
+  let error = 'Use the buttons above for this step.';
+
+  if (ENTRY_EDIT_FIELDS[wizard.step]) {
+    const parsed = parseEntryFieldInput(wizard.step, text);
+    error = parsed.error;
+    if (!error) {
+      wizard.data[wizard.step] = parsed.value;
+    }
+  }
+
+  if (!error) {
+    wizard.step = steps[steps.indexOf(wizard.step) + 1];
+  }
+  await resendWizardScreen(wizard, error);
+}
+
+/**
+ * Build the detail screen for a manual entry
+ */
+function buildManualEntryScreen(entry, isPinned = false) {
+  const isZoom = entry.entry_type === 'zoom';
+  const hours = ENTRY_EXTEND_PRESETS.map(h => (h % 24 === 0 ? `${h / 24}d` : `${h}h`));
+
+  let expiry = 'Permanent';
+  if (entry.expires_at) {
+    const expiresAt = new Date(entry.expires_at);
+    expiry = expiresAt > new Date()
+      ? `Expires ${expiresAt.toLocaleString()}`
+      : `Expired ${expiresAt.toLocaleString()}${entry.archived_at ? ' (archived)' : ''}`;
+  }
+
+  const lines = [
+    `<b>${isZoom ? '📹' : '💬'} ${escapeHtml(entry.name)}</b>`,
+    '━━━━━━━━━━━━━━━━━━',
+    '',
+    isZoom
+      ? `<b>Meeting ID:</b> <code>${escapeHtml(entry.meeting_id || '-')}</code>`
+      : `<b>Link:</b> ${escapeHtml(entry.invite_link || '-')}`,
+    `<b>Participants:</b> ${entry.participant_count || 0}`,
+    `<b>Status:</b> ${entry.is_hidden ? '🔴 Hidden' : '🟢 Visible'}`,
+    `<b>Expiry:</b> ${expiry}`,
+    `<b>Windows:</b> ${entry.windows && entry.windows.length > 0
+      ? `${entry.windows.length} (${describeAvailability(entry.windows)})`
+      : 'none (always shown)'}`
+  ];
+  if (isZoom) {
+    lines.push(`<b>Pinned:</b> ${isPinned ? '📌 yes (top of every list)' : 'no'}`);
+  }
+
+  // Extending a permanent entry would make it expire, so offer "expire in" instead
+  const extendAction = entry.expires_at ? 'entry_ext' : 'entry_exp';
+  const extendLabel = entry.expires_at ? '+' : 'Expire in ';
+
+  const buttons = [
+    [
+      { text: '✏️ Name', callback_data: `admin:entry_edit:${entry.id}:name` },
+      isZoom
+        ? { text: '✏️ Meeting ID', callback_data: `admin:entry_edit:${entry.id}:meeting_id` }
+        : { text: '✏️ Link', callback_data: `admin:entry_edit:${entry.id}:invite_link` }
+    ],
+    [
+      { text: '👥 Participant Count', callback_data: `admin:entry_edit:${entry.id}:participant_count` },
+      { text: '🕒 Time Windows', callback_data: `admin:entry_win:${entry.id}` }
+    ],
+    ENTRY_EXTEND_PRESETS.map((h, i) => ({
+      text: `⏳ ${extendLabel}${hours[i]}`,
+      callback_data: `admin:${extendAction}:${entry.id}:${h}`
+    }))
+  ];
+  if (entry.expires_at) {
+    buttons.push([{ text: '♾ Make Permanent', callback_data: `admin:entry_perm:${entry.id}` }]);
+  }
+  const actionRow = [{ text: entry.is_hidden ? '👁 Show' : '🙈 Hide', callback_data: `admin:entry_hide:${entry.id}` }];
+  if (isZoom) {
+    actionRow.push({ text: isPinned ? '📌 Unpin' : '📌 Pin', callback_data: `admin:entry_pin:${entry.id}` });
+  }
+  actionRow.push({ text: '🗑 Delete', callback_data: `admin:del_manual:${entry.id}` });
+  buttons.push(actionRow);
+  buttons.push([{ text: '« Back', callback_data: isZoom ? 'admin:zoom' : 'admin:telegram' }]);
+
+  return {
+    text: lines.join('\n'),
+    reply_markup: { inline_keyboard: buttons }
+  };
+}
+
+/**
+ * Build the time windows screen for a manual entry
+ */
+function buildEntryWindowsScreen(entry) {
+  const windows = entry.windows || [];
+  const lines = [
+    `<b>🕒 ${escapeHtml(entry.name)} — TIME WINDOWS</b>`,
+    '━━━━━━━━━━━━━━━━━━',
+    ''
+  ];
+  const buttons = [];
+
+  if (windows.length === 0) {
+    lines.push('<i>No windows: shown whenever it isn\'t hidden or expired</i>');
+  } else {
+    lines.push('Shown only while one of these is open:', '');
+    windows.forEach((window, index) => {
+      lines.push(`• ${formatWindow(window)}`);
+      buttons.push([{ text: `🗑 ${formatWindow(window)}`, callback_data: `admin:entry_windel:${entry.id}:${index}` }]);
+    });
+    lines.push('', describeAvailability(windows));
+  }
+
+  if (windows.length < MAX_WINDOWS_PER_ENTRY) {
+    buttons.push([{ text: '➕ Add Window', callback_data: `admin:entry_edit:${entry.id}:window` }]);
+  }
+  buttons.push([{ text: '« Back', callback_data: `admin:entry:${entry.id}` }]);
+
+  return {
+    text: lines.join('\n'),
+    reply_markup: { inline_keyboard: buttons }
+  };
+}
+
+/**
+ * Build the prompt for editing one field of a manual entry by text reply
+ */
+function buildEntryEditScreen(entry, field, error = null) {
+  const lines = [
+    `<b>✏️ EDIT ${escapeHtml(entry.name)}</b>`,
+    '━━━━━━━━━━━━━━━━━━',
+    ''
+  ];
+  if (field === 'window') {
+    lines.push(`Send a ${ENTRY_EDIT_FIELDS.window}.`, '', 'Days: daily, weekdays, weekends, Fri, Mon-Fri, Mon,Wed,Fri');
+  } else {
+    const current = entry[field] === null || entry[field] === undefined ? '-' : entry[field];
+    lines.push(`<b>Current:</b> ${escapeHtml(String(current))}`, '', `Send the new ${ENTRY_EDIT_FIELDS[field]}.`);
+  }
+  if (error) {
+    lines.push('', `⚠️ ${error}`);
+  }
+  return {
+    text: lines.join('\n'),
+    reply_markup: {
+      inline_keyboard: [[{
+        text: '✖ Cancel',
+        callback_data: field === 'window' ? `admin:entry_win:${entry.id}` : `admin:entry:${entry.id}`
+      }]]
+    }
+  };
+}
+
+/**
+ * Validate a text reply for a manual entry field
+ * @returns {{value: *, error: string|null}}
+ */
+function parseEntryFieldInput(field, text) {
+  const answer = text.trim();
+  if (field === 'name') {
+    return answer && answer.length <= MAX_ENTRY_NAME_LENGTH
+      ? { value: answer, error: null }
+      : { value: null, error: `Name must be 1-${MAX_ENTRY_NAME_LENGTH} characters.` };
+  }
+  if (field === 'meeting_id') {
+    const meetingId = normalizeMeetingId(answer);
+    return meetingId
+      ? { value: meetingId, error: null }
+      : { value: null, error: 'That doesn\'t look like a Zoom meeting ID (9-11 digits).' };
+  }
+  if (field === 'invite_link') {
+    const inviteLink = normalizeInviteLink(answer);
+    return inviteLink
+      ? { value: inviteLink, error: null }
+      : { value: null, error: 'That isn\'t a t.me link (e.g. https://t.me/+abc123 or t.me/mychat).' };
+  }
+  if (field === 'window') {
+    const { window, error } = parseWindow(answer);
+    return { value: window, error };
+  }
+  const count = /^\d+$/.test(answer) ? parseInt(answer) : NaN;
+  return count <= MAX_PARTICIPANT_COUNT
+    ? { value: count, error: null }
+    : { value: null, error: `Participant count must be a whole number from 0 to ${MAX_PARTICIPANT_COUNT}.` };
+}
+
+/**
+ * Handle a text reply while editing a manual entry field
+ * (the pending edit is stored as a wizard row with step edit_<field>)
+ */
+async function handleEntryEditInput(wizard, text) {
+  const field = wizard.step.replace('edit_', '');
+  const entry = await getManualEntry(wizard.data.entry_id);
+  if (!entry) {
+    await clearWizard(wizard.user_id);
+    await queuedSend(wizard.chat_id, '❌ That entry no longer exists.', {}, PRIORITY.INTERACTIVE);
+    return;
+  }
+
+  const { value, error } = parseEntryFieldInput(field, text);
+  let screen;
+  if (error) {
+    screen = buildEntryEditScreen(entry, field, error);
+  } else if (field === 'window') {
+    const windows = [...(entry.windows || []), value].slice(0, MAX_WINDOWS_PER_ENTRY);
+    screen = buildEntryWindowsScreen(await updateManualEntry(entry.id, { windows }, wizard.user_id));
+  } else {
+    screen = buildManualEntryScreen(await updateManualEntry(entry.id, { [field]: value }, wizard.user_id),
+      await isRoomPinned('entry', entry.id));
+  }
+
+  if (wizard.message_id) {
+    await queuedDelete(wizard.chat_id, wizard.message_id, PRIORITY.INTERACTIVE).catch(() => {});
+  }
+  const sent = await queuedSend(wizard.chat_id, screen.text, {
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    reply_markup: screen.reply_markup
+  }, PRIORITY.INTERACTIVE);
+
+  if (error) {
+    wizard.message_id = sent.message_id;
+    await saveWizard(wizard);
+  } else {
+    await clearWizard(wizard.user_id);
+  }
+}
+
+/**
+ * Get settings for a chat
+ */
+async function getSettings(chatId) {
+  const result = await query(
+    `SELECT * FROM promo_attendant_settings WHERE chat_id = $1`,
+    [chatId]
   );
+  if (result.rows[0]) rememberChatType(chatId, result.rows[0].chat_type);
+  return result.rows[0] || {
+    chat_id: chatId,
+    enabled: false,
+    repost_interval_hours: 4,
+    inactive_threshold_minutes: 60
+  };
+}
 
-  // Filter out hidden meetings (show all active rooms regardless of participant count)
-  const filtered = result.rows.filter(r =>
-    !hiddenIds.includes(r.meeting_id)
+/**
+ * Get a chat's subscription row, or null if it was never enrolled
+ */
+async function getSubscription(chatId) {
+  const result = await query('SELECT * FROM promo_attendant_settings WHERE chat_id = $1', [chatId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get all subscriptions
+ */
+async function getAllSubscriptions() {
+  const result = await query(
+    `SELECT * FROM promo_attendant_settings ORDER BY chat_type, enabled DESC, updated_at DESC`
   );
+  return result.rows;
+}
 
-  // Add manual zoom entries (always shown regardless of participant count)
-  const manualZoom = await getManualEntries('zoom');
-  for (const entry of manualZoom) {
-    filtered.push({
-      meeting_id: entry.meeting_id,
-      room_name: entry.name,
-      zoom_participant_count: entry.participant_count || 0,
-      is_manual: true
+/**
+ * Update settings for a chat
+ */
+async function updateSettings(chatId, updates) {
+  const fields = [];
+  const values = [chatId];
+  let paramIndex = 2;
+
+  for (const [key, value] of Object.entries(updates)) {
+    fields.push(`${key} = $${paramIndex}`);
+    values.push(value);
+    paramIndex++;
+  }
+
+  await query(
+    `UPDATE promo_attendant_settings
+     SET ${fields.join(', ')}, updated_at = NOW()
+     WHERE chat_id = $1`,
+    values
+  );
+}
+
+/**
+ * Enable a chat
+ * language only fills in a chat that has none yet (so /start doesn't undo a choice made in Settings)
+ */
+async function enableChat(chatId, userId, chatType = 'unknown', language = null) {
+  // next_post_at is a fallback so the chat is scheduled even if the first post fails
+  await query(
+    `INSERT INTO promo_attendant_settings (chat_id, chat_type, enabled, configured_by_user_id, next_post_at, language)
+     VALUES ($1, $3, TRUE, $2, NOW() + INTERVAL '4 hours', $4)
+     ON CONFLICT (chat_id) DO UPDATE SET
+       enabled = TRUE,
+       chat_type = COALESCE(NULLIF($3, 'unknown'), promo_attendant_settings.chat_type),
+       language = COALESCE(promo_attendant_settings.language, $4),
+       configured_by_user_id = $2,
+       disabled_reason = NULL,
+       disabled_at = NULL,
+       next_post_at = COALESCE(promo_attendant_settings.next_post_at,
+         NOW() + INTERVAL '1 hour' * promo_attendant_settings.repost_interval_hours),
+       updated_at = NOW()`,
+    [chatId, userId, chatType, language]
+  );
+}
+
+/**
+ * Enroll a chat on an admin's request (the admin becomes configured_by)
+ */
+async function enrollChat(chatId, chatType, actorId) {
+  await enableChat(chatId, actorId, chatType);
+  await recordAudit(actorId, 'enroll', chatId, null, { chat_type: chatType });
+}
+
+/**
+ * Enable or disable a chat by hand (re-enabling clears any auto-disable reason)
+ */
+async function setChatEnabled(chatId, enabled, actorId) {
+  const before = await getSettings(chatId);
+  if (enabled) {
+    await updateSettings(chatId, { enabled: true, disabled_reason: null, disabled_at: null });
+    await scheduleRepost(chatId);
+  } else {
+    await updateSettings(chatId, { enabled: false });
+  }
+  await recordAudit(actorId, enabled ? 'enable_chat' : 'disable_chat', chatId,
+    { enabled: before.enabled }, { enabled });
+}
+
+/**
+ * Change a chat's repost interval and reschedule (drops any posting schedule)
+ */
+async function setRepostInterval(chatId, hours, actorId) {
+  const before = await getSettings(chatId);
+  await updateSettings(chatId, { repost_interval_hours: hours, post_schedule: null });
+  await scheduleRepost(chatId);
+  await recordAudit(actorId, 'set_interval', chatId,
+    { repost_interval_hours: before.repost_interval_hours, post_schedule: before.post_schedule || null },
+    { repost_interval_hours: hours, post_schedule: null });
+}
+
+/**
+ * Check a posting schedule for a chat
+ * @returns {{schedule: string|null, error: string|null}} schedule in its normalized text form
+ */
+function validatePostSchedule(text, settings) {
+  const { schedule, error } = parseSchedule(text);
+  if (error) return { schedule: null, error };
+
+  if (getShortestGap(schedule, getChatTimezone(settings)) < MIN_SCHEDULE_GAP_MINUTES) {
+    return { schedule: null, error: `Posts must be at least ${MIN_SCHEDULE_GAP_MINUTES} minutes apart` };
+  }
+  return { schedule: formatSchedule(schedule), error: null };
+}
+
+/**
+ * Set or clear (null) a chat's posting schedule and reschedule
+ * @param {string|null} schedule - Validated with validatePostSchedule
+ */
+async function setPostSchedule(chatId, schedule, actorId) {
+  const before = await getSettings(chatId);
+  await updateSettings(chatId, { post_schedule: schedule });
+  await scheduleRepost(chatId);
+  await recordAudit(actorId, 'set_schedule', chatId, before.post_schedule || null, schedule);
+}
+
+/**
+ * Next slot of a chat's posting schedule after a moment (null without a schedule)
+ */
+function getScheduledRun(settings, after = new Date()) {
+  if (!settings.post_schedule) return null;
+  const { schedule } = parseSchedule(settings.post_schedule);
+  return schedule ? getNextRun(schedule, getChatTimezone(settings), after) : null;
+}
+
+/**
+ * When a chat will actually repost next, allowing for quiet hours (null if disabled)
+ */
+function getNextPostTime(settings, now = new Date()) {
+  if (!settings.enabled || !settings.next_post_at) return null;
+
+  let at = new Date(Math.max(new Date(settings.next_post_at), now));
+  // Skipped slots move on to the next one; bounded like getWindowsClosing
+  for (let i = 0; i < 14; i++) {
+    const quietUntil = getQuietUntil(settings, at);
+    if (!quietUntil) return at;
+    if ((settings.quiet_mode || DEFAULT_QUIET_MODE) === 'defer') return quietUntil;
+    at = getScheduledRun(settings, at) ||
+      new Date(at.getTime() + (settings.repost_interval_hours || 4) * 60 * 60 * 1000);
+  }
+  return null;
+}
+
+/**
+ * Save a chat's language
+ */
+async function setChatLanguage(chatId, language, actorId) {
+  const before = await getSettings(chatId);
+  await updateSettings(chatId, { language });
+  await recordAudit(actorId, 'set_language', chatId, before.language || DEFAULT_LANGUAGE, language);
+}
+
+/**
+ * Translator for a chat's language
+ */
+async function getChatTranslator(chatId) {
+  return translator((await getSettings(chatId)).language);
+}
+
+/**
+ * Save a chat's embed layout
+ */
+async function setChatLayout(chatId, layoutKey, actorId) {
+  const before = await getSettings(chatId);
+  await updateSettings(chatId, { layout: layoutKey });
+  await recordAudit(actorId, 'set_layout', chatId, before.layout || DEFAULT_LAYOUT, layoutKey);
+}
+
+/**
+ * A chat's timezone (unset or no longer known to Intl: the default)
+ */
+function getChatTimezone(settings) {
+  return settings.timezone && isValidTimezone(settings.timezone) ? settings.timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * When a chat's current quiet hours end, or null if it isn't in quiet hours
+ */
+function getQuietUntil(settings, now = new Date()) {
+  const tz = getChatTimezone(settings);
+  return getWindowsClosing((settings.quiet_hours || []).map(window => ({ ...window, tz })), now);
+}
+
+/**
+ * Save a chat's quiet-hour settings (any of timezone, quiet_hours, quiet_mode)
+ */
+async function setChatQuietHours(chatId, updates, actorId) {
+  const before = await getSettings(chatId);
+  const current = {
+    timezone: before.timezone || null,
+    quiet_hours: before.quiet_hours || null,
+    quiet_mode: before.quiet_mode || null
+  };
+  const after = { ...current, ...updates };
+  if (after.quiet_hours && after.quiet_hours.length === 0) after.quiet_hours = null;
+
+  await updateSettings(chatId, {
+    ...updates,
+    ...('quiet_hours' in updates ? { quiet_hours: after.quiet_hours && JSON.stringify(after.quiet_hours) } : {})
+  });
+  // A posting schedule runs in the chat's timezone
+  if ('timezone' in updates && before.post_schedule) {
+    await scheduleRepost(chatId);
+  }
+  await recordAudit(actorId, 'set_quiet_hours', chatId, current, after);
+}
+
+/**
+ * Save a chat's room order
+ */
+async function setChatSortMode(chatId, sortMode, actorId) {
+  const before = await getSettings(chatId);
+  await updateSettings(chatId, { sort_mode: sortMode });
+  await recordAudit(actorId, 'set_sort', chatId, before.sort_mode || DEFAULT_SORT_MODE, sortMode);
+}
+
+/**
+ * Save a chat's content filters
+ */
+async function setContentFilters(chatId, filters, actorId) {
+  const before = await getSettings(chatId);
+  await updateSettings(chatId, { content_filters: JSON.stringify(filters) });
+  await recordAudit(actorId, 'set_filters', chatId, before.content_filters || null, filters);
+}
+
+/**
+ * Get a global setting (null if unset)
+ */
+async function getConfig(key) {
+  const result = await query('SELECT value FROM promo_attendant_config WHERE key = $1', [key]);
+  return result.rows[0] ? result.rows[0].value : null;
+}
+
+/**
+ * Set a global setting
+ */
+async function setConfig(key, value, actorId) {
+  const before = await getConfig(key);
+  await query(`
+    INSERT INTO promo_attendant_config (key, value, updated_by, updated_at)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (key) DO UPDATE SET value = $2, updated_by = $3, updated_at = NOW()
+  `, [key, JSON.stringify(value), actorId || null]);
+  await recordAudit(actorId, 'set_config', key, before, value);
+}
+
+/**
+ * Save a chat's branding (empty object clears it)
+ */
+async function setChatBranding(chatId, branding, actorId) {
+  const before = await getSettings(chatId);
+  const isEmpty = Object.keys(branding).length === 0;
+  await updateSettings(chatId, { branding: isEmpty ? null : JSON.stringify(branding) });
+  await recordAudit(actorId, 'set_branding', chatId, before.branding || null, isEmpty ? null : branding);
+}
+
+/**
+ * Branding a chat's posts use: chat fields over global ones, unless the global
+ * branding is enforced. Missing fields fall back to the built-in header/footer.
+ */
+async function getEffectiveBranding(settings) {
+  const global = (await getConfig('branding')) || {};
+  const chat = (!global.enforce && settings && settings.branding) || {};
+  return {
+    title: chat.title || global.title || null,
+    tagline: chat.tagline || global.tagline || null,
+    footer: chat.footer || global.footer || null,
+    buttons: chat.buttons || global.buttons || []
+  };
+}
+
+/**
+ * Post to a chat right now on an admin's request
+ */
+async function forcePost(chatId, actorId) {
+  const msg = await postMessage(chatId, PRIORITY.INTERACTIVE);
+  await recordAudit(actorId, 'force_post', chatId, null, { posted: !!msg, message_id: msg ? msg.message_id : null });
+  return msg;
+}
+
+/**
+ * Remove a chat's subscription entirely
+ */
+async function unenrollChat(chatId, actorId) {
+  const result = await query('DELETE FROM promo_attendant_settings WHERE chat_id = $1 RETURNING *', [chatId]);
+  forgetChatType(chatId);
+  if (result.rows[0]) {
+    await recordAudit(actorId, 'unenroll', chatId, result.rows[0], null);
+  }
+}
+
+/**
+ * Disable a chat we can no longer reach, recording why
+ * The scheduler only claims enabled rows, so this also stops its reposts/edits
+ */
+async function disableChat(chatId, reason) {
+  const result = await query(
+    `UPDATE promo_attendant_settings
+     SET enabled = FALSE, disabled_reason = $2, disabled_at = NOW(),
+         next_post_at = NULL, next_edit_at = NULL, updated_at = NOW()
+     WHERE chat_id = $1 AND enabled = TRUE`,
+    [chatId, reason]
+  );
+  if (result.rowCount > 0) {
+    console.log(`[PromoAttendant] Disabled ${chatId}: ${reason}`);
+  }
+}
+
+/**
+ * Move a subscription to a group's new supergroup chat ID
+ * Keeps interval, configured_by and every other setting; the old embed
+ * can't be edited any more, so an enabled chat is reposted right away.
+ */
+async function migrateChat(oldChatId, newChatId) {
+  const result = await query(
+    `UPDATE promo_attendant_settings
+     SET chat_id = $2, chat_type = 'supergroup', last_message_id = NULL,
+         next_post_at = CASE WHEN enabled THEN NOW() END,
+         next_edit_at = NULL, updated_at = NOW()
+     WHERE chat_id = $1
+       AND NOT EXISTS (SELECT 1 FROM promo_attendant_settings WHERE chat_id = $2)`,
+    [oldChatId, newChatId]
+  );
+  forgetChatType(oldChatId);
+
+  if (result.rowCount > 0) {
+    console.log(`[PromoAttendant] Migrated subscription ${oldChatId} -> ${newChatId}`);
+  } else {
+    // Supergroup was already enrolled on its own; the old group's row is dead
+    await query('DELETE FROM promo_attendant_settings WHERE chat_id = $1', [oldChatId]);
+  }
+}
+
+/**
+ * Handle a failed send: follow supergroup migrations and
+ * disable the chat if it is unreachable
+ */
+async function handleSendError(chatId, error) {
+  const errorClass = classifySendError(error);
+  if (errorClass === 'migrated') {
+    await migrateChat(chatId, getMigrateToChatId(error)).catch(err => {
+      console.error(`[PromoAttendant] Failed to migrate ${chatId}:`, err.message);
+    });
+  } else if (isChatUnreachable(errorClass)) {
+    await disableChat(chatId, errorClass).catch(err => {
+      console.error(`[PromoAttendant] Failed to disable ${chatId}:`, err.message);
+    });
+  }
+  return errorClass;
+}
+
+/**
+ * Get subscription statistics for admin panel
+ */
+async function getSubscriptionStats() {
+  const result = await query(`
+    SELECT
+      COUNT(*) FILTER (WHERE enabled = TRUE) as total_active,
+      COUNT(*) FILTER (WHERE enabled = TRUE AND chat_type = 'private') as dm_count,
+      COUNT(*) FILTER (WHERE enabled = TRUE AND chat_type = 'group') as group_count,
+      COUNT(*) FILTER (WHERE enabled = TRUE AND chat_type = 'supergroup') as supergroup_count,
+      COUNT(*) FILTER (WHERE enabled = TRUE AND chat_type = 'channel') as channel_count,
+      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 1) as interval_1h,
+      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 2) as interval_2h,
+      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 4) as interval_4h,
+      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 8) as interval_8h,
+      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 12) as interval_12h,
+      COUNT(*) FILTER (WHERE enabled = TRUE AND repost_interval_hours = 24) as interval_24h
+    FROM promo_attendant_settings
+  `);
+  return result.rows[0];
+}
+
+/**
+ * Get active rooms from database (filtered by hidden list)
+ */
+async function getActiveRooms(thresholdMinutes = 60) {
+  const endTimer = activeRoomsQueryDuration.startTimer();
+  try {
+    const rooms = await findActiveRooms(thresholdMinutes);
+    visibleRooms.set(rooms.length);
+    return rooms;
+  } finally {
+    endTimer();
+  }
+}
+
+/**
+ * Active rooms, hidden meetings left out and open manual entries added (getActiveRooms times this)
+ */
+async function findActiveRooms(thresholdMinutes) {
+  // Ensure thresholdMinutes is a valid integer to prevent SQL injection
+  const threshold = Math.max(1, Math.min(1440, parseInt(thresholdMinutes) || 60));
+
+  // Get hidden meeting IDs
+  const hiddenIds = await getHiddenMeetings();
+
+  const result = await query(
+    `SELECT DISTINCT ON (prg.group_number)
+            pm.meeting_id, pm.room_name, pm.zoom_participant_count,
+            pm.zoom_host_name, pm.zoom_co_hosts, pm.zoom_scrape_status,
+            pm.zoom_last_scraped_at, pm.last_seen,
+            prg.primary_name as group_name, prg.group_number
+     FROM promo_meetings pm
+     JOIN promo_room_groups prg ON pm.group_id = prg.group_id
+     WHERE pm.room_enabled = TRUE
+       AND pm.last_seen > NOW() - INTERVAL '1 minute' * $1
+     ORDER BY prg.group_number, pm.last_seen DESC`,
+    [threshold]
+  );
+
+  // Filter out hidden meetings (show all active rooms regardless of participant count)
+  const filtered = result.rows.filter(r =>
+    !hiddenIds.includes(r.meeting_id)
+  );
+
+  // Add manual zoom entries (always shown regardless of participant count,
+  // but only while one of their time windows is open)
+  const manualZoom = await getManualEntries('zoom');
+  for (const entry of manualZoom.filter(e => isAnyWindowOpen(e.windows))) {
+    filtered.push({
+      meeting_id: entry.meeting_id,
+      room_name: entry.name,
+      zoom_participant_count: entry.participant_count || 0,
+      is_manual: true,
+      manual_entry_id: entry.id
+    });
+  }
+
+  return filtered;
+}
+
+/**
+ * Escape HTML entities
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Build the main room activity message
+ * @param {Array} rooms - Active rooms
+ * @param {Array} telegramGroups - Telegram groups array [{ name, inviteLink, username }]
+ * @param {Object} options - branding (null for the built-in header/footer),
+ *   layout and language (null for the defaults)
+ * @param {Object} page - Set by buildMessagePages: { number, count, showZoom, showTelegram }
+ *   (count null while measuring); null renders everything as one message
+ */
+function buildMessage(rooms, telegramGroups = [], { branding = null, layout: layoutKey = null, language = null } = {}, page = null) {
+  const layout = getLayout(layoutKey);
+  const tr = translator(language);
+  const lines = [];
+
+  // Header (50 chars)
+  lines.push('<code>━━━━━━━━━━━━━━━━━━━━━━━━━</code>');
+  lines.push(branding && branding.title
+    ? buildHeaderLine(`⊱${branding.title}⊰`)
+    : '<code>◇    ⊱PROMO ATTENDANT⊰    ◇</code>');
+  lines.push(branding && branding.tagline
+    ? buildHeaderLine(`⊱ ${branding.tagline} ⊰`)
+    : '<code>◇      ⊱ Room Pulse ⊰      ◇</code>');
+  lines.push('<code>━━━━━━━━━━━━━━━━━━━━━━━━━</code>');
+  lines.push('');
+
+  // Zoom Rooms section
+  if (!page || page.showZoom) {
+    lines.push(`<b>➤ ${tr('embed.zoom_title')}</b>`);
+    lines.push(`[ ${tr('embed.zoom_subtitle')} ]`);
+    lines.push('');
+
+    if (rooms.length === 0) {
+      lines.push(`        <i>${tr('embed.no_rooms')}</i>`);
+      lines.push('');
+    } else {
+      lines.push(...layout.renderRooms(rooms, { now: new Date(), t: tr }));
+    }
+  }
+
+  // Telegram Chats section
+  if (!page || page.showTelegram) {
+    lines.push(`<b>➤ ${tr('embed.telegram_title')}</b>`);
+    lines.push(`[ ${tr('embed.telegram_subtitle')} ]`);
+    lines.push('');
+
+    if (telegramGroups.length === 0) {
+      lines.push(`        <i>${tr('embed.no_chats')}</i>`);
+    } else {
+      lines.push(...layout.renderTelegramGroups(telegramGroups, { now: new Date(), t: tr }));
+    }
+  }
+
+  // Page indicator (measured with a worst-case number while splitting)
+  if (page && page.count !== 1) {
+    if (lines[lines.length - 1] !== '') lines.push('');
+    lines.push(`<i>${tr('embed.page', { page: page.number + 1, count: page.count || 99 })}</i>`);
+  }
+
+  // Footer
+  lines.push(branding && branding.footer
+    ? buildFooterLine(branding.footer)
+    : '<code>━━━━━━━⊱ Let\'s Cloud ⊰━━━━━━━</code>');
+
+  return lines.join('\n');
+}
+
+/**
+ * Cut a room's or group's display names until it fits on a page by itself
+ * @param {Object} item - { room } or { group }, as in buildMessagePages
+ * @param {Function} measure - Rendered length of a page holding just the item
+ */
+function shortenItem(item, measure) {
+  const key = item.room ? 'room' : 'group';
+  let value = item[key];
+  let overflow = measure(item) - MESSAGE_MAX_LENGTH;
+
+  while (overflow > 0) {
+    const fields = ITEM_NAME_FIELDS.filter(field => typeof value[field] === 'string' && value[field].length > 1);
+    if (fields.length === 0) break;
+    value = { ...value };
+    for (const field of fields) {
+      // Drop characters from the end until their escaped length covers the overflow and the …
+      const chars = [...value[field]];
+      let removed = 0;
+      while (chars.length > 0 && removed <= overflow) {
+        removed += escapeHtml(chars.pop()).length;
+      }
+      value[field] = `${chars.join('')}…`;
+    }
+    overflow = measure({ [key]: value }) - MESSAGE_MAX_LENGTH;
+  }
+  return { [key]: value };
+}
+
+/**
+ * Split the room list into pages that each fit in one Telegram message
+ * Rooms and groups are only split between items, so every page is complete HTML;
+ * an item too long for a page of its own has its names shortened.
+ * A section whose items all landed on other pages is left out of a page.
+ * @returns {string[]} One message per page (at least one)
+ */
+function buildMessagePages(rooms, telegramGroups = [], options = {}) {
+  const items = [
+    ...rooms.map(item => ({ room: item })),
+    ...telegramGroups.map(item => ({ group: item }))
+  ];
+
+  const render = (pageItems, number, count) => {
+    const pageRooms = pageItems.filter(i => i.room).map(i => i.room);
+    const pageGroups = pageItems.filter(i => i.group).map(i => i.group);
+    return buildMessage(pageRooms, pageGroups, options, {
+      number,
+      count,
+      // Empty states go on the first (Zoom) and last (Telegram) page
+      showZoom: pageRooms.length > 0 || (rooms.length === 0 && number === 0),
+      showTelegram: pageGroups.length > 0 || (telegramGroups.length === 0 && (count === null || number === count - 1))
+    });
+  };
+
+  const pages = [];
+  let current = [];
+  for (let item of items) {
+    const measure = single => render([single], pages.length, null).length;
+    if (measure(item) > MESSAGE_MAX_LENGTH) {
+      item = shortenItem(item, measure);
+    }
+    const candidate = [...current, item];
+    if (current.length > 0 && render(candidate, pages.length, null).length > MESSAGE_MAX_LENGTH) {
+      pages.push(current);
+      current = [item];
+    } else {
+      current = candidate;
+    }
+  }
+  pages.push(current);
+
+  return pages.map((pageItems, number) => render(pageItems, number, pages.length));
+}
+
+/**
+ * Build main keyboard
+ * @param {Object} page - { number, count } of the page shown (null/one page: no page buttons)
+ */
+function mainKeyboard(settings = null, adminRole = null, branding = null, page = null) {
+  const isDMSubscriber = settings && settings.chat_type === 'private' && settings.enabled;
+  const botUsername = process.env.PROMO_ATTENDANT_BOT_USERNAME || 'PromoAttendantBot';
+  const tr = translator(settings && settings.language);
+
+  const keyboard = [
+    [
+      { text: tr('btn.add_group'), url: `https://t.me/${botUsername}?startgroup=rooms` },
+      { text: tr('btn.more_info'), callback_data: 'pa:more_info' }
+    ],
+    [
+      { text: tr('btn.add_channel'), url: `https://t.me/${botUsername}?startchannel=rooms` },
+      { text: tr('btn.refresh'), callback_data: 'pa:refresh' }
+    ],
+    [
+      isDMSubscriber
+        ? { text: tr('btn.view_list'), callback_data: 'pa:view_list' }
+        : { text: tr('btn.enable_dm'), callback_data: 'pa:enable_dm' },
+      { text: tr('btn.settings'), callback_data: 'pa:settings' }
+    ]
+  ];
+
+  // Page buttons right under the list
+  if (page && page.count > 1) {
+    const pageRow = [];
+    if (page.number > 0) {
+      pageRow.push({ text: '◀', callback_data: `pa:page:${page.number - 1}` });
+    }
+    pageRow.push({ text: `${page.number + 1}/${page.count}`, callback_data: `pa:page:${page.number}` });
+    if (page.number < page.count - 1) {
+      pageRow.push({ text: '▶', callback_data: `pa:page:${page.number + 1}` });
+    }
+    keyboard.unshift(pageRow);
+  }
+
+  // Watches are per user, so only offered in DMs
+  if (settings && settings.chat_type === 'private') {
+    keyboard.push([{ text: tr('btn.watches'), callback_data: 'pa:watch' }]);
+  }
+
+  // Branding link buttons, one per row
+  for (const button of (branding && branding.buttons) || []) {
+    keyboard.push([{ text: button.text, url: button.url }]);
+  }
+
+  // Add admin row for admins in DM
+  if (adminRole && settings && settings.chat_type === 'private') {
+    const adminRow = [{ text: '🔧 Admin Panel', callback_data: 'admin:panel' }];
+    if (roleAtLeast(adminRole, 'owner')) {
+      adminRow.push({ text: '👥 Subscriptions', callback_data: 'admin:subscriptions' });
+    }
+    keyboard.push(adminRow);
+  }
+
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Build settings message
+ */
+function buildSettingsMessage(settings) {
+  const tr = translator(settings.language);
+  const status = settings.enabled ? tr('settings.on') : tr('settings.off');
+  const interval = settings.repost_interval_hours || 4;
+  const repost = settings.post_schedule
+    ? `${tr('settings.schedule')}: <b>${describeSchedule(settings, tr)}</b>`
+    : tr('settings.repost', { hours: interval });
+
+  return `
+          <b>${tr('settings.title')}</b>
+
+  ${tr('settings.status')}: <b>${status}</b>
+  ${repost}
+  ${tr('settings.next_post')}: <b>${formatNextPost(settings)}</b>
+  ${tr('settings.filters')}: <b>${describeContentFilters(getContentFilters(settings), tr)}</b>
+  ${tr('settings.layout')}: <b>${layoutLabel(getLayout(settings.layout), tr)}</b>
+  ${tr('settings.sort')}: <b>${tr(`sort.${settings.sort_mode || DEFAULT_SORT_MODE}`)}</b>
+  ${tr('settings.quiet')}: <b>${settings.quiet_hours && settings.quiet_hours.length > 0
+    ? settings.quiet_hours.map(window => formatWindow(window, { timezone: false })).join(', ')
+    : tr('quiet.off')}</b>
+  ${tr('settings.language')}: <b>${LANGUAGES[tr.language]}</b>
+
+  ─────────────────────
+  <i>${tr('settings.select')}</i>
+  `.trim();
+}
+
+/**
+ * Build settings keyboard
+ */
+function settingsKeyboard(settings) {
+  const tr = translator(settings.language);
+  const toggleText = settings.enabled ? tr('settings.disable') : tr('settings.enable');
+  const current = settings.repost_interval_hours || 4;
+
+  // With a posting schedule no interval is current
+  const intervalBtns = INTERVALS.map(h => ({
+    text: h === current && !settings.post_schedule ? `[${h}h]` : `${h}h`,
+    callback_data: `pa:int:${h}`
+  }));
+
+  // Split into rows of 4
+  const rows = [];
+  for (let i = 0; i < intervalBtns.length; i += 4) {
+    rows.push(intervalBtns.slice(i, i + 4));
+  }
+
+  return {
+    inline_keyboard: [
+      [{ text: toggleText, callback_data: 'pa:toggle' }],
+      ...rows,
+      [{ text: tr('settings.schedule'), callback_data: 'pa:sched' }],
+      [
+        { text: tr('settings.content_filters'), callback_data: 'pa:flt' },
+        { text: tr('settings.branding'), callback_data: 'pa:brand' }
+      ],
+      [
+        { text: tr('settings.layout'), callback_data: 'pa:lay' },
+        { text: tr('settings.language'), callback_data: 'pa:lang' }
+      ],
+      [
+        { text: tr('settings.sort'), callback_data: 'pa:sort' },
+        { text: tr('settings.quiet'), callback_data: 'pa:quiet' }
+      ],
+      [{ text: tr('btn.back'), callback_data: 'pa:back' }]
+    ]
+  };
+}
+
+/**
+ * Layout name in the chat's language (registered label if the catalog lacks it)
+ */
+function layoutLabel(layout, tr) {
+  return hasMessage(`layout.${layout.key}`) ? tr(`layout.${layout.key}`) : layout.label;
+}
+
+/**
+ * Build the layout picker message
+ */
+function buildLayoutMessage(settings) {
+  const tr = translator(settings.language);
+  const current = getLayout(settings.layout);
+  const options = listLayouts().map(layout => {
+    const description = hasMessage(`layout.${layout.key}_description`)
+      ? tr(`layout.${layout.key}_description`)
+      : layout.description;
+    return `${layout.key === current.key ? '●' : '○'} <b>${layoutLabel(layout, tr)}</b>: ${description}`;
+  });
+
+  return `
+          <b>${tr('layout.title')}</b>
+
+  ${options.join('\n  ')}
+
+  ─────────────────────
+  <i>${tr('layout.note')}</i>
+  `.trim();
+}
+
+/**
+ * Build the layout picker keyboard (two per row)
+ */
+function layoutKeyboard(settings) {
+  const tr = translator(settings.language);
+  const current = getLayout(settings.layout);
+  const buttons = listLayouts().map(layout => {
+    const label = layoutLabel(layout, tr);
+    return {
+      text: layout.key === current.key ? `[${label}]` : label,
+      callback_data: `pa:lay:${layout.key}`
+    };
+  });
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  rows.push([{ text: tr('btn.back'), callback_data: 'pa:settings' }]);
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Build the sort order picker message
+ */
+function buildSortMessage(settings) {
+  const tr = translator(settings.language);
+  const current = settings.sort_mode || DEFAULT_SORT_MODE;
+  const options = SORT_MODES.map(mode =>
+    `${mode === current ? '●' : '○'} <b>${tr(`sort.${mode}`)}</b>: ${tr(`sort.${mode}_description`)}`);
+
+  return `
+          <b>${tr('sort.title')}</b>
+
+  ${options.join('\n  ')}
+
+  ─────────────────────
+  <i>${tr('sort.note')}</i>
+  `.trim();
+}
+
+/**
+ * Build the sort order picker keyboard (two per row)
+ */
+function sortKeyboard(settings) {
+  const tr = translator(settings.language);
+  const current = settings.sort_mode || DEFAULT_SORT_MODE;
+  const buttons = SORT_MODES.map(mode => ({
+    text: mode === current ? `[${tr(`sort.${mode}`)}]` : tr(`sort.${mode}`),
+    callback_data: `pa:sort:${mode}`
+  }));
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  rows.push([{ text: tr('btn.back'), callback_data: 'pa:settings' }]);
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Build the language picker message
+ */
+function buildLanguageMessage(settings) {
+  const tr = translator(settings.language);
+  const options = Object.entries(LANGUAGES)
+    .map(([code, name]) => `${code === tr.language ? '●' : '○'} ${name}`);
+
+  return `
+          <b>${tr('language.title')}</b>
+
+  ${options.join('\n  ')}
+
+  ─────────────────────
+  <i>${tr('language.note')}</i>
+  `.trim();
+}
+
+/**
+ * Build the language picker keyboard (two per row)
+ */
+function languageKeyboard(settings) {
+  const tr = translator(settings.language);
+  const buttons = Object.entries(LANGUAGES).map(([code, name]) => ({
+    text: code === tr.language ? `[${name}]` : name,
+    callback_data: `pa:lang:${code}`
+  }));
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  rows.push([{ text: tr('btn.back'), callback_data: 'pa:settings' }]);
+  return { inline_keyboard: rows };
+}
+
+/**
+ * A chat's content filters with defaults filled in
+ */
+function getContentFilters(settings) {
+  const filters = { ...DEFAULT_CONTENT_FILTERS, ...(settings && settings.content_filters) };
+  return { ...filters, groups: [...filters.groups], entries: [...filters.entries] };
+}
+
+/**
+ * Apply a chat's content filters to the rooms and Telegram groups it would see
+ * Selection (include/exclude) covers room groups and manual entries; groups from
+ * TELEGRAM_GROUPS config only follow the section toggle.
+ */
+function applyContentFilters(rooms, telegramGroups, filters) {
+  const isSelected = (item) => (item.is_manual
+    ? filters.entries.includes(item.manual_entry_id)
+    : filters.groups.includes(item.group_number));
+  const isShown = (item) => (filters.mode === 'include' ? isSelected(item) : !isSelected(item));
+
+  return {
+    rooms: filters.zoom
+      ? rooms.filter(room => isShown(room) &&
+        (room.is_manual || (room.zoom_participant_count || 0) >= filters.min_participants))
+      : [],
+    telegramGroups: filters.telegram
+      ? telegramGroups.filter(group => !group.is_manual || isShown(group))
+      : []
+  };
+}
+
+/**
+ * Order a chat's rooms: pinned rooms first (oldest pin first), then the rest by sort mode
+ * @param {Array} pins - From getPinnedRooms()
+ */
+function sortRooms(rooms, sortMode, pins = []) {
+  const pinOrder = new Map(pins.map((pin, i) => [`${pin.kind}:${pin.ref_id}`, i]));
+  const pinIndex = (room) => {
+    const key = room.is_manual ? `entry:${room.manual_entry_id}` : `group:${room.group_number}`;
+    return pinOrder.has(key) ? pinOrder.get(key) : Infinity;
+  };
+  const name = (room) => room.room_name || room.group_name || '';
+  const byName = (a, b) => name(a).localeCompare(name(b), undefined, { sensitivity: 'base' });
+  const seenAt = (room) => (room.last_seen ? new Date(room.last_seen).getTime() : 0);
+
+  const compare = {
+    order: () => 0, // getActiveRooms already returns the admin-defined order
+    participants: (a, b) => (b.zoom_participant_count || 0) - (a.zoom_participant_count || 0) || byName(a, b),
+    name: byName,
+    recent: (a, b) => seenAt(b) - seenAt(a) // Manual entries have no last_seen and go last
+  }[SORT_MODES.includes(sortMode) ? sortMode : DEFAULT_SORT_MODE];
+
+  // Array#sort is stable, so ties keep the admin-defined order
+  return [...rooms].sort((a, b) => {
+    const pinA = pinIndex(a);
+    const pinB = pinIndex(b);
+    return pinA !== pinB ? pinA - pinB : compare(a, b);
+  });
+}
+
+/**
+ * One-line summary of a chat's content filters
+ */
+function describeContentFilters(filters, tr = translator(DEFAULT_LANGUAGE)) {
+  const parts = [];
+  if (!filters.zoom) parts.push(tr('filters.no_zoom'));
+  if (!filters.telegram) parts.push(tr('filters.no_telegram'));
+  if (filters.min_participants > 0) parts.push(tr('filters.min', { count: filters.min_participants }));
+
+  const selected = filters.groups.length + filters.entries.length;
+  if (filters.mode === 'include') {
+    parts.push(tr('filters.only_selected', { count: selected }));
+  } else if (selected > 0) {
+    parts.push(tr('filters.hidden', { count: selected }));
+  }
+  return parts.length > 0 ? parts.join(' · ') : tr('filters.all');
+}
+
+/**
+ * Build the content filters screen
+ */
+function buildFiltersMessage(filters, tr) {
+  return `
+          <b>${tr('filters.title')}</b>
+
+  ${tr('filters.showing')}: <b>${describeContentFilters(filters, tr)}</b>
+
+  ${tr('filters.selection')}: <b>${tr(filters.mode === 'include' ? 'filters.mode_include' : 'filters.mode_exclude')}</b>
+  ${tr('filters.min_note')}
+
+  ─────────────────────
+  <i>${tr('settings.select')}</i>
+  `.trim();
+}
+
+/**
+ * Build the content filters keyboard
+ */
+function filtersKeyboard(filters, tr) {
+  const check = (on) => (on ? '✅' : '⬜');
+  return {
+    inline_keyboard: [
+      [
+        { text: `${check(filters.zoom)} ${tr('filters.zoom_rooms')}`, callback_data: 'pa:flt:sec:zoom' },
+        { text: `${check(filters.telegram)} ${tr('filters.telegram')}`, callback_data: 'pa:flt:sec:telegram' }
+      ],
+      MIN_PARTICIPANT_PRESETS.map(n => {
+        const label = n === 0 ? tr('filters.any') : `${n}+`;
+        return {
+          text: n === filters.min_participants ? `[${label}]` : label,
+          callback_data: `pa:flt:min:${n}`
+        };
+      }),
+      [{
+        text: tr('filters.mode', { mode: tr(filters.mode === 'include' ? 'filters.mode_include' : 'filters.mode_exclude') }),
+        callback_data: 'pa:flt:mode'
+      }],
+      [{ text: tr('filters.select_rooms'), callback_data: 'pa:flt:rooms' }],
+      [
+        { text: tr('btn.reset'), callback_data: 'pa:flt:reset' },
+        { text: tr('btn.back'), callback_data: 'pa:settings' }
+      ]
+    ]
+  };
+}
+
+/**
+ * Build the room selection screen for content filters
+ * Lists every room group plus current manual entries, marked by whether they show
+ */
+async function buildFilterRoomsScreen(filters, tr) {
+  const groups = await query(
+    'SELECT DISTINCT group_number, primary_name FROM promo_room_groups ORDER BY group_number'
+  );
+  const entries = await getManualEntries();
+
+  const shownMark = (selected) => {
+    const shown = filters.mode === 'include' ? selected : !selected;
+    return shown ? '✅' : '🚫';
+  };
+
+  const buttons = [];
+  for (const group of groups.rows) {
+    buttons.push([{
+      text: `${shownMark(filters.groups.includes(group.group_number))} ${group.primary_name || tr('room.fallback_name', { number: group.group_number })}`,
+      callback_data: `pa:flt:g:${group.group_number}`
+    }]);
+  }
+  for (const entry of entries) {
+    buttons.push([{
+      text: `${shownMark(filters.entries.includes(entry.id))} ${entry.name} (${entry.entry_type === 'zoom' ? 'Zoom' : 'Telegram'})`,
+      callback_data: `pa:flt:e:${entry.id}`
+    }]);
+  }
+  buttons.push([{ text: tr('btn.back'), callback_data: 'pa:flt' }]);
+
+  const text = `
+          <b>${tr('filters.rooms_title')}</b>
+
+  ${tr('filters.legend')}
+  ${tr('filters.tap')}
+  `.trim();
+
+  return { text, reply_markup: { inline_keyboard: buttons } };
+}
+
+/**
+ * Validate plain branding text (no markup, no control characters, length-limited)
+ * @returns {{value: string|null, error: string|null}}
+ */
+function validateBrandingText(text, maxLength, tr = translator(DEFAULT_LANGUAGE)) {
+  const value = text.trim();
+  if (!value) {
+    return { value: null, error: tr('branding.err_empty') };
+  }
+  if (/[\u0000-\u001f\u007f]/.test(value)) {
+    return { value: null, error: tr('branding.err_control') };
+  }
+  if (/<\/?[a-z][^>]*>/i.test(value)) {
+    return { value: null, error: tr('branding.err_html') };
+  }
+  if ([...value].length > maxLength) {
+    return { value: null, error: tr('branding.err_length', { max: maxLength }) };
+  }
+  return { value, error: null };
+}
+
+/**
+ * Parse an extra button typed as "Label | https://example.com"
+ * @returns {{value: Object|null, error: string|null}}
+ */
+function parseBrandingButton(text, tr = translator(DEFAULT_LANGUAGE)) {
+  const separator = text.indexOf('|');
+  if (separator < 0) {
+    return { value: null, error: tr('branding.err_button_format') };
+  }
+
+  const label = validateBrandingText(text.substring(0, separator), BRANDING_BUTTON_TEXT_MAX, tr);
+  if (label.error) return label;
+
+  const url = text.substring(separator + 1).trim();
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    // Reported below
+  }
+  if (!parsed || !['https:', 'tg:'].includes(parsed.protocol) || url.length > BRANDING_URL_MAX) {
+    return { value: null, error: tr('branding.err_button_url', { max: BRANDING_URL_MAX }) };
+  }
+  return { value: { text: label.value, url }, error: null };
+}
+
+/**
+ * Center text between the header's ◇ borders
+ */
+function buildHeaderLine(text) {
+  const padding = Math.max(0, HEADER_WIDTH - [...text].length);
+  const left = Math.floor(padding / 2);
+  return `<code>◇${' '.repeat(left)}${escapeHtml(text)}${' '.repeat(padding - left)}◇</code>`;
+}
+
+/**
+ * Center footer text in a line of ━ the same width as the header
+ */
+function buildFooterLine(text) {
+  const label = `⊱ ${text} ⊰`;
+  const bars = Math.max(2, HEADER_WIDTH + 2 - [...label].length);
+  const left = Math.floor(bars / 2);
+  return `<code>${'━'.repeat(left)}${escapeHtml(label)}${'━'.repeat(bars - left)}</code>`;
+}
+
+/**
+ * Build the branding screen (chat scope uses the Settings look, global the admin panel's)
+ * @param {Object} branding - Stored branding fields
+ * @param {string} scope - 'chat' or 'global'
+ * @param {Function} tr - Chat's translator (the global screen is English)
+ */
+function buildBrandingScreen(branding, scope, tr = translator(DEFAULT_LANGUAGE)) {
+  const prefix = scope === 'global' ? 'admin:brand' : 'pa:brand';
+  const show = (value) => (value ? `<b>${escapeHtml(value)}</b>` : `<i>${tr('branding.default')}</i>`);
+  const buttons = branding.buttons || [];
+
+  const details = [
+    `${tr('branding.field_title')}: ${show(branding.title)}`,
+    `${tr('branding.field_tagline')}: ${show(branding.tagline)}`,
+    `${tr('branding.field_footer')}: ${show(branding.footer)}`,
+    `${tr('branding.extra_buttons')}: <b>${buttons.length}</b>`
+  ];
+
+  let text;
+  if (scope === 'global') {
+    text = [
+      '<b>🎨 GLOBAL BRANDING</b>',
+      '━━━━━━━━━━━━━━━━━━',
+      '',
+      ...details,
+      `Enforced on all chats: <b>${branding.enforce ? 'yes' : 'no'}</b>`,
+      '',
+      '<i>Chats without their own branding use these. When enforced, chat branding is ignored.</i>'
+    ].join('\n');
+  } else {
+    text = `
+          <b>${tr('branding.title')}</b>
+
+  ${details.join('\n  ')}
+
+  ─────────────────────
+  <i>${tr('settings.select')}</i>
+    `.trim();
+  }
+
+  const keyboard = [
+    [
+      { text: tr('branding.field_title'), callback_data: `${prefix}:edit:title` },
+      { text: tr('branding.field_tagline'), callback_data: `${prefix}:edit:tagline` },
+      { text: tr('branding.field_footer'), callback_data: `${prefix}:edit:footer` }
+    ]
+  ];
+  buttons.forEach((button, index) => {
+    keyboard.push([{ text: `🗑 ${button.text}`, callback_data: `${prefix}:rmbtn:${index}` }]);
+  });
+  if (buttons.length < BRANDING_MAX_BUTTONS) {
+    keyboard.push([{ text: tr('branding.add_button'), callback_data: `${prefix}:edit:button` }]);
+  }
+  if (scope === 'global') {
+    keyboard.push([{ text: branding.enforce ? '🔓 Stop Enforcing' : '🔒 Enforce on All Chats', callback_data: 'admin:brand:enforce' }]);
+  }
+  keyboard.push([
+    { text: tr('btn.reset'), callback_data: `${prefix}:reset` },
+    { text: tr('btn.back'), callback_data: scope === 'global' ? 'admin:panel' : 'pa:settings' }
+  ]);
+
+  return { text, reply_markup: { inline_keyboard: keyboard } };
+}
+
+/**
+ * Prompt sent to an admin's DM for a branding field
+ */
+function buildBrandingPrompt(field, scope, targetName, tr) {
+  const max = field === 'button' ? BRANDING_BUTTON_TEXT_MAX : BRANDING_TEXT_FIELDS[field].maxLength;
+  return `
+<b>🎨 ${tr('branding.title')}</b> · ${scope === 'global' ? 'all chats' : escapeHtml(targetName)}
+━━━━━━━━━━━━━━━━━━
+
+${tr(`branding.prompt_${field}`, { max })}
+
+${tr('prompt.cancel_hint')}
+  `.trim();
+}
+
+/**
+ * Handle a branding button (pa:brand:* in a chat's Settings, admin:brand:* for global)
+ */
+async function handleBrandingCallback(callbackQuery) {
+  const chat = callbackQuery.message.chat;
+  const msgId = callbackQuery.message.message_id;
+  const userId = callbackQuery.from.id;
+  const scope = callbackQuery.data.startsWith('admin:') ? 'global' : 'chat';
+  const [, , action, param] = callbackQuery.data.split(':');
+
+  const settings = scope === 'chat' ? await getSettings(chat.id) : null;
+  const tr = translator(settings && settings.language);
+  const branding = scope === 'global'
+    ? { ...((await getConfig('branding')) || {}) }
+    : { ...((settings && settings.branding) || {}) };
+  const save = (value) => (scope === 'global'
+    ? setConfig('branding', value, userId)
+    : setChatBranding(chat.id, value, userId));
+
+  if (action === 'edit' && (BRANDING_TEXT_FIELDS[param] || param === 'button')) {
+    // Text is collected in the admin's DM so nothing is posted into the group/channel
+    await saveWizard({
+      user_id: userId,
+      chat_id: userId,
+      message_id: null,
+      entry_type: 'branding',
+      step: `brand_${param}`,
+      data: { scope, target_chat_id: chat.id, target_chat_type: chat.type, screen_message_id: msgId }
+    });
+    try {
+      const prompt = await queuedSend(userId, buildBrandingPrompt(param, scope, chat.title || chat.first_name || String(chat.id), tr), {
+        parse_mode: 'HTML'
+      }, PRIORITY.INTERACTIVE);
+      const wizard = await getWizard(userId);
+      wizard.message_id = prompt.message_id;
+      await saveWizard(wizard);
+      await bot.answerCallbackQuery(callbackQuery.id, chat.type === 'private' ? {} : { text: tr('prompt.check_dm') });
+    } catch (e) {
+      await clearWizard(userId);
+      const botUsername = process.env.PROMO_ATTENDANT_BOT_USERNAME || 'PromoAttendantBot';
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: tr('prompt.start_dm', { bot: botUsername }),
+        show_alert: true
+      });
+    }
+    return;
+  }
+
+  if (action === 'rmbtn' && branding.buttons && branding.buttons[parseInt(param)]) {
+    branding.buttons = branding.buttons.filter((_, i) => i !== parseInt(param));
+    if (branding.buttons.length === 0) delete branding.buttons;
+    await save(branding);
+  } else if (action === 'enforce' && scope === 'global') {
+    branding.enforce = !branding.enforce;
+    await save(branding);
+  } else if (action === 'reset') {
+    await save({});
+  }
+
+  const updated = scope === 'global'
+    ? ((await getConfig('branding')) || {})
+    : ((await getSettings(chat.id)).branding || {});
+  const screen = buildBrandingScreen(updated, scope, tr);
+  await queuedEdit(screen.text, {
+    chat_id: chat.id,
+    message_id: msgId,
+    parse_mode: 'HTML',
+    reply_markup: screen.reply_markup
+  }, PRIORITY.INTERACTIVE);
+  await bot.answerCallbackQuery(callbackQuery.id);
+}
+
+/**
+ * Handle a DM reply with a branding value
+ */
+async function handleBrandingInput(wizard, text) {
+  const { scope, target_chat_id: targetChatId, target_chat_type: targetChatType, screen_message_id: screenMessageId } = wizard.data;
+  const userId = wizard.user_id;
+  const settings = scope === 'chat' ? await getSettings(targetChatId) : null;
+  const tr = translator(settings && settings.language);
+
+  const allowed = scope === 'global'
+    ? await hasAdminRole(userId, 'owner')
+    : await canManageChat({ id: targetChatId, type: targetChatType }, userId);
+  if (!allowed) {
+    await clearWizard(userId);
+    await queuedSend(wizard.chat_id, tr('branding.not_allowed'), {}, PRIORITY.INTERACTIVE);
+    return;
+  }
+
+  const field = wizard.step.replace('brand_', '');
+  const branding = scope === 'global'
+    ? { ...((await getConfig('branding')) || {}) }
+    : { ...(settings.branding || {}) };
+
+  let result;
+  if (field === 'button') {
+    result = parseBrandingButton(text, tr);
+    if (!result.error) {
+      branding.buttons = [...(branding.buttons || []), result.value].slice(0, BRANDING_MAX_BUTTONS);
+    }
+  } else if (text.trim() === '-') {
+    result = { error: null };
+    delete branding[field];
+  } else {
+    result = validateBrandingText(text, BRANDING_TEXT_FIELDS[field].maxLength, tr);
+    if (!result.error) {
+      branding[field] = result.value;
+    }
+  }
+
+  if (result.error) {
+    await queuedSend(wizard.chat_id, `⚠️ ${result.error}\n${tr('prompt.retry')}`, {}, PRIORITY.INTERACTIVE);
+    return;
+  }
+
+  if (scope === 'global') {
+    await setConfig('branding', branding, userId);
+  } else {
+    await setChatBranding(targetChatId, branding, userId);
+  }
+  await clearWizard(userId);
+  await queuedSend(wizard.chat_id, tr('branding.updated'), {}, PRIORITY.INTERACTIVE);
+
+  // Refresh the branding screen the admin started from
+  const screen = buildBrandingScreen(branding, scope, tr);
+  await queuedEdit(screen.text, {
+    chat_id: targetChatId,
+    message_id: screenMessageId,
+    parse_mode: 'HTML',
+    reply_markup: screen.reply_markup
+  }, PRIORITY.INTERACTIVE).catch(() => {});
+}
+
+/**
+ * Build a chat's quiet hours screen
+ */
+function buildQuietHoursScreen(settings, tr) {
+  const tz = getChatTimezone(settings);
+  const windows = settings.quiet_hours || [];
+  const mode = settings.quiet_mode || DEFAULT_QUIET_MODE;
+  const localTime = new Date().toLocaleTimeString('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit' });
+  const quietUntil = getQuietUntil(settings);
+
+  const list = windows.length > 0
+    ? windows.map(window => `◇ ${formatWindow(window, { timezone: false })}`).join('\n  ')
+    : `<i>${tr('quiet.none')}</i>`;
+  const status = quietUntil
+    ? `\n\n  ${tr('quiet.active', { time: quietUntil.toLocaleTimeString('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit' }) })}`
+    : '';
+
+  const text = `
+          <b>${tr('quiet.title')}</b>
+
+  ${tr('quiet.timezone')}: <b>${tz}</b> (${tr('quiet.local_time', { time: localTime })})
+  ${tr('quiet.mode')}: <b>${tr(`quiet.mode_${mode}`)}</b>
+
+  ${list}${status}
+
+  ─────────────────────
+  <i>${tr('quiet.note')}</i>
+  `.trim();
+
+  const buttons = windows.map((window, i) => [{
+    text: `❌ ${formatWindow(window, { timezone: false })}`,
+    callback_data: `pa:quiet:rm:${i}`
+  }]);
+  const editRow = [{ text: tr('quiet.set_timezone'), callback_data: 'pa:quiet:edit:tz' }];
+  if (windows.length < MAX_QUIET_WINDOWS) {
+    editRow.unshift({ text: tr('quiet.add'), callback_data: 'pa:quiet:edit:window' });
+  }
+  buttons.push(editRow);
+  buttons.push([{
+    text: tr(`quiet.switch_${mode === 'defer' ? 'skip' : 'defer'}`),
+    callback_data: 'pa:quiet:mode'
+  }]);
+  buttons.push([{ text: tr('btn.back'), callback_data: 'pa:settings' }]);
+
+  return { text, reply_markup: { inline_keyboard: buttons } };
+}
+
+/**
+ * Build the DM prompt for a quiet hours field (tz or window)
+ */
+function buildQuietHoursPrompt(field, settings, targetName, tr) {
+  return `
+<b>🌙 ${tr('quiet.title')}</b> · ${escapeHtml(targetName)}
+━━━━━━━━━━━━━━━━━━
+
+${tr(`quiet.prompt_${field}`, { tz: field === 'tz' ? DEFAULT_TIMEZONE : getChatTimezone(settings) })}
+
+${tr('prompt.cancel_hint')}
+  `.trim();
+}
+
+/**
+ * Handle a quiet hours button (pa:quiet:* in a chat's Settings)
+ * pa:quiet shows the screen, edit:<tz|window> prompts by DM, rm:<index> removes a window,
+ * mode switches between defer and skip
+ */
+async function handleQuietHoursCallback(callbackQuery) {
+  const chat = callbackQuery.message.chat;
+  const msgId = callbackQuery.message.message_id;
+  const userId = callbackQuery.from.id;
+  const [, , action, param] = callbackQuery.data.split(':');
+
+  const settings = await getSettings(chat.id);
+  const tr = translator(settings.language);
+  const windows = settings.quiet_hours || [];
+
+  if (action === 'edit' && (param === 'tz' || param === 'window')) {
+    // Like branding, text is collected in the admin's DM
+    await saveWizard({
+      user_id: userId,
+      chat_id: userId,
+      message_id: null,
+      entry_type: 'quiet',
+      step: `quiet_${param}`,
+      data: { target_chat_id: chat.id, target_chat_type: chat.type, screen_message_id: msgId }
+    });
+    try {
+      const prompt = await queuedSend(userId, buildQuietHoursPrompt(param, settings, chat.title || chat.first_name || String(chat.id), tr), {
+        parse_mode: 'HTML'
+      }, PRIORITY.INTERACTIVE);
+      const wizard = await getWizard(userId);
+      wizard.message_id = prompt.message_id;
+      await saveWizard(wizard);
+      await bot.answerCallbackQuery(callbackQuery.id, chat.type === 'private' ? {} : { text: tr('prompt.check_dm') });
+    } catch (e) {
+      await clearWizard(userId);
+      const botUsername = process.env.PROMO_ATTENDANT_BOT_USERNAME || 'PromoAttendantBot';
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: tr('prompt.start_dm', { bot: botUsername }),
+        show_alert: true
+      });
+    }
+    return;
+  }
+
+  if (action === 'rm' && windows[parseInt(param)]) {
+    await setChatQuietHours(chat.id, { quiet_hours: windows.filter((_, i) => i !== parseInt(param)) }, userId);
+  } else if (action === 'mode') {
+    const mode = settings.quiet_mode || DEFAULT_QUIET_MODE;
+    await setChatQuietHours(chat.id, { quiet_mode: QUIET_MODES.find(m => m !== mode) }, userId);
+  }
+
+  const screen = buildQuietHoursScreen(await getSettings(chat.id), tr);
+  await queuedEdit(screen.text, {
+    chat_id: chat.id,
+    message_id: msgId,
+    parse_mode: 'HTML',
+    reply_markup: screen.reply_markup
+  }, PRIORITY.INTERACTIVE);
+  await bot.answerCallbackQuery(callbackQuery.id);
+}
+
+/**
+ * Handle a DM reply to a quiet hours prompt
+ */
+async function handleQuietHoursInput(wizard, text) {
+  const { target_chat_id: targetChatId, target_chat_type: targetChatType, screen_message_id: screenMessageId } = wizard.data;
+  const userId = wizard.user_id;
+  const settings = await getSettings(targetChatId);
+  const tr = translator(settings.language);
+
+  if (!(await canManageChat({ id: targetChatId, type: targetChatType }, userId))) {
+    await clearWizard(userId);
+    await queuedSend(wizard.chat_id, tr('quiet.not_allowed'), {}, PRIORITY.INTERACTIVE);
+    return;
+  }
+
+  const value = text.trim();
+  let updates = null;
+  if (wizard.step === 'quiet_tz') {
+    if (value === '-') {
+      updates = { timezone: null };
+    } else if (isValidTimezone(value)) {
+      updates = { timezone: value };
+    }
+  } else {
+    // Any timezone typed with the window is ignored: windows follow the chat's timezone
+    const { window } = parseWindow(value);
+    if (window) {
+      const { days, start, end } = window;
+      updates = { quiet_hours: [...(settings.quiet_hours || []), { days, start, end }].slice(0, MAX_QUIET_WINDOWS) };
+    }
+  }
+
+  if (!updates) {
+    const error = tr(wizard.step === 'quiet_tz' ? 'quiet.err_timezone' : 'quiet.err_window');
+    await queuedSend(wizard.chat_id, `⚠️ ${error}\n${tr('prompt.retry')}`, { parse_mode: 'HTML' }, PRIORITY.INTERACTIVE);
+    return;
+  }
+
+  await setChatQuietHours(targetChatId, updates, userId);
+  await clearWizard(userId);
+  await queuedSend(wizard.chat_id, tr('quiet.updated'), {}, PRIORITY.INTERACTIVE);
+
+  // Refresh the quiet hours screen the admin started from
+  const screen = buildQuietHoursScreen(await getSettings(targetChatId), tr);
+  await queuedEdit(screen.text, {
+    chat_id: targetChatId,
+    message_id: screenMessageId,
+    parse_mode: 'HTML',
+    reply_markup: screen.reply_markup
+  }, PRIORITY.INTERACTIVE).catch(() => {});
+}
+
+/**
+ * A chat's posting schedule in words (preset name, raw expression, or its interval)
+ */
+function describeSchedule(settings, tr) {
+  if (!settings.post_schedule) {
+    return tr('schedule.interval', { hours: settings.repost_interval_hours || 4 });
+  }
+  const preset = Object.keys(SCHEDULE_PRESETS).find(key => SCHEDULE_PRESETS[key] === settings.post_schedule);
+  return preset ? tr(`schedule.${preset}`) : `<code>${escapeHtml(settings.post_schedule)}</code>`;
+}
+
+/**
+ * "Fri 20:00 Europe/London" for a chat's next repost ("—" if none is due)
+ */
+function formatNextPost(settings) {
+  const at = getNextPostTime(settings);
+  if (!at) return '—';
+  const tz = getChatTimezone(settings);
+  return `${at.toLocaleString('en-GB', { timeZone: tz, weekday: 'short', hour: '2-digit', minute: '2-digit' })} ${tz}`;
+}
+
+/**
+ * Build a chat's posting schedule screen
+ * @param {boolean} isOwner - Offer the raw expression prompt (bot owners only)
+ */
+function buildScheduleScreen(settings, tr, isOwner) {
+  const text = `
+          <b>${tr('schedule.title')}</b>
+
+  ${tr('schedule.current')}: <b>${describeSchedule(settings, tr)}</b>
+  ${tr('settings.next_post')}: <b>${formatNextPost(settings)}</b>
+
+  ─────────────────────
+  <i>${tr('schedule.note', { tz: getChatTimezone(settings) })}</i>
+  `.trim();
+
+  const presetBtns = Object.keys(SCHEDULE_PRESETS).map(key => ({
+    text: SCHEDULE_PRESETS[key] === settings.post_schedule ? `[${tr(`schedule.${key}`)}]` : tr(`schedule.${key}`),
+    callback_data: `pa:sched:p:${key}`
+  }));
+  const intervalText = tr('schedule.interval', { hours: settings.repost_interval_hours || 4 });
+
+  const rows = [];
+  for (let i = 0; i < presetBtns.length; i += 2) {
+    rows.push(presetBtns.slice(i, i + 2));
+  }
+  rows.push([{ text: settings.post_schedule ? intervalText : `[${intervalText}]`, callback_data: 'pa:sched:interval' }]);
+  if (isOwner) {
+    rows.push([{ text: tr('schedule.custom'), callback_data: 'pa:sched:custom' }]);
+  }
+  rows.push([{ text: tr('btn.back'), callback_data: 'pa:settings' }]);
+
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+/**
+ * Build the DM prompt for a raw schedule expression
+ */
+function buildSchedulePrompt(settings, targetName, tr) {
+  return `
+<b>🗓 ${tr('schedule.title')}</b> · ${escapeHtml(targetName)}
+━━━━━━━━━━━━━━━━━━
+
+${tr('schedule.prompt', { tz: getChatTimezone(settings) })}
+
+${tr('prompt.cancel_hint')}
+  `.trim();
+}
+
+/**
+ * Handle a posting schedule button (pa:sched:* in a chat's Settings)
+ * pa:sched shows the screen, p:<preset> picks a preset, interval goes back to the
+ * repost interval, custom prompts a bot owner for a raw expression by DM
+ */
+async function handleScheduleCallback(callbackQuery) {
+  const chat = callbackQuery.message.chat;
+  const msgId = callbackQuery.message.message_id;
+  const userId = callbackQuery.from.id;
+  const [, , action, param] = callbackQuery.data.split(':');
+
+  const settings = await getSettings(chat.id);
+  const tr = translator(settings.language);
+  const isOwner = await hasAdminRole(userId, 'owner');
+
+  if (action === 'custom') {
+    if (!isOwner) {
+      await bot.answerCallbackQuery(callbackQuery.id, { text: tr('schedule.owners_only'), show_alert: true });
+      return;
+    }
+    await saveWizard({
+      user_id: userId,
+      chat_id: userId,
+      message_id: null,
+      entry_type: 'schedule',
+      step: 'schedule_expression',
+      data: { target_chat_id: chat.id, target_chat_type: chat.type, screen_message_id: msgId }
     });
+    try {
+      const prompt = await queuedSend(userId, buildSchedulePrompt(settings, chat.title || chat.first_name || String(chat.id), tr), {
+        parse_mode: 'HTML'
+      }, PRIORITY.INTERACTIVE);
+      const wizard = await getWizard(userId);
+      wizard.message_id = prompt.message_id;
+      await saveWizard(wizard);
+      await bot.answerCallbackQuery(callbackQuery.id, chat.type === 'private' ? {} : { text: tr('prompt.check_dm') });
+    } catch (e) {
+      await clearWizard(userId);
+      const botUsername = process.env.PROMO_ATTENDANT_BOT_USERNAME || 'PromoAttendantBot';
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: tr('prompt.start_dm', { bot: botUsername }),
+        show_alert: true
+      });
+    }
+    return;
   }
 
-  return filtered;
+  let answer = {};
+  if (action === 'p' && SCHEDULE_PRESETS[param]) {
+    await setPostSchedule(chat.id, SCHEDULE_PRESETS[param], userId);
+    answer = { text: tr('answer.schedule_set', { schedule: tr(`schedule.${param}`) }) };
+  } else if (action === 'interval' && settings.post_schedule) {
+    await setPostSchedule(chat.id, null, userId);
+    answer = { text: tr('answer.interval_set', { hours: settings.repost_interval_hours || 4 }) };
+  }
+
+  const screen = buildScheduleScreen(await getSettings(chat.id), tr, isOwner);
+  await queuedEdit(screen.text, {
+    chat_id: chat.id,
+    message_id: msgId,
+    parse_mode: 'HTML',
+    reply_markup: screen.reply_markup
+  }, PRIORITY.INTERACTIVE);
+  await bot.answerCallbackQuery(callbackQuery.id, answer);
 }
 
 /**
- * Escape HTML entities
+ * Handle a DM reply to the schedule prompt ("-" goes back to the interval)
  */
-function escapeHtml(text) {
-  if (!text) return '';
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+async function handleScheduleInput(wizard, text) {
+  const { target_chat_id: targetChatId, target_chat_type: targetChatType, screen_message_id: screenMessageId } = wizard.data;
+  const userId = wizard.user_id;
+  const settings = await getSettings(targetChatId);
+  const tr = translator(settings.language);
+
+  if (!(await hasAdminRole(userId, 'owner')) ||
+      !(await canManageChat({ id: targetChatId, type: targetChatType }, userId))) {
+    await clearWizard(userId);
+    await queuedSend(wizard.chat_id, tr('schedule.not_allowed'), {}, PRIORITY.INTERACTIVE);
+    return;
+  }
+
+  const value = text.trim();
+  let schedule = null;
+  if (value !== '-') {
+    const result = validatePostSchedule(value, settings);
+    if (result.error) {
+      const error = tr('schedule.err_expression', { error: escapeHtml(result.error) });
+      await queuedSend(wizard.chat_id, `⚠️ ${error}\n${tr('prompt.retry')}`, { parse_mode: 'HTML' }, PRIORITY.INTERACTIVE);
+      return;
+    }
+    schedule = result.schedule;
+  }
+
+  await setPostSchedule(targetChatId, schedule, userId);
+  await clearWizard(userId);
+  const updated = await getSettings(targetChatId);
+  await queuedSend(wizard.chat_id, tr('schedule.updated', { next: formatNextPost(updated) }), {
+    parse_mode: 'HTML'
+  }, PRIORITY.INTERACTIVE);
+
+  // Refresh the schedule screen the owner started from
+  const screen = buildScheduleScreen(updated, tr, true);
+  await queuedEdit(screen.text, {
+    chat_id: targetChatId,
+    message_id: screenMessageId,
+    parse_mode: 'HTML',
+    reply_markup: screen.reply_markup
+  }, PRIORITY.INTERACTIVE).catch(() => {});
 }
 
 /**
- * Create padded room header with consistent total width
- * Target: 29 chars total (◆ + bars + ◆ + space + name + space + ◆ + bars + ◆)
+ * One-line description of a watch, e.g. "Any room has 20+ people"
  */
-function padRoomHeader(name) {
-  const maxNameLen = 15; // "The Locker Room" is longest
-  const nameLen = name.length;
-  const extraBars = Math.max(0, maxNameLen - nameLen);
-  const leftBars = '━'.repeat(2 + Math.floor(extraBars / 2));
-  const rightBars = '━'.repeat(2 + Math.ceil(extraBars / 2));
-  return `<code>◆${leftBars}◆ ${name} ◆${rightBars}◆</code>`;
+function describeWatch(watch, tr) {
+  let name = watch.target_name;
+  if (watch.target_kind === 'any') {
+    name = tr('watch.any_room');
+  } else if (!name) {
+    name = watch.target_kind === 'group'
+      ? tr('room.fallback_name', { number: watch.target_id })
+      : watch.target_id;
+  }
+  const condition = watch.min_participants > 0
+    ? tr('watch.busy', { count: watch.min_participants })
+    : tr('watch.live');
+  return `${name} ${condition}`;
 }
 
 /**
- * Build the main room activity message
- * @param {Array} rooms - Active rooms
- * @param {Array} telegramGroups - Telegram groups array [{ name, inviteLink, username }]
+ * Build a user's watch list screen
  */
-function buildMessage(rooms, telegramGroups = []) {
-  const lines = [];
-
-  // Header (50 chars)
-  lines.push('<code>━━━━━━━━━━━━━━━━━━━━━━━━━</code>');
-  lines.push('<code>◇    ⊱PROMO ATTENDANT⊰    ◇</code>');
-  lines.push('<code>◇      ⊱ Room Pulse ⊰      ◇</code>');
-  lines.push('<code>━━━━━━━━━━━━━━━━━━━━━━━━━</code>');
-  lines.push('');
-
-  // Zoom Rooms section
-  lines.push('<b>➤ ZOOM ROOMS</b>');
-  lines.push('[ DIRECTORY ]');
-  lines.push('');
-
-  if (rooms.length === 0) {
-    lines.push('        <i>No active rooms</i>');
-    lines.push('');
-  } else {
-    for (const room of rooms) {
-      const roomName = room.room_name || room.group_name || `Room ${room.group_number}`;
-      lines.push(`        ${padRoomHeader(escapeHtml(roomName))}`);
-      lines.push(`        ◇ Room ID <code>${room.meeting_id}</code>`);
-      if (room.zoom_participant_count > 0) {
-        lines.push(`        ◇ ${room.zoom_participant_count} Participants`);
-      }
-      lines.push(`        ◇ <a href="https://zoom.us/j/${room.meeting_id}">Join Room</a>`);
-      lines.push('');
-    }
-  }
+function buildWatchesScreen(watches, tr) {
+  const list = watches.length > 0
+    ? watches.map(watch => `🔔 ${escapeHtml(describeWatch(watch, tr))}`).join('\n  ')
+    : `<i>${tr('watch.empty')}</i>`;
 
-  // Telegram Chats section
-  lines.push('<b>➤ TELEGRAM</b>');
-  lines.push('[ Live video chat ]');
-  lines.push('');
+  const text = `
+          <b>${tr('watch.title')}</b>
 
-  if (telegramGroups.length === 0) {
-    lines.push('        <i>No active chats</i>');
-  } else {
-    for (const group of telegramGroups) {
-      lines.push(`        <b>${escapeHtml(group.name)}</b>`);
+  ${list}
 
-      // Build join link
-      let joinUrl = null;
-      if (group.username) {
-        joinUrl = `https://t.me/${group.username}`;
-      } else if (group.inviteLink) {
-        joinUrl = group.inviteLink;
-      }
+  ─────────────────────
+  <i>${tr('watch.note')}</i>
+  `.trim();
 
-      if (joinUrl) {
-        lines.push(`        ◇ <a href="${joinUrl}">Join Group</a>`);
-      }
-      lines.push('');
-    }
+  const buttons = watches.map(watch => [{
+    text: `❌ ${describeWatch(watch, tr)}`,
+    callback_data: `pa:watch:rm:${watch.id}`
+  }]);
+  if (watches.length < MAX_WATCHES_PER_USER) {
+    buttons.push([{ text: tr('watch.add'), callback_data: 'pa:watch:add' }]);
   }
+  buttons.push([{ text: tr('btn.back'), callback_data: 'pa:back' }]);
 
-  // Footer
-  lines.push('<code>━━━━━━━⊱ Let\'s Cloud ⊰━━━━━━━</code>');
-
-  return lines.join('\n');
+  return { text, reply_markup: { inline_keyboard: buttons } };
 }
 
 /**
- * Build main keyboard
+ * Build the "which room" step of adding a watch (every room group, not just live ones)
  */
-function mainKeyboard(settings = null, userId = null) {
-  const isDMSubscriber = settings && settings.chat_type === 'private' && settings.enabled;
-  const isAdmin = userId && isSuperAdmin(userId);
-  const botUsername = process.env.PROMO_ATTENDANT_BOT_USERNAME || 'PromoAttendantBot';
+async function buildWatchTargetScreen(tr) {
+  const groups = await query(
+    'SELECT DISTINCT group_number, primary_name FROM promo_room_groups ORDER BY group_number'
+  );
+  const entries = (await getManualEntries('zoom')).filter(entry => entry.meeting_id);
+
+  const buttons = [[{ text: `🌐 ${tr('watch.any_room')}`, callback_data: 'pa:watch:add:any' }]];
+  for (const group of groups.rows) {
+    buttons.push([{
+      text: group.primary_name || tr('room.fallback_name', { number: group.group_number }),
+      callback_data: `pa:watch:add:${formatWatchTarget({ target_kind: 'group', target_id: group.group_number })}`
+    }]);
+  }
+  for (const entry of entries) {
+    buttons.push([{
+      text: entry.name,
+      callback_data: `pa:watch:add:${formatWatchTarget({ target_kind: 'meeting', target_id: entry.meeting_id })}`
+    }]);
+  }
+  buttons.push([{ text: tr('btn.back'), callback_data: 'pa:watch' }]);
 
-  const keyboard = [
-    [
-      { text: '+ GROUP', url: `https://t.me/${botUsername}?startgroup=rooms` },
-      { text: 'MORE INFO', callback_data: 'pa:more_info' }
-    ],
-    [
-      { text: '+ CHANNEL', url: `https://t.me/${botUsername}?startchannel=rooms` },
-      { text: 'Refresh', callback_data: 'pa:refresh' }
-    ],
-    [
-      isDMSubscriber
-        ? { text: 'View List', callback_data: 'pa:view_list' }
-        : { text: '+ Direct Message', callback_data: 'pa:enable_dm' },
-      { text: 'Settings', callback_data: 'pa:settings' }
-    ]
-  ];
+  const text = `
+          <b>${tr('watch.pick_title')}</b>
 
-  // Add admin row for super admin in DM
-  if (isAdmin && settings && settings.chat_type === 'private') {
-    keyboard.push([
-      { text: '🔧 Admin Panel', callback_data: 'admin:panel' },
-      { text: '👥 Subscriptions', callback_data: 'admin:subscriptions' }
-    ]);
-  }
+  ${tr('watch.pick_room')}
+  `.trim();
 
-  return { inline_keyboard: keyboard };
+  return { text, reply_markup: { inline_keyboard: buttons } };
 }
 
 /**
- * Build settings message
+ * Build the "when" step of adding a watch
  */
-function buildSettingsMessage(settings) {
-  const status = settings.enabled ? 'ON' : 'OFF';
-  const interval = settings.repost_interval_hours || 4;
+function buildWatchThresholdScreen(target, targetName, tr) {
+  const name = target.target_kind === 'any' ? tr('watch.any_room') : targetName || target.target_id;
+  const buttons = WATCH_THRESHOLDS.map(min => ({
+    text: min > 0 ? tr('watch.threshold_busy', { count: min }) : tr('watch.threshold_live'),
+    callback_data: `pa:watch:new:${formatWatchTarget(target)}:${min}`
+  }));
 
-  return `
-          <b>SETTINGS</b>
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  rows.push([{ text: tr('btn.back'), callback_data: 'pa:watch:add' }]);
 
-  Status: <b>${status}</b>
-  Repost: every <b>${interval}h</b>
+  const text = `
+          <b>${tr('watch.pick_title')}</b>
 
-  ─────────────────────
-  <i>Select an option below</i>
+  ${tr('watch.pick_threshold', { room: escapeHtml(name) })}
   `.trim();
+
+  return { text, reply_markup: { inline_keyboard: rows } };
 }
 
 /**
- * Build settings keyboard
+ * Handle a watch button (pa:watch:*, DM only: each user manages their own watches)
+ * pa:watch lists, add picks a room, add:<target> picks when, new:<target>:<min> saves, rm:<id> removes
  */
-function settingsKeyboard(settings) {
-  const toggleText = settings.enabled ? 'Disable' : 'Enable';
-  const current = settings.repost_interval_hours || 4;
+async function handleWatchCallback(callbackQuery) {
+  const chat = callbackQuery.message.chat;
+  const userId = callbackQuery.from.id;
+  const [, , action, param, minParam] = callbackQuery.data.split(':');
+  const tr = await getChatTranslator(chat.id);
+
+  if (chat.type !== 'private') {
+    await bot.answerCallbackQuery(callbackQuery.id, { text: tr('watch.dm_only'), show_alert: true });
+    return;
+  }
 
-  const intervalBtns = INTERVALS.map(h => ({
-    text: h === current ? `[${h}h]` : `${h}h`,
-    callback_data: `pa:int:${h}`
-  }));
+  const target = param && parseWatchTarget(param);
+  const resolved = target ? await resolveWatchTarget(target) : null;
+  if ((action === 'add' || action === 'new') && param && !resolved) {
+    await bot.answerCallbackQuery(callbackQuery.id, { text: tr('watch.not_found'), show_alert: true });
+    return;
+  }
 
-  // Split into rows of 4
-  const rows = [];
-  for (let i = 0; i < intervalBtns.length; i += 4) {
-    rows.push(intervalBtns.slice(i, i + 4));
+  let screen;
+  let notice = null;
+  if (action === 'add' && resolved) {
+    screen = buildWatchThresholdScreen(target, resolved.name, tr);
+  } else if (action === 'add') {
+    screen = await buildWatchTargetScreen(tr);
+  } else {
+    const min = parseInt(minParam);
+    if (action === 'new' && WATCH_THRESHOLDS.includes(min)) {
+      if ((await getUserWatches(userId)).length >= MAX_WATCHES_PER_USER) {
+        notice = tr('watch.limit', { max: MAX_WATCHES_PER_USER });
+      } else {
+        notice = (await addWatch(userId, target, min, resolved.name)) ? tr('watch.added') : tr('watch.exists');
+      }
+    } else if (action === 'rm') {
+      await removeWatch(userId, parseInt(param));
+      notice = tr('watch.removed');
+    }
+    screen = buildWatchesScreen(await getUserWatches(userId), tr);
   }
 
-  return {
-    inline_keyboard: [
-      [{ text: toggleText, callback_data: 'pa:toggle' }],
-      ...rows,
-      [{ text: '« Back', callback_data: 'pa:back' }]
-    ]
-  };
+  await queuedEdit(screen.text, {
+    chat_id: chat.id,
+    message_id: callbackQuery.message.message_id,
+    parse_mode: 'HTML',
+    reply_markup: screen.reply_markup
+  }, PRIORITY.INTERACTIVE);
+  await bot.answerCallbackQuery(callbackQuery.id, notice ? { text: notice } : {});
 }
 
 /**
  * Build MORE INFO message
  */
-function buildMoreInfoMessage() {
+function buildMoreInfoMessage(tr) {
+  const steps = (key) => tr(key).map((step, i) => `${i + 1}. ${step}`).join('\n');
+
   return `
-<b>Promo Attendant - More Info</b>
+<b>${tr('info.title')}</b>
 
-<b>About</b>
-See Active Real Time Status of Rooms
+<b>${tr('info.about')}</b>
+${tr('info.about_text')}
 
 <b>━━━━━━━━━━━━━━━━━━━━━━━━</b>
 
-<b>Related Bots</b>
+<b>${tr('info.related')}</b>
 
 <b>PNP Directory List</b>
-Add your PNP promo to this list to get more subscribers!
+${tr('info.directory_text')}
 
-<b>GroupAttendant</b> [Group Moderator Bot]
-<b>WatchDog</b> [Group Moderator Bot]
-<b>BotifyKickBot</b> [Global Moderation Bot]
-<b>BotifyModBot</b> [Group Moderator Bot]
-<b>Fix 1132</b> [Zoom 1132 Info]
+<b>GroupAttendant</b> [${tr('info.tag_group_mod')}]
+<b>WatchDog</b> [${tr('info.tag_group_mod')}]
+<b>BotifyKickBot</b> [${tr('info.tag_global_mod')}]
+<b>BotifyModBot</b> [${tr('info.tag_group_mod')}]
+<b>Fix 1132</b> [${tr('info.tag_1132')}]
 
 <b>━━━━━━━━━━━━━━━━━━━━━━━━</b>
 
-<b>Setup Instructions</b>
+<b>${tr('info.setup')}</b>
 
-<b>For Groups:</b>
-1. Tap + GROUP button
-2. Select your group from the list
-3. Bot will post room status embed
-4. Configure settings as needed
+<b>${tr('info.for_groups')}</b>
+${steps('info.groups_steps')}
 
-<b>For Channels:</b>
-1. Tap + CHANNEL button
-2. Select your channel
-3. Bot will post updates to channel
+<b>${tr('info.for_channels')}</b>
+${steps('info.channels_steps')}
 
-<b>For Direct Messages:</b>
-1. Tap + Direct Message
-2. Receive updates in your DMs
-3. Adjust frequency in settings
+<b>${tr('info.for_dms')}</b>
+${steps('info.dms_steps')}
 
 <b>━━━━━━━━━━━━━━━━━━━━━━━━</b>
   `.trim();
@@ -1531,12 +4971,13 @@ async function getTelegramGroups() {
   // Add manual telegram entries from database
   try {
     const manualTelegram = await getManualEntries('telegram');
-    for (const entry of manualTelegram) {
+    for (const entry of manualTelegram.filter(e => isAnyWindowOpen(e.windows))) {
       groups.push({
         name: entry.name,
         inviteLink: entry.invite_link || null,
         username: null,
-        is_manual: true
+        is_manual: true,
+        manual_entry_id: entry.id
       });
     }
   } catch (err) {
@@ -1549,7 +4990,7 @@ async function getTelegramGroups() {
 /**
  * Build MORE INFO keyboard
  */
-function moreInfoKeyboard() {
+function moreInfoKeyboard(tr) {
   return {
     inline_keyboard: [
       [{ text: 'PNP Directory List', url: 'https://t.me/PNPDirectoryListBot' }],
@@ -1558,7 +4999,7 @@ function moreInfoKeyboard() {
       [{ text: 'BotifyKickBot', url: 'https://t.me/autogroupkickbot' }],
       [{ text: 'BotifyModBot', url: 'https://t.me/deletezoomlinksbot' }],
       [{ text: 'Fix 1132', url: 'https://t.me/Fix1132Bot' }],
-      [{ text: '« Back', callback_data: 'pa:back' }]
+      [{ text: tr('btn.back'), callback_data: 'pa:back' }]
     ]
   };
 }
@@ -1566,23 +5007,19 @@ function moreInfoKeyboard() {
 /**
  * Build View List message (for DM subscribers)
  */
-function buildViewListMessage() {
+function buildViewListMessage(tr) {
   return `
 <b>PNP Directory List</b>
 
-View and subscribe to active PNP rooms and groups.
+${tr('list.intro')}
 
 <b>━━━━━━━━━━━━━━━━━━━━━━━━</b>
 
-<b>What is this?</b>
-The PNP Directory List Bot maintains a real-time
-directory of active PNP rooms and groups.
+<b>${tr('list.what')}</b>
+${tr('list.what_text')}
 
-<b>Features:</b>
-• Browse active Zoom rooms
-• Find Telegram video chat groups
-• Subscribe to room notifications
-• Add your own room to the directory
+<b>${tr('list.features')}</b>
+${tr('list.features_items').map(item => `• ${item}`).join('\n')}
 
 <b>━━━━━━━━━━━━━━━━━━━━━━━━</b>
   `.trim();
@@ -1591,59 +5028,116 @@ directory of active PNP rooms and groups.
 /**
  * Build View List keyboard
  */
-function viewListKeyboard() {
+function viewListKeyboard(tr) {
   return {
     inline_keyboard: [
-      [{ text: 'Open PNP Directory List', url: 'https://t.me/PNPDirectoryListBot' }],
-      [{ text: '« Back', callback_data: 'pa:back' }]
+      [{ text: tr('list.open'), url: 'https://t.me/PNPDirectoryListBot' }],
+      [{ text: tr('btn.back'), callback_data: 'pa:back' }]
     ]
   };
 }
 
+/**
+ * Remember a successful send/edit for the readiness check
+ */
+function noteDelivery(result) {
+  lastDeliveryAt = Date.now();
+  return result;
+}
+
+/**
+ * Send a message through the outbound queue
+ */
+function queuedSend(chatId, text, options = {}, priority = PRIORITY.BACKGROUND) {
+  return trackMessage('post', chatId, () => enqueue(chatId,
+    () => timeTelegramRequest('sendMessage', () => bot.sendMessage(chatId, text, options)), priority,
+    { idempotent: false }))
+    .then(noteDelivery);
+}
+
+/**
+ * Edit a message through the outbound queue (options as for bot.editMessageText)
+ */
+function queuedEdit(text, options, priority = PRIORITY.BACKGROUND) {
+  return trackMessage('edit', options.chat_id, () => enqueue(options.chat_id,
+    () => timeTelegramRequest('editMessageText', () => bot.editMessageText(text, options)), priority))
+    .then(noteDelivery);
+}
+
+/**
+ * Delete a message through the outbound queue
+ */
+function queuedDelete(chatId, messageId, priority = PRIORITY.BACKGROUND) {
+  return trackMessage('delete', chatId, () => enqueue(chatId,
+    () => timeTelegramRequest('deleteMessage', () => bot.deleteMessage(chatId, messageId)), priority));
+}
+
+/**
+ * Build the room embed pages for a chat (its content filters applied)
+ * @returns {string[]} One message per page
+ */
+async function buildChatMessage(settings, branding = null) {
+  const rooms = await getActiveRooms(settings.inactive_threshold_minutes || 60);
+  const telegramGroups = await getTelegramGroups();
+  const filtered = applyContentFilters(rooms, telegramGroups, getContentFilters(settings));
+  const sorted = sortRooms(filtered.rooms, settings.sort_mode, await getPinnedRooms());
+  return buildMessagePages(sorted, filtered.telegramGroups, {
+    branding,
+    layout: settings.layout,
+    language: settings.language
+  });
+}
+
 /**
  * Post a new message to a chat
+ * @param {number} chatId - Target chat
+ * @param {number} priority - Send queue priority (interactive when a user asked for it)
  */
-async function postMessage(chatId) {
+async function postMessage(chatId, priority = PRIORITY.BACKGROUND) {
   if (!bot) return null;
 
   try {
     const settings = await getSettings(chatId);
-    const rooms = await getActiveRooms(settings.inactive_threshold_minutes || 60);
-    const telegramGroups = await getTelegramGroups();
-    const text = buildMessage(rooms, telegramGroups);
-    const keyboard = mainKeyboard(settings, settings.configured_by_user_id || chatId);
+    const branding = await getEffectiveBranding(settings);
+    // A fresh post starts on the first page
+    const pages = await buildChatMessage(settings, branding);
+    const text = pages[0];
+    const adminRole = settings.chat_type === 'private'
+      ? await getAdminRole(settings.configured_by_user_id || chatId)
+      : null;
+    const keyboard = mainKeyboard(settings, adminRole, branding, { number: 0, count: pages.length });
 
     // Delete old message if exists
     if (settings.last_message_id) {
       try {
-        await bot.deleteMessage(chatId, settings.last_message_id);
+        await queuedDelete(chatId, settings.last_message_id, priority);
       } catch (e) {
         // Message may already be deleted
       }
     }
 
     // Post new message
-    const msg = await bot.sendMessage(chatId, text, {
+    const msg = await queuedSend(chatId, text, {
       parse_mode: 'HTML',
       reply_markup: keyboard,
       disable_web_page_preview: true
-    });
+    }, priority);
 
-    // Save message ID and start timers
+    // Save message ID and schedule the next repost/edit
     await query(
       `UPDATE promo_attendant_settings
-       SET last_message_id = $2, last_posted_at = NOW()
+       SET last_message_id = $2, last_posted_at = NOW(), current_page = 0,
+           next_post_at = COALESCE($4, NOW() + INTERVAL '1 hour' * repost_interval_hours),
+           next_edit_at = NOW() + INTERVAL '1 millisecond' * $3
        WHERE chat_id = $1`,
-      [chatId, msg.message_id]
+      [chatId, msg.message_id, UPDATE_INTERVAL_MS, getScheduledRun(settings)]
     );
 
-    startTimer(chatId);
-    startUpdateTimer(chatId, msg.message_id);
-
     console.log(`[PromoAttendant] Posted message to ${chatId}`);
     return msg;
   } catch (error) {
     console.error(`[PromoAttendant] Failed to post to ${chatId}:`, error.message);
+    await handleSendError(chatId, error);
     return null;
   }
 }
@@ -1651,173 +5145,489 @@ async function postMessage(chatId) {
 /**
  * Update an existing message
  */
-async function updateMessage(chatId, msgId) {
+async function updateMessage(chatId, msgId, priority = PRIORITY.BACKGROUND) {
   if (!bot) return;
 
   try {
     const settings = await getSettings(chatId);
-    const rooms = await getActiveRooms(settings.inactive_threshold_minutes || 60);
-    const telegramGroups = await getTelegramGroups();
-    const text = buildMessage(rooms, telegramGroups);
-    const keyboard = mainKeyboard(settings, settings.configured_by_user_id || chatId);
-
-    await bot.editMessageText(text, {
+    const branding = await getEffectiveBranding(settings);
+    // Stay on the page the chat was showing (the list may have shrunk since)
+    const pages = await buildChatMessage(settings, branding);
+    const page = Math.min(settings.current_page || 0, pages.length - 1);
+    const text = pages[page];
+    const adminRole = settings.chat_type === 'private'
+      ? await getAdminRole(settings.configured_by_user_id || chatId)
+      : null;
+    const keyboard = mainKeyboard(settings, adminRole, branding, { number: page, count: pages.length });
+
+    await queuedEdit(text, {
       chat_id: chatId,
       message_id: msgId,
       parse_mode: 'HTML',
       reply_markup: keyboard,
       disable_web_page_preview: true
-    });
+    }, priority);
   } catch (error) {
     if (!error.message.includes('message is not modified')) {
       console.error(`[PromoAttendant] Failed to update ${chatId}:`, error.message);
+      await handleSendError(chatId, error);
     }
   }
 }
 
 /**
- * Start repost timer for a chat (respects last_posted_at on restart)
+ * Recompute next repost for a chat from its posting schedule, or from
+ * last_posted_at and its interval (used after enabling or changing either)
  */
-function startTimer(chatId, skipInitialDelay = false) {
-  stopTimer(chatId);
+async function scheduleRepost(chatId) {
+  const nextRun = getScheduledRun(await getSettings(chatId));
+  await query(
+    `UPDATE promo_attendant_settings
+     SET next_post_at = COALESCE($3, GREATEST(
+           COALESCE(last_posted_at, NOW()) + INTERVAL '1 hour' * repost_interval_hours,
+           NOW()
+         )),
+         next_edit_at = COALESCE(next_edit_at, NOW() + INTERVAL '1 millisecond' * $2)
+     WHERE chat_id = $1 AND enabled = TRUE`,
+    [chatId, UPDATE_INTERVAL_MS, nextRun]
+  );
+}
 
-  getSettings(chatId).then(async settings => {
-    if (!settings.enabled) return;
+/**
+ * Claim chats whose repost is due
+ * SKIP LOCKED + advancing next_post_at in the same statement means
+ * two replicas can never claim the same chat
+ */
+async function claimDuePosts() {
+  const result = await query(
+    `UPDATE promo_attendant_settings s
+     SET next_post_at = NOW() + INTERVAL '1 hour' * s.repost_interval_hours
+     FROM (
+       SELECT chat_id FROM promo_attendant_settings
+       WHERE enabled = TRUE AND next_post_at <= NOW()
+       ORDER BY next_post_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     ) due
+     WHERE s.chat_id = due.chat_id
+     RETURNING s.chat_id, s.timezone, s.quiet_hours, s.quiet_mode, s.post_schedule`,
+    [SCHEDULER_BATCH_SIZE]
+  );
+  return result.rows;
+}
 
-    const intervalMs = (settings.repost_interval_hours || 4) * 60 * 60 * 1000;
+/**
+ * Claim chats whose embed is due for a silent edit
+ */
+async function claimDueEdits() {
+  const result = await query(
+    `UPDATE promo_attendant_settings s
+     SET next_edit_at = NOW() + INTERVAL '1 millisecond' * $2
+     FROM (
+       SELECT chat_id FROM promo_attendant_settings
+       WHERE enabled = TRUE AND last_message_id IS NOT NULL AND next_edit_at <= NOW()
+       ORDER BY next_edit_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     ) due
+     WHERE s.chat_id = due.chat_id
+     RETURNING s.chat_id, s.last_message_id`,
+    [SCHEDULER_BATCH_SIZE, UPDATE_INTERVAL_MS]
+  );
+  return result.rows;
+}
 
-    // Calculate time until next repost based on last_posted_at
-    let initialDelayMs = intervalMs;
-    if (!skipInitialDelay && settings.last_posted_at) {
-      const lastPosted = new Date(settings.last_posted_at).getTime();
-      const nextRepost = lastPosted + intervalMs;
-      const now = Date.now();
-      initialDelayMs = Math.max(0, nextRepost - now);
+/**
+ * Repost a claimed chat unless it's in quiet hours
+ * Deferred reposts move next_post_at to the end of the quiet hours; skipped ones
+ * keep the next regular slot the claim already set.
+ */
+async function runClaimedPost(row) {
+  // The claim advanced by the interval; a posting schedule has its own next slot
+  const nextRun = getScheduledRun(row);
+  if (nextRun) {
+    await query('UPDATE promo_attendant_settings SET next_post_at = $2 WHERE chat_id = $1', [row.chat_id, nextRun]);
+  }
 
-      if (initialDelayMs > 0) {
-        const mins = Math.round(initialDelayMs / 60000);
-        console.log(`[PromoAttendant] Timer for ${chatId}: next repost in ${mins}m (respecting last_posted_at)`);
-      }
-    }
+  const quietUntil = getQuietUntil(row);
+  if (!quietUntil) {
+    return postMessage(row.chat_id);
+  }
 
-    // If delay is 0 or very small, still wait at least 1 minute to avoid spam on restart
-    if (initialDelayMs < 60000) {
-      initialDelayMs = 60000;
-    }
+  if ((row.quiet_mode || DEFAULT_QUIET_MODE) === 'defer') {
+    await query('UPDATE promo_attendant_settings SET next_post_at = $2 WHERE chat_id = $1', [row.chat_id, quietUntil]);
+    console.log(`[PromoAttendant] Quiet hours in ${row.chat_id}, repost deferred to ${quietUntil.toISOString()}`);
+  } else {
+    console.log(`[PromoAttendant] Quiet hours in ${row.chat_id}, repost skipped`);
+  }
+  return null;
+}
 
-    // First timeout, then regular interval
-    const initialTimeout = setTimeout(async () => {
-      try {
-        await postMessage(chatId);
-      } catch (e) {
-        console.error(`[PromoAttendant] Repost timer failed for ${chatId}:`, e.message);
-      }
+/**
+ * One pass of the scheduler: repost due chats, then edit due embeds
+ */
+async function runSchedulerTick() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
 
-      // Start regular interval after first post
-      const timer = setInterval(async () => {
-        try {
-          await postMessage(chatId);
-        } catch (e) {
-          console.error(`[PromoAttendant] Repost timer failed for ${chatId}:`, e.message);
-        }
-      }, intervalMs);
+  try {
+    // Run the batch concurrently; the send queue paces the actual Telegram calls
+    const posts = await claimDuePosts();
+    await Promise.all(posts.map(row => runClaimedPost(row).catch(e => {
+      console.error(`[PromoAttendant] Scheduled repost failed for ${row.chat_id}:`, e.message);
+    })));
+
+    const edits = await claimDueEdits();
+    await Promise.all(edits.map(row => updateMessage(row.chat_id, row.last_message_id).catch(e => {
+      console.error(`[PromoAttendant] Scheduled edit failed for ${row.chat_id}:`, e.message);
+    })));
+    lastSchedulerTickAt = Date.now();
+  } catch (error) {
+    console.error('[PromoAttendant] Scheduler tick failed:', error.message);
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+/**
+ * Claim manual entries expiring within the warning window (each is warned once)
+ */
+async function claimExpiryWarnings() {
+  const result = await query(`
+    UPDATE promo_attendant_manual_entries
+    SET expiry_warned_at = NOW()
+    WHERE expires_at > NOW()
+      AND expires_at <= NOW() + INTERVAL '1 hour' * $1
+      AND expiry_warned_at IS NULL
+      AND created_by IS NOT NULL
+    RETURNING *
+  `, [EXPIRY_WARNING_HOURS]);
+  return result.rows;
+}
+
+/**
+ * DM an entry's creator that it's about to expire, with extend / permanent buttons
+ * Creators no longer moderators are skipped, as the buttons need that role.
+ */
+async function sendExpiryWarning(entry) {
+  if (!await hasAdminRole(entry.created_by, 'moderator')) return;
+
+  const minutesLeft = Math.max(1, Math.round((new Date(entry.expires_at) - Date.now()) / 60000));
+  const timeLeft = minutesLeft >= 60
+    ? `${Math.floor(minutesLeft / 60)}h ${minutesLeft % 60}m`
+    : `${minutesLeft}m`;
+
+  const text = `
+<b>⏳ EXPIRING SOON</b>
+━━━━━━━━━━━━━━━━━━
 
-      timers.set(chatId, timer);
-    }, initialDelayMs);
+Your ${entry.entry_type === 'zoom' ? 'Zoom room' : 'Telegram chat'} <b>${escapeHtml(entry.name)}</b> expires in ${timeLeft} (${new Date(entry.expires_at).toLocaleString()}).
+
+After that it disappears from Room Pulse.
+  `.trim();
 
-    timers.set(chatId, initialTimeout);
-    console.log(`[PromoAttendant] Repost timer started for ${chatId} (${settings.repost_interval_hours}h)`);
+  await queuedSend(entry.created_by, text, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: '⏳ Extend 24h', callback_data: `admin:entry_ext:${entry.id}:24` },
+          { text: '♾ Make Permanent', callback_data: `admin:entry_perm:${entry.id}` }
+        ],
+        [{ text: '✏️ Open Entry', callback_data: `admin:entry:${entry.id}` }]
+      ]
+    }
   });
 }
 
 /**
- * Stop repost timer
+ * Archive (or purge) entries that expired more than the grace period ago
+ */
+async function retireExpiredEntries() {
+  const result = EXPIRY_ACTION === 'purge'
+    ? await query(`
+        DELETE FROM promo_attendant_manual_entries
+        WHERE expires_at < NOW() - INTERVAL '1 hour' * $1
+        RETURNING *
+      `, [EXPIRY_GRACE_HOURS])
+    : await query(`
+        UPDATE promo_attendant_manual_entries
+        SET archived_at = NOW()
+        WHERE expires_at < NOW() - INTERVAL '1 hour' * $1
+          AND archived_at IS NULL
+        RETURNING *
+      `, [EXPIRY_GRACE_HOURS]);
+
+  for (const entry of result.rows) {
+    await recordAudit(null, `${EXPIRY_ACTION}_manual`, entry.id, entry, null);
+  }
+  if (EXPIRY_ACTION === 'purge' && result.rows.length > 0) {
+    await query(`DELETE FROM promo_attendant_pinned WHERE kind = 'entry' AND ref_id = ANY($1)`,
+      [result.rows.map(entry => entry.id)]);
+  }
+  if (result.rows.length > 0) {
+    console.log(`[PromoAttendant] ${EXPIRY_ACTION === 'purge' ? 'Purged' : 'Archived'} ${result.rows.length} expired manual entries`);
+  }
+}
+
+/**
+ * Expiry housekeeping: warn creators, then archive/purge long-expired entries
  */
-function stopTimer(chatId) {
-  const timer = timers.get(chatId);
-  if (timer) {
-    clearInterval(timer);
-    timers.delete(chatId);
+async function runExpiryHousekeeping() {
+  try {
+    const expiring = await claimExpiryWarnings();
+    for (const entry of expiring) {
+      await sendExpiryWarning(entry).catch(e => {
+        console.error(`[PromoAttendant] Expiry warning for entry ${entry.id} failed:`, e.message);
+      });
+    }
+
+    await retireExpiredEntries();
+  } catch (error) {
+    console.error('[PromoAttendant] Expiry housekeeping failed:', error.message);
   }
 }
 
 /**
- * Start update timer (edits message every 10 minutes)
+ * Claim watches for alerting, skipping those still in their cooldown
+ * Claiming sets last_alert_at, so a transition during the cooldown is dropped, not queued
  */
-function startUpdateTimer(chatId, msgId) {
-  stopUpdateTimer(chatId);
+async function claimWatchAlerts(watchIds) {
+  const result = await query(`
+    UPDATE promo_attendant_watches
+    SET last_alert_at = NOW()
+    WHERE id = ANY($1)
+      AND (last_alert_at IS NULL OR last_alert_at <= NOW() - INTERVAL '1 minute' * $2)
+    RETURNING *
+  `, [watchIds, WATCH_COOLDOWN_MINUTES]);
+  return result.rows;
+}
 
-  const timer = setInterval(async () => {
-    try {
-      await updateMessage(chatId, msgId);
-    } catch (e) {
-      console.error(`[PromoAttendant] Update timer failed for ${chatId}:`, e.message);
+/**
+ * DM a user the rooms that just matched one of their watches
+ */
+async function sendWatchAlert(watch, rooms) {
+  const tr = await getChatTranslator(watch.user_id);
+  const lines = rooms.map(room => {
+    const name = room.room_name || room.group_name || tr('room.fallback_name', { number: room.group_number });
+    const link = `<a href="https://zoom.us/j/${room.meeting_id}">${escapeHtml(name)}</a>`;
+    return watch.min_participants > 0
+      ? `◇ ${tr('watch.alert_busy', { room: link, count: room.zoom_participant_count || 0 })}`
+      : `◇ ${tr('watch.alert_live', { room: link })}`;
+  });
+
+  const text = `
+          <b>🔔 ${tr('watch.alert_title')}</b>
+
+  ${lines.join('\n  ')}
+
+  ─────────────────────
+  <i>${tr('watch.alert_note', { watch: escapeHtml(describeWatch(watch, tr)) })}</i>
+  `.trim();
+
+  await queuedSend(watch.user_id, text, {
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    reply_markup: { inline_keyboard: [[{ text: tr('btn.watches'), callback_data: 'pa:watch' }]] }
+  });
+}
+
+/**
+ * Compare the active rooms with the previous check and alert the watches that fired
+ */
+async function runWatchCheck() {
+  try {
+    const rooms = await getActiveRooms();
+    const previous = lastWatchSnapshot;
+    lastWatchSnapshot = rooms;
+
+    const watches = previous ? (await query('SELECT * FROM promo_attendant_watches')).rows : [];
+    const fired = findWatchTransitions(previous, rooms, watches);
+    if (fired.size === 0) return;
+
+    for (const watch of await claimWatchAlerts([...fired.keys()])) {
+      await sendWatchAlert(watch, fired.get(watch.id)).catch(async e => {
+        console.error(`[PromoAttendant] Watch alert to ${watch.user_id} failed:`, e.message);
+        // Users who blocked the bot can't be alerted any more
+        if (isChatUnreachable(await handleSendError(watch.user_id, e))) {
+          await query('DELETE FROM promo_attendant_watches WHERE user_id = $1', [watch.user_id]);
+        }
+      });
     }
-  }, UPDATE_INTERVAL_MS);
+  } catch (error) {
+    console.error('[PromoAttendant] Watch check failed:', error.message);
+  }
+}
 
-  updateTimers.set(chatId, timer);
-  console.log(`[PromoAttendant] Update timer started for ${chatId} (10m edits)`);
+/**
+ * Start the scheduler worker loop (and the expiry housekeeping and watch jobs)
+ */
+function startScheduler() {
+  stopScheduler();
+  schedulerTimer = setInterval(runSchedulerTick, SCHEDULER_TICK_MS);
+  housekeepingTimer = setInterval(runExpiryHousekeeping, HOUSEKEEPING_TICK_MS);
+  watchTimer = setInterval(runWatchCheck, WATCH_TICK_MS);
+  runSchedulerTick();
+  runExpiryHousekeeping();
+  runWatchCheck();
+  console.log(`[PromoAttendant] Scheduler started (every ${SCHEDULER_TICK_MS / 1000}s)`);
 }
 
 /**
- * Stop update timer
+ * Stop the scheduler worker loop
  */
-function stopUpdateTimer(chatId) {
-  const timer = updateTimers.get(chatId);
-  if (timer) {
-    clearInterval(timer);
-    updateTimers.delete(chatId);
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+  if (housekeepingTimer) {
+    clearInterval(housekeepingTimer);
+    housekeepingTimer = null;
   }
+  if (watchTimer) {
+    clearInterval(watchTimer);
+    watchTimer = null;
+  }
+  // The next term's first watch check only records the rooms (no alerts for what changed meanwhile)
+  lastWatchSnapshot = null;
 }
 
 /**
- * Start timers for all enabled chats
+ * Readiness check: database, bot, migrations and (on the leader) update
+ * delivery and recent sends. Each check is { ok, ...details }.
+ * @returns {Promise<{ready: boolean, checks: Object}>}
  */
-async function startAllTimers() {
+async function getHealth() {
+  const checks = {};
+
+  let dbTimer;
   try {
-    const result = await query(
-      `SELECT chat_id, last_message_id FROM promo_attendant_settings WHERE enabled = TRUE`
-    );
+    await Promise.race([
+      query('SELECT 1'),
+      new Promise((_, reject) => {
+        dbTimer = setTimeout(() => reject(new Error('timed out')), HEALTH_DB_TIMEOUT_MS);
+      })
+    ]);
+    checks.database = { ok: true };
+  } catch (err) {
+    checks.database = { ok: false, error: err.message };
+  } finally {
+    clearTimeout(dbTimer);
+  }
 
-    for (const row of result.rows) {
-      startTimer(row.chat_id);
-      if (row.last_message_id) {
-        startUpdateTimer(row.chat_id, row.last_message_id);
-      }
+  if (!process.env.PROMO_ATTENDANT_BOT_TOKEN) {
+    // Disabled by configuration: nothing to initialize, migrate or schedule
+    checks.bot = { ok: true, disabled: true };
+  } else {
+    checks.bot = { ok: !!bot, mode: getDeliveryMode() };
+    checks.migrations = { ok: migrationComplete };
+  }
+
+  // Standbys neither receive updates nor send; only the leader is judged on those
+  const role = getRole();
+  if (role === 'leader') {
+    if (getDeliveryMode() === 'webhook') {
+      checks.updates = { ok: webhookRegistered, webhook_registered: webhookRegistered };
+    } else {
+      const now = Date.now();
+      pollingErrors = pollingErrors.filter(at => at > now - HEALTH_POLLING_ERROR_WINDOW_MS);
+      const polling = !!bot && bot.isPolling();
+      checks.updates = {
+        ok: polling && pollingErrors.length < HEALTH_POLLING_ERROR_LIMIT,
+        polling,
+        recent_polling_errors: pollingErrors.length
+      };
     }
 
-    console.log(`[PromoAttendant] Started timers for ${result.rows.length} chats`);
-  } catch (error) {
-    console.error('[PromoAttendant] Failed to start timers:', error.message);
+    // Judged on the scheduler running, not on sends: a quiet hour or an embed with
+    // nothing new is a healthy leader with nothing to deliver
+    const silentMs = Date.now() - Math.max(lastSchedulerTickAt || 0, leaderSince || 0);
+    checks.scheduler = {
+      ok: silentMs <= HEALTH_MAX_SILENCE_MS,
+      last_tick_at: lastSchedulerTickAt ? new Date(lastSchedulerTickAt).toISOString() : null,
+      last_delivery_at: lastDeliveryAt ? new Date(lastDeliveryAt).toISOString() : null
+    };
+    if (!checks.scheduler.ok) {
+      checks.scheduler.silent_minutes = Math.floor(silentMs / 60000);
+    }
   }
+
+  return {
+    ready: Object.values(checks).every(check => check.ok),
+    role,
+    checks
+  };
 }
 
 /**
  * Shutdown the bot
  */
 async function shutdownPromoAttendant() {
-  // Clear all timers
-  for (const timer of timers.values()) {
-    clearInterval(timer);
-  }
-  timers.clear();
-
-  for (const timer of updateTimers.values()) {
-    clearInterval(timer);
-  }
-  updateTimers.clear();
+  stopScheduler();
+  stopSendQueue();
 
-  // Stop polling
+  // Stop polling / remove webhook while still holding the lock: once it's released a
+  // standby can register its own webhook, which we must not delete (nor may a standby
+  // remove the leader's)
   if (bot) {
     console.log('[PromoAttendant] Shutting down...');
-    await bot.stopPolling();
+    if (getDeliveryMode() === 'polling') {
+      await bot.stopPolling();
+    } else if (isLeader()) {
+      await bot.deleteWebHook().catch(err => {
+        console.error('[PromoAttendant] Failed to remove webhook:', err.message);
+      });
+    }
     bot = null;
   }
+
+  await stopLeaderElection();
 }
 
 module.exports = {
   initPromoAttendant,
   shutdownPromoAttendant,
+  handleWebhookUpdate,
+  getWebhookPath,
+  getHealth,
   postMessage,
-  getActiveRooms
+  getActiveRooms,
+  // Room list filtering, sorting and rendering
+  getContentFilters,
+  applyContentFilters,
+  SORT_MODES,
+  sortRooms,
+  MESSAGE_MAX_LENGTH,
+  buildMessagePages,
+  shortenItem,
+  // Admin operations (shared by the REST admin API)
+  INTERVALS,
+  parseEntryFieldInput,
+  getAdminRole,
+  roleAtLeast,
+  getAllSubscriptions,
+  getSubscription,
+  getSubscriptionStats,
+  enrollChat,
+  setChatEnabled,
+  setRepostInterval,
+  validatePostSchedule,
+  setPostSchedule,
+  forcePost,
+  unenrollChat,
+  MAX_ENTRY_NAME_LENGTH,
+  ENTRY_EDIT_FIELDS,
+  WIZARD_STEP_MAX_LENGTH,
+  getManualEntry,
+  getAllManualEntries,
+  addManualEntry,
+  updateManualEntry,
+  deleteManualEntry,
+  getHiddenMeetings,
+  hideMeeting,
+  unhideMeeting,
+  getPinnedRooms,
+  pinRoom,
+  unpinRoom
 };
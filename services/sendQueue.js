@@ -0,0 +1,190 @@
+/**
+ * Outbound send queue for promo-attendant
+ * Every sendMessage / editMessageText / deleteMessage goes through here so we
+ * stay under Telegram's limits (~30 msg/s overall, ~20 msg/min per group),
+ * honor retry_after on 429s and let interactive replies jump ahead of
+ * background reposts.
+ */
+
+const { getRetryAfterMs, isRetryable, classifySendError } = require('./telegramErrors');
+const { telegramRetriesTotal, sendQueueLength } = require('./metrics');
+
+const PRIORITY = {
+  INTERACTIVE: 0, // Callback replies, command responses
+  BACKGROUND: 1 // Scheduled reposts and edits
+};
+
+const GLOBAL_LIMIT_PER_SECOND = parseInt(process.env.PROMO_ATTENDANT_GLOBAL_RATE) || 30;
+const GROUP_LIMIT_PER_MINUTE = parseInt(process.env.PROMO_ATTENDANT_GROUP_RATE) || 20;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 1000;
+const PUMP_INTERVAL_MS = 50;
+
+const queues = [[], []]; // Indexed by priority
+const globalSends = []; // Timestamps of sends in the last second
+const groupSends = new Map(); // chatId -> timestamps of sends in the last minute
+const blockedUntil = new Map(); // chatId -> time retry_after expires
+let pumpTimer = null;
+
+/**
+ * Groups and channels have negative chat IDs
+ */
+function isGroupChat(chatId) {
+  return Number(chatId) < 0;
+}
+
+/**
+ * Random 0..max ms, so retries from many chats don't line up
+ */
+function jitter(max) {
+  return Math.floor(Math.random() * max);
+}
+
+/**
+ * Drop timestamps older than the window
+ */
+function prune(timestamps, windowMs, now) {
+  while (timestamps.length > 0 && timestamps[0] <= now - windowMs) {
+    timestamps.shift();
+  }
+}
+
+/**
+ * Whether a job can be sent right now without breaking a limit
+ */
+function canSend(job, now) {
+  if (job.notBefore > now) return false;
+  if ((blockedUntil.get(job.chatId) || 0) > now) return false;
+
+  if (isGroupChat(job.chatId)) {
+    const sends = groupSends.get(job.chatId);
+    if (sends) {
+      prune(sends, 60 * 1000, now);
+      if (sends.length >= GROUP_LIMIT_PER_MINUTE) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Record a send against the global and per-group windows
+ */
+function recordSend(chatId, now) {
+  globalSends.push(now);
+  if (isGroupChat(chatId)) {
+    if (!groupSends.has(chatId)) groupSends.set(chatId, []);
+    groupSends.get(chatId).push(now);
+  }
+}
+
+/**
+ * Handle a failed call: requeue if retryable, otherwise reject
+ */
+function handleFailure(job, err) {
+  job.attempts++;
+
+  if (!isRetryable(err, job.idempotent) || job.attempts >= MAX_ATTEMPTS) {
+    job.reject(err);
+    return;
+  }
+
+  telegramRetriesTotal.inc({ error_class: classifySendError(err) });
+  const retryAfterMs = getRetryAfterMs(err);
+  if (retryAfterMs) {
+    // Telegram told us exactly how long this chat is throttled
+    blockedUntil.set(job.chatId, Date.now() + retryAfterMs + jitter(500));
+    console.log(`[SendQueue] 429 for ${job.chatId}, retrying in ${Math.ceil(retryAfterMs / 1000)}s`);
+  } else {
+    job.notBefore = Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1) + jitter(RETRY_BASE_MS);
+  }
+
+  // Retries go to the front of their priority queue to preserve ordering
+  queues[job.priority].unshift(job);
+  schedulePump();
+}
+
+/**
+ * Dispatch every job the limits currently allow
+ */
+function pump() {
+  pumpTimer = null;
+  const now = Date.now();
+  prune(globalSends, 1000, now);
+
+  for (const queue of queues) {
+    for (let i = 0; i < queue.length && globalSends.length < GLOBAL_LIMIT_PER_SECOND; i++) {
+      const job = queue[i];
+      if (!canSend(job, now)) continue;
+
+      queue.splice(i, 1);
+      i--;
+      recordSend(job.chatId, now);
+      job.fn().then(job.resolve, err => handleFailure(job, err));
+    }
+  }
+
+  for (const [chatId, until] of blockedUntil) {
+    if (until <= now) blockedUntil.delete(chatId);
+  }
+  for (const [chatId, sends] of groupSends) {
+    prune(sends, 60 * 1000, now);
+    if (sends.length === 0) groupSends.delete(chatId);
+  }
+
+  sendQueueLength.set(getQueueLength());
+  schedulePump();
+}
+
+/**
+ * Keep pumping while anything is waiting
+ */
+function schedulePump() {
+  if (pumpTimer || (queues[0].length === 0 && queues[1].length === 0)) return;
+  pumpTimer = setTimeout(pump, PUMP_INTERVAL_MS);
+}
+
+/**
+ * Queue a Telegram call
+ * @param {number|string} chatId - Chat the call targets (for per-chat limits)
+ * @param {Function} fn - Performs the call, returns a promise
+ * @param {number} priority - PRIORITY.INTERACTIVE or PRIORITY.BACKGROUND
+ * @param {Object} options - idempotent: false for calls that mustn't run twice (sends)
+ * @returns {Promise} Resolves/rejects with the call's final result
+ */
+function enqueue(chatId, fn, priority = PRIORITY.BACKGROUND, { idempotent = true } = {}) {
+  return new Promise((resolve, reject) => {
+    queues[priority].push({ chatId, fn, priority, idempotent, attempts: 0, notBefore: 0, resolve, reject });
+    if (!pumpTimer) {
+      pumpTimer = setTimeout(pump, 0);
+    }
+  });
+}
+
+/**
+ * Number of calls waiting to be sent
+ */
+function getQueueLength() {
+  return queues[0].length + queues[1].length;
+}
+
+/**
+ * Stop dispatching and fail anything still waiting
+ */
+function stopSendQueue() {
+  if (pumpTimer) {
+    clearTimeout(pumpTimer);
+    pumpTimer = null;
+  }
+  for (const queue of queues) {
+    for (const job of queue.splice(0)) {
+      job.reject(new Error('Send queue stopped'));
+    }
+  }
+}
+
+module.exports = {
+  PRIORITY,
+  enqueue,
+  getQueueLength,
+  stopSendQueue
+};
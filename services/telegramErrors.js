@@ -0,0 +1,91 @@
+/**
+ * Telegram API error helpers
+ * node-telegram-bot-api rejects with ETELEGRAM errors carrying the API
+ * response body ({ error_code, description, parameters }) or with EFATAL
+ * errors for network failures.
+ */
+
+/**
+ * HTTP-style error code from the Bot API (null for network errors)
+ */
+function getErrorCode(err) {
+  return err?.response?.body?.error_code || err?.response?.statusCode || null;
+}
+
+/**
+ * Milliseconds Telegram asked us to wait (429 parameters.retry_after), or null
+ */
+function getRetryAfterMs(err) {
+  const seconds = err?.response?.body?.parameters?.retry_after;
+  return seconds ? seconds * 1000 : null;
+}
+
+/**
+ * New chat ID when a group was upgraded to a supergroup (parameters.migrate_to_chat_id), or null
+ */
+function getMigrateToChatId(err) {
+  return err?.response?.body?.parameters?.migrate_to_chat_id || null;
+}
+
+/**
+ * Error classes meaning the chat can no longer receive our posts
+ */
+const UNREACHABLE_ERROR_CLASSES = ['blocked', 'kicked', 'chat_not_found', 'no_rights', 'deactivated'];
+
+/**
+ * Classify a failed send/edit/delete by the Bot API description
+ * @returns {string} migrated | blocked | deactivated | kicked | chat_not_found | no_rights |
+ *   not_modified | message_gone | rate_limited | server_error | network | other
+ */
+function classifySendError(err) {
+  const code = getErrorCode(err);
+  const description = String(err?.response?.body?.description || err?.message || '').toLowerCase();
+
+  if (code === 429) return 'rate_limited';
+  if (getMigrateToChatId(err)) return 'migrated';
+  if (description.includes('bot was blocked by the user')) return 'blocked';
+  if (description.includes('user is deactivated')) return 'deactivated';
+  if (description.includes('bot was kicked') || description.includes('bot is not a member')) return 'kicked';
+  if (description.includes('chat not found')) return 'chat_not_found';
+  if (description.includes('not enough rights') || description.includes('have no rights') ||
+      description.includes('chat_write_forbidden') || description.includes('need administrator rights')) {
+    return 'no_rights';
+  }
+  if (description.includes('message is not modified')) return 'not_modified';
+  if (description.includes('message to edit not found') || description.includes('message to delete not found') ||
+      description.includes("message can't be")) {
+    return 'message_gone';
+  }
+  if (code && code >= 500) return 'server_error';
+  if (err?.code === 'EFATAL') return 'network';
+  return 'other';
+}
+
+/**
+ * Whether an error class means the chat should be disabled
+ */
+function isChatUnreachable(errorClass) {
+  return UNREACHABLE_ERROR_CLASSES.includes(errorClass);
+}
+
+/**
+ * Whether a failed call is worth retrying (flood wait, server error, network)
+ * A call that isn't idempotent (sendMessage) may have gone through despite a server
+ * or network error, so it's only retried on a flood wait, which Telegram rejects unsent.
+ */
+function isRetryable(err, idempotent = true) {
+  const code = getErrorCode(err);
+  if (code === 429) return true;
+  if (!idempotent) return false;
+  if (code && code >= 500) return true;
+  return err?.code === 'EFATAL';
+}
+
+module.exports = {
+  getErrorCode,
+  getRetryAfterMs,
+  getMigrateToChatId,
+  isRetryable,
+  classifySendError,
+  isChatUnreachable
+};
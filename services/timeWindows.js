@@ -0,0 +1,288 @@
+/**
+ * Recurring weekly time windows for manual entries
+ * A window is { days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM', tz: 'Area/City' }.
+ * An end at or before the start runs past midnight into the next day
+ * (e.g. Fri 20:00-02:00 is open until 02:00 Saturday).
+ *
+ * Text form (admin input): "[days] HH:MM-HH:MM [timezone]"
+ *   Fri 20:00-02:00 America/New_York
+ *   daily 21:00-23:00
+ *   Mon-Fri 18:00-20:00 Europe/London
+ */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DEFAULT_TIMEZONE = process.env.PROMO_ATTENDANT_TIMEZONE || 'UTC';
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const formatters = new Map(); // tz -> Intl.DateTimeFormat
+
+/**
+ * Whether a timezone name is known to Intl
+ */
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of a date in a timezone
+ * @returns {{year, month, day, hour, minute, weekday}} month is 1-12, weekday 0-6
+ */
+function getZonedParts(date, tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(tz).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: DAY_NAMES.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ */
+function zonedTimeToDate(year, month, day, hour, minute, tz) {
+  const target = Date.UTC(year, month - 1, day, hour, minute);
+  // Guess with the offset at the target, then correct once (handles DST shifts)
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedParts(new Date(guess), tz);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - guess;
+    guess = target - offset;
+  }
+  return new Date(guess);
+}
+
+/**
+ * Minutes since midnight for 'HH:MM'
+ */
+function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Parse a day spec: daily, weekdays, weekends, Fri, Mon-Fri, Mon,Wed,Fri
+ * @returns {number[]|null}
+ */
+function parseDays(spec) {
+  const lower = spec.toLowerCase();
+  if (lower === 'daily' || lower === 'everyday') return ALL_DAYS;
+  if (lower === 'weekdays') return [1, 2, 3, 4, 5];
+  if (lower === 'weekends') return [0, 6];
+
+  const dayIndex = (name) => DAY_NAMES.findIndex(d => name.toLowerCase().startsWith(d.toLowerCase()));
+  const days = new Set();
+
+  for (const part of spec.split(',')) {
+    const range = part.split('-');
+    if (range.length === 2) {
+      const from = dayIndex(range[0]);
+      const to = dayIndex(range[1]);
+      if (from < 0 || to < 0) return null;
+      for (let d = from; ; d = (d + 1) % 7) {
+        days.add(d);
+        if (d === to) break;
+      }
+    } else {
+      const d = dayIndex(part);
+      if (d < 0) return null;
+      days.add(d);
+    }
+  }
+  return days.size > 0 ? [...days].sort() : null;
+}
+
+/**
+ * Parse an admin-typed window, e.g. "Fri 20:00-02:00 America/New_York"
+ * @returns {{window: Object|null, error: string|null}}
+ */
+function parseWindow(text) {
+  const tokens = text.trim().replace(/\s*[–—-]\s*(?=\d)/g, '-').split(/\s+/);
+  const timeIndex = tokens.findIndex(t => /^\d{1,2}:\d{2}-\d{1,2}:\d{2}$/.test(t));
+  if (timeIndex < 0 || timeIndex > 1 || tokens.length > timeIndex + 2) {
+    return { window: null, error: 'Use the format: Fri 20:00-02:00 America/New_York' };
+  }
+
+  const days = timeIndex === 1 ? parseDays(tokens[0]) : ALL_DAYS;
+  if (!days) {
+    return { window: null, error: 'Days must be daily, weekdays, weekends, or e.g. Fri, Mon-Fri, Mon,Wed' };
+  }
+
+  const [start, end] = tokens[timeIndex].split('-').map(t => t.padStart(5, '0'));
+  for (const time of [start, end]) {
+    const [hour, minute] = time.split(':').map(Number);
+    if (hour > 23 || minute > 59) {
+      return { window: null, error: `${time} is not a valid time` };
+    }
+  }
+  if (start === end) {
+    return { window: null, error: 'Start and end must differ' };
+  }
+
+  const tz = tokens[timeIndex + 1] || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(tz)) {
+    return { window: null, error: `Unknown timezone ${tz} (use e.g. America/New_York)` };
+  }
+
+  return { window: { days, start, end, tz }, error: null };
+}
+
+/**
+ * Format a window back to its text form
+ * @param {Object} options - timezone: false leaves the timezone out (e.g. when the chat's applies)
+ */
+function formatWindow(window, { timezone = true } = {}) {
+  let days;
+  if (window.days.length === 7) {
+    days = 'daily';
+  } else if (window.days.join() === '1,2,3,4,5') {
+    days = 'Mon-Fri';
+  } else {
+    days = window.days.map(d => DAY_NAMES[d]).join(',');
+  }
+  return `${days} ${window.start}–${window.end}${timezone ? ` ${window.tz}` : ''}`;
+}
+
+/**
+ * Whether a window is open at a moment
+ */
+function isWindowOpen(window, now = new Date()) {
+  const local = getZonedParts(now, window.tz);
+  const minutes = local.hour * 60 + local.minute;
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (start < end) {
+    return window.days.includes(local.weekday) && minutes >= start && minutes < end;
+  }
+  // Overnight: the late part belongs to today, the early part to yesterday's window
+  const yesterday = (local.weekday + 6) % 7;
+  return (window.days.includes(local.weekday) && minutes >= start) ||
+    (window.days.includes(yesterday) && minutes < end);
+}
+
+/**
+ * Whether an entry with these windows is available (no windows = always)
+ */
+function isAnyWindowOpen(windows, now = new Date()) {
+  if (!windows || windows.length === 0) return true;
+  return windows.some(window => isWindowOpen(window, now));
+}
+
+/**
+ * When a window that is open at now closes
+ */
+function getWindowClosing(window, now) {
+  const local = getZonedParts(now, window.tz);
+  const [hour, minute] = window.end.split(':').map(Number);
+  // The late part of an overnight window closes tomorrow
+  const start = toMinutes(window.start);
+  const offset = start > toMinutes(window.end) && local.hour * 60 + local.minute >= start ? 1 : 0;
+
+  const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+  return zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hour, minute, window.tz);
+}
+
+/**
+ * When the windows open at now all close (overlapping or back-to-back windows are chained)
+ * @returns {Date|null} null if none is open
+ */
+function getWindowsClosing(windows, now = new Date()) {
+  let closing = null;
+  let at = now;
+  // Bounded so windows covering the whole week can't loop forever
+  for (let i = 0; i < 14; i++) {
+    const open = (windows || []).filter(window => isWindowOpen(window, at));
+    if (open.length === 0) break;
+    closing = new Date(Math.max(...open.map(window => getWindowClosing(window, at))));
+    at = closing;
+  }
+  return closing;
+}
+
+/**
+ * Next time a single window opens after now
+ */
+function getWindowOpening(window, now) {
+  const local = getZonedParts(now, window.tz);
+  const [hour, minute] = window.start.split(':').map(Number);
+
+  // Walk forward day by day (8 days covers a weekly window that already started today)
+  for (let offset = 0; offset <= 7; offset++) {
+    if (!window.days.includes((local.weekday + offset) % 7)) continue;
+
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const opening = zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hour, minute, window.tz);
+    if (opening > now) return opening;
+  }
+  return null;
+}
+
+/**
+ * Next time any of the windows opens
+ * @returns {{at: Date, window: Object}|null}
+ */
+function getNextOpening(windows, now = new Date()) {
+  let next = null;
+  for (const window of windows || []) {
+    const at = getWindowOpening(window, now);
+    if (at && (!next || at < next.at)) {
+      next = { at, window };
+    }
+  }
+  return next;
+}
+
+/**
+ * Short description of an entry's availability for the admin panel
+ */
+function describeAvailability(windows, now = new Date()) {
+  if (!windows || windows.length === 0) return null;
+  if (isAnyWindowOpen(windows, now)) return '🟢 window open now';
+
+  const next = getNextOpening(windows, now);
+  if (!next) return '⏸ no upcoming window';
+
+  // Show the opening in the window's own timezone
+  const local = getZonedParts(next.at, next.window.tz);
+  const time = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+  return `🕒 next ${DAY_NAMES[local.weekday]} ${local.day}/${local.month} ${time} ${next.window.tz}`;
+}
+
+module.exports = {
+  DAY_NAMES,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToDate,
+  parseWindow,
+  formatWindow,
+  isWindowOpen,
+  isAnyWindowOpen,
+  getNextOpening,
+  getWindowsClosing,
+  describeAvailability
+};
@@ -0,0 +1,86 @@
+/**
+ * Room watches: per-user alert rules and the change detector behind them
+ * A watch is { id, target_kind, target_id, min_participants }:
+ *   target_kind 'group'   - a room group (target_id = group_number)
+ *               'meeting' - a Zoom meeting ID (manual entries)
+ *               'any'     - every room (target_id = null)
+ *   min_participants 0 fires when the room goes live, N when it reaches N people.
+ *
+ * The detector compares two getActiveRooms() snapshots. A watch fires for a room
+ * on the check where the room starts matching, not again while it keeps matching.
+ *
+ * Callback form of a target: g<group_number>, m<meeting_id> or any
+ */
+
+const WATCH_THRESHOLDS = [0, 10, 20, 50];
+
+/**
+ * Stable identity of a room across snapshots (a group's meeting ID can change)
+ */
+function roomKey(room) {
+  return room.is_manual ? `entry:${room.manual_entry_id}` : `group:${room.group_number}`;
+}
+
+/**
+ * Whether a room currently satisfies a watch
+ */
+function watchMatches(watch, room) {
+  if (watch.target_kind === 'group' && (room.is_manual || String(room.group_number) !== watch.target_id)) {
+    return false;
+  }
+  if (watch.target_kind === 'meeting' && String(room.meeting_id) !== watch.target_id) {
+    return false;
+  }
+  return (room.zoom_participant_count || 0) >= watch.min_participants;
+}
+
+/**
+ * Rooms each watch started matching between two snapshots
+ * @param {Array|null} previous - Rooms at the last check (null: first check, nothing fires)
+ * @param {Array} current - Rooms now
+ * @returns {Map<number, Array>} watch id -> rooms that just started matching
+ */
+function findWatchTransitions(previous, current, watches) {
+  const fired = new Map();
+  if (!previous) return fired;
+
+  const before = new Map(previous.map(room => [roomKey(room), room]));
+  for (const watch of watches) {
+    const rooms = current.filter(room => {
+      if (!watchMatches(watch, room)) return false;
+      const was = before.get(roomKey(room));
+      return !was || !watchMatches(watch, was);
+    });
+    if (rooms.length > 0) {
+      fired.set(watch.id, rooms);
+    }
+  }
+  return fired;
+}
+
+/**
+ * Parse a target from callback data
+ * @returns {{target_kind: string, target_id: string|null}|null}
+ */
+function parseWatchTarget(text) {
+  if (text === 'any') return { target_kind: 'any', target_id: null };
+
+  const match = /^([gm])(\d{1,11})$/.exec(text || '');
+  if (!match) return null;
+  return { target_kind: match[1] === 'g' ? 'group' : 'meeting', target_id: match[2] };
+}
+
+/**
+ * Callback form of a watch's target
+ */
+function formatWatchTarget(watch) {
+  if (watch.target_kind === 'any') return 'any';
+  return `${watch.target_kind === 'group' ? 'g' : 'm'}${watch.target_id}`;
+}
+
+module.exports = {
+  WATCH_THRESHOLDS,
+  findWatchTransitions,
+  parseWatchTarget,
+  formatWatchTarget
+};
@@ -0,0 +1,63 @@
+/**
+ * REST admin API: request validation (no database needed before it passes)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.PROMO_ATTENDANT_API_TOKENS = '42:test-token';
+process.env.PROMO_ATTENDANT_SUPER_ADMIN = '42';
+
+const databaseId = require.resolve('../services/database');
+require.cache[databaseId] = {
+  id: databaseId,
+  filename: databaseId,
+  loaded: true,
+  exports: {
+    query: async () => { throw new Error('unexpected query'); },
+    getClient: async () => { throw new Error('unexpected client'); }
+  }
+};
+
+const { handleAdminApiRequest } = require('../services/adminApi');
+
+const headers = { authorization: 'Bearer test-token' };
+
+test('a malformed path parameter is a bad request', async () => {
+  const res = await handleAdminApiRequest({ method: 'PUT', url: '/api/hidden-meetings/%E0%A4%A', headers });
+  assert.strictEqual(res.status, 400);
+});
+
+test('entry names follow the wizard limit', async () => {
+  const res = await handleAdminApiRequest({
+    method: 'POST',
+    url: '/api/manual-entries',
+    headers,
+    body: { entry_type: 'zoom', name: 'x'.repeat(33), meeting_id: '1234567890' }
+  });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /1-32 characters/);
+});
+
+/**
+ * Create a manual entry through the API (rejected before any query runs)
+ */
+function createEntry(body) {
+  return handleAdminApiRequest({ method: 'POST', url: '/api/manual-entries', headers, body });
+}
+
+test('invite links follow the admin panel rules', async () => {
+  const res = await createEntry({ entry_type: 'telegram', name: 'Chat', invite_link: 'https://example.com/join' });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /^invite_link: .*t\.me/);
+});
+
+test('meeting IDs and participant counts follow the admin panel rules', async () => {
+  const badId = await createEntry({ entry_type: 'zoom', name: 'Room', meeting_id: '12345' });
+  assert.strictEqual(badId.status, 400);
+  assert.match(badId.body.error, /^meeting_id: /);
+
+  const tooMany = await createEntry({ entry_type: 'zoom', name: 'Room', meeting_id: '1234567890', participant_count: 10001 });
+  assert.strictEqual(tooMany.status, 400);
+  assert.match(tooMany.body.error, /^participant_count: /);
+});
@@ -0,0 +1,81 @@
+/**
+ * Cron schedules: which days an expression runs on, and how close runs get
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSchedule, getNextRun, getShortestGap } = require('../services/cron');
+
+// A Monday
+const from = new Date('2026-03-02T00:00:00Z');
+
+/**
+ * The next few run dates (YYYY-MM-DD) of a schedule in UTC
+ */
+function runDates(text, count) {
+  const { schedule, error } = parseSchedule(text);
+  assert.strictEqual(error, null);
+  const dates = [];
+  let after = from;
+  for (let i = 0; i < count; i++) {
+    after = getNextRun(schedule, 'UTC', after);
+    dates.push(after.toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+test('a day-of-month step runs every other day', () => {
+  assert.deepStrictEqual(runDates('0 12 */2 * *', 3), ['2026-03-03', '2026-03-05', '2026-03-07']);
+  // Odd days only, but the 31st and the next 1st are back to back
+  assert.strictEqual(getShortestGap(parseSchedule('0 12 */2 * *').schedule, 'UTC', from), 1440);
+});
+
+test('a day-of-month step with weekdays needs both to match', () => {
+  // Odd days of March 2026 that fall on Mon-Fri
+  assert.deepStrictEqual(runDates('0 12 */2 * Mon-Fri', 4), ['2026-03-03', '2026-03-05', '2026-03-09', '2026-03-11']);
+});
+
+test('a weekday step with days of month needs both to match', () => {
+  // Sun, Tue, Thu, Sat among the 1st-10th
+  assert.deepStrictEqual(runDates('0 12 1-10 * */2', 3), ['2026-03-03', '2026-03-05', '2026-03-07']);
+});
+
+test('restricted days of month and weekdays match either', () => {
+  // The 15th, or any Friday
+  assert.deepStrictEqual(runDates('0 12 15 * Fri', 3), ['2026-03-06', '2026-03-13', '2026-03-15']);
+});
+
+test('a star weekday leaves the days of month in charge', () => {
+  assert.deepStrictEqual(runDates('0 12 1,15 * *', 2), ['2026-03-15', '2026-04-01']);
+});
+
+/**
+ * Shortest gap in minutes for a schedule that must parse
+ */
+function gap(text, tz = 'UTC') {
+  const { schedule, error } = parseSchedule(text);
+  assert.strictEqual(error, null);
+  return getShortestGap(schedule, tz, from);
+}
+
+test('the shortest gap covers monthly schedules', () => {
+  // February 2027 is the shortest month in the year after `from`
+  assert.strictEqual(gap('0 9 1 * *'), 28 * 1440);
+  assert.strictEqual(gap('0 9 1,2 * *'), 1440);
+  // Yearly schedules run once in the year looked at
+  assert.strictEqual(gap('0 9 1 1 *'), Infinity);
+  assert.strictEqual(gap('0 9 29 2 *'), Infinity);
+});
+
+test('a close pair once a month is not hidden by more frequent runs', () => {
+  assert.strictEqual(gap('0 */2 * * *; 5 0 1 * *'), 5);
+  assert.strictEqual(gap('0 9 * * Mon; 0 10 15 * *'), 60);
+});
+
+test('the shortest gap is in real time across a DST change', () => {
+  // 01:30 EST to 03:30 EDT on 2026-03-08 is one hour
+  assert.strictEqual(gap('30 1,3 * * *', 'America/New_York'), 60);
+  assert.strictEqual(gap('30 1,3 * * *'), 120);
+  // The skipped hour doesn't send the gap backwards
+  assert.strictEqual(gap('* * * * *', 'America/New_York'), 1);
+});
@@ -0,0 +1,41 @@
+/**
+ * Readiness without a bot token: the bot is reported disabled, not unready
+ * (and a readiness check cleans up after itself)
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.PROMO_ATTENDANT_BOT_TOKEN;
+
+const databaseId = require.resolve('../services/database');
+require.cache[databaseId] = {
+  id: databaseId,
+  filename: databaseId,
+  loaded: true,
+  exports: {
+    query: async () => ({ rows: [], rowCount: 0 }),
+    getClient: async () => { throw new Error('unexpected client'); }
+  }
+};
+
+const { server } = require('../index');
+const { getHealth } = require('../services/promoAttendant');
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('/health/ready is ok with the bot disabled', async () => {
+  await new Promise(resolve => server.listen(0, resolve));
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/health/ready`);
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(body.checks.bot, { ok: true, disabled: true });
+});
+
+test('a readiness check leaves no timer behind', async () => {
+  const timers = () => process.getActiveResourcesInfo().filter(type => type === 'Timeout').length;
+  const before = timers();
+  await getHealth();
+  assert.strictEqual(timers(), before);
+});
@@ -0,0 +1,25 @@
+/**
+ * Checks for the HTML sent with parse_mode: 'HTML'
+ */
+
+const assert = require('node:assert');
+
+const TAG = /<(\/?)([a-z]+)(?:\s[^>]*)?>/g;
+
+/**
+ * Every tag is closed in order and all other text is escaped
+ */
+function assertValidHtml(html) {
+  const open = [];
+  for (const [tag, closing, name] of html.matchAll(TAG)) {
+    if (closing) {
+      assert.strictEqual(open.pop(), name, `unexpected ${tag}`);
+    } else {
+      open.push(name);
+    }
+  }
+  assert.deepStrictEqual(open, [], 'unclosed tags');
+  assert.doesNotMatch(html.replace(TAG, ''), /[<>]|&(?!amp;|lt;|gt;|quot;)/, 'unescaped text');
+}
+
+module.exports = { assertValidHtml };
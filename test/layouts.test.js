@@ -0,0 +1,67 @@
+/**
+ * Embed layouts: every layout renders valid HTML that pages within the message limit
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { assertValidHtml } = require('./helpers/html');
+
+const databaseId = require.resolve('../services/database');
+require.cache[databaseId] = {
+  id: databaseId,
+  filename: databaseId,
+  loaded: true,
+  exports: {
+    query: async () => { throw new Error('unexpected query'); },
+    getClient: async () => { throw new Error('unexpected client'); }
+  }
+};
+
+const { listLayouts, getLayout, DEFAULT_LAYOUT } = require('../services/layouts');
+const { translator, LANGUAGES } = require('../services/i18n');
+const { MESSAGE_MAX_LENGTH, buildMessagePages } = require('../services/promoAttendant');
+
+const now = new Date('2026-03-06T20:00:00Z');
+
+// Names with markup characters, long names, rooms with and without optional fields
+const rooms = Array.from({ length: 60 }, (_, i) => ({
+  group_number: i + 1,
+  meeting_id: String(1000000000 + i),
+  room_name: i % 3 === 0 ? `Tom & Jerry's <Room> ${i}` : null,
+  group_name: i % 3 === 1 ? `A rather long room name that overflows the table column ${i}` : null,
+  zoom_participant_count: i % 4 === 0 ? 0 : i,
+  zoom_host_name: i % 2 ? `Host <${i}> & co` : null,
+  last_seen: i % 2 ? new Date(now - i * 60000).toISOString() : null
+}));
+const groups = Array.from({ length: 20 }, (_, i) => ({
+  name: `Chat <${i}> & friends`,
+  inviteLink: i % 2 ? `https://t.me/+invite${i}` : null,
+  username: i % 4 === 0 ? `chat_${i}` : null
+}));
+
+test('the built-in layouts are registered and unknown keys get the default', () => {
+  assert.deepStrictEqual(listLayouts().map(layout => layout.key), ['classic', 'compact', 'detailed', 'table']);
+  assert.strictEqual(getLayout('nope').key, DEFAULT_LAYOUT);
+});
+
+for (const { key } of listLayouts()) {
+  test(`${key} layout renders valid HTML`, () => {
+    const layout = getLayout(key);
+    for (const language of Object.keys(LANGUAGES)) {
+      const context = { now, t: translator(language) };
+      assertValidHtml(layout.renderRooms(rooms, context).join('\n'));
+      assertValidHtml(layout.renderTelegramGroups(groups, context).join('\n'));
+    }
+  });
+
+  test(`${key} layout pages stay within the message limit`, () => {
+    for (const language of Object.keys(LANGUAGES)) {
+      const pages = buildMessagePages(rooms, groups, { layout: key, language });
+      assert.ok(pages.length > 0);
+      for (const page of pages) {
+        assert.ok(page.length <= MESSAGE_MAX_LENGTH, `${language} page is ${page.length} long`);
+        assertValidHtml(page);
+      }
+    }
+  });
+}
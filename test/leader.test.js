@@ -0,0 +1,76 @@
+/**
+ * Leader election: a failed takeover gives the lock back and is retried,
+ * and a lock connection that stops answering is given up
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.PROMO_ATTENDANT_LEADER_CHECK_MS = '20';
+process.env.PROMO_ATTENDANT_LEADER_QUERY_TIMEOUT_MS = '50';
+
+const clients = [];
+const databaseId = require.resolve('../services/database');
+require.cache[databaseId] = {
+  id: databaseId,
+  filename: databaseId,
+  loaded: true,
+  exports: {
+    query: async () => ({ rows: [], rowCount: 0 }),
+    getClient: async () => {
+      const client = {
+        released: false,
+        hung: false, // A half-open connection: queries never settle
+        query(text) {
+          return this.hung ? new Promise(() => {}) : Promise.resolve({ rows: [{ locked: true }] });
+        },
+        on() {},
+        release() { this.released = true; }
+      };
+      clients.push(client);
+      return client;
+    }
+  }
+};
+
+const { startLeaderElection, stopLeaderElection, getRole } = require('../services/leader');
+
+after(() => stopLeaderElection());
+
+test('a failing onElected demotes, releases the lock and retries', async () => {
+  let attempts = 0;
+  let demotions = 0;
+  await startLeaderElection({
+    onElected: async () => {
+      attempts++;
+      if (attempts === 1) throw new Error('setWebHook failed');
+    },
+    onDemoted: async () => { demotions++; }
+  });
+
+  // First attempt failed: back to standby with the lock connection discarded
+  assert.strictEqual(getRole(), 'standby');
+  assert.strictEqual(demotions, 1);
+  assert.ok(clients[0].released);
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.strictEqual(attempts, 2);
+  assert.strictEqual(getRole(), 'leader');
+});
+
+test('a lock connection that stops answering is discarded and leadership moves on', async () => {
+  await stopLeaderElection();
+  let demotions = 0;
+  await startLeaderElection({ onDemoted: async () => { demotions++; } });
+  assert.strictEqual(getRole(), 'leader');
+
+  const hungClient = clients[clients.length - 1];
+  hungClient.hung = true;
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  assert.strictEqual(demotions, 1);
+  assert.ok(hungClient.released);
+  // Re-elected on a fresh connection
+  assert.strictEqual(getRole(), 'leader');
+  assert.notStrictEqual(clients[clients.length - 1], hungClient);
+});
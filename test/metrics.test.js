@@ -0,0 +1,45 @@
+/**
+ * Metrics: chat type labels and the active rooms query timer
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const databaseId = require.resolve('../services/database');
+require.cache[databaseId] = {
+  id: databaseId,
+  filename: databaseId,
+  loaded: true,
+  exports: {
+    query: async () => { throw new Error('connection refused'); },
+    getClient: async () => { throw new Error('connection refused'); }
+  }
+};
+
+const { rememberChatType, forgetChatType, trackMessage, getMetrics } = require('../services/metrics');
+const { getActiveRooms } = require('../services/promoAttendant');
+
+/**
+ * Value of a metric sample line, e.g. sample('foo_count') (0 if absent)
+ */
+async function sample(prefix) {
+  const { body } = await getMetrics();
+  const line = body.split('\n').find(l => l.startsWith(`${prefix} `));
+  return line ? Number(line.split(' ').pop()) : 0;
+}
+
+test('a removed chat is no longer labelled with its old type', async () => {
+  rememberChatType(-1001, 'channel');
+  await trackMessage('post', -1001, async () => 'ok');
+  forgetChatType(-1001);
+  await trackMessage('post', -1001, async () => 'ok');
+
+  assert.strictEqual(await sample('promo_attendant_messages_total{operation="post",chat_type="channel"}'), 1);
+  assert.strictEqual(await sample('promo_attendant_messages_total{operation="post",chat_type="unknown"}'), 1);
+});
+
+test('a failed room lookup is still timed', async () => {
+  const before = await sample('promo_attendant_active_rooms_query_duration_seconds_count');
+  await assert.rejects(getActiveRooms(), /connection refused/);
+  assert.strictEqual(await sample('promo_attendant_active_rooms_query_duration_seconds_count'), before + 1);
+});
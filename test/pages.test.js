@@ -0,0 +1,87 @@
+/**
+ * Room list pages: each page fits in one message and is complete HTML
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { assertValidHtml } = require('./helpers/html');
+
+const databaseId = require.resolve('../services/database');
+require.cache[databaseId] = {
+  id: databaseId,
+  filename: databaseId,
+  loaded: true,
+  exports: {
+    query: async () => { throw new Error('unexpected query'); },
+    getClient: async () => { throw new Error('unexpected client'); }
+  }
+};
+
+const { MESSAGE_MAX_LENGTH, buildMessagePages, shortenItem } = require('../services/promoAttendant');
+
+function room(number, name = `Room ${number}`) {
+  return { group_number: number, room_name: name, meeting_id: String(1000000000 + number), zoom_participant_count: 3 };
+}
+
+function group(number, name = `Group ${number}`) {
+  return { name, inviteLink: `https://t.me/+invite${number}` };
+}
+
+test('a short list is one page without a page indicator', () => {
+  const pages = buildMessagePages([room(1), room(2)], [group(1)]);
+  assert.strictEqual(pages.length, 1);
+  assert.doesNotMatch(pages[0], /Page \d/);
+  assertValidHtml(pages[0]);
+});
+
+test('a long list is split into numbered pages within the limit', () => {
+  const rooms = Array.from({ length: 120 }, (_, i) => room(i + 1));
+  const groups = Array.from({ length: 40 }, (_, i) => group(i + 1));
+  const pages = buildMessagePages(rooms, groups);
+
+  assert.ok(pages.length > 1);
+  pages.forEach((page, i) => {
+    assert.ok(page.length <= MESSAGE_MAX_LENGTH, `page ${i + 1} is ${page.length} long`);
+    assert.match(page, new RegExp(`Page ${i + 1}/${pages.length}`));
+    assertValidHtml(page);
+  });
+  // Every room and group is on exactly one page
+  for (const marker of ['◆ Room 1 ◆', '◆ Room 120 ◆', '<b>Group 1</b>', '<b>Group 40</b>']) {
+    assert.strictEqual(pages.filter(page => page.includes(marker)).length, 1, marker);
+  }
+});
+
+test('a room too long for a page of its own has its name cut down', () => {
+  const longName = '<&>'.repeat(3000);
+  const pages = buildMessagePages([room(1), room(2, longName), room(3)], [group(1, 'x&'.repeat(5000))]);
+
+  assert.strictEqual(pages.length, 4);
+  for (const page of pages) {
+    assert.ok(page.length <= MESSAGE_MAX_LENGTH);
+    assertValidHtml(page);
+  }
+  assert.match(pages[1], /(&lt;&amp;&gt;)+(&lt;|&lt;&amp;)?…/);
+  assert.match(pages[3], /(x&amp;)+x?…/);
+});
+
+test('shortenItem cuts only as much as the overflow', () => {
+  const measure = item => 100 + item.group.name.length;
+  const item = { group: group(1, 'a'.repeat(MESSAGE_MAX_LENGTH)) };
+  const shortened = shortenItem(item, measure);
+
+  assert.strictEqual(measure(shortened), MESSAGE_MAX_LENGTH);
+  assert.ok(shortened.group.name.endsWith('…'));
+  assert.strictEqual(shortened.group.inviteLink, item.group.inviteLink);
+  // The caller's item is left alone
+  assert.strictEqual(item.group.name.length, MESSAGE_MAX_LENGTH);
+});
+
+test('shortenItem leaves an item that fits as it is', () => {
+  const item = { room: room(1) };
+  assert.deepStrictEqual(shortenItem(item, () => 100), item);
+});
+
+test('shortenItem stops at … when the names are not what overflows', () => {
+  const shortened = shortenItem({ room: room(1, 'Name') }, () => MESSAGE_MAX_LENGTH + 500);
+  assert.strictEqual(shortened.room.room_name, '…');
+});
@@ -0,0 +1,107 @@
+/**
+ * Room list: per-chat content filters, sort modes and pinned rooms
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const databaseId = require.resolve('../services/database');
+require.cache[databaseId] = {
+  id: databaseId,
+  filename: databaseId,
+  loaded: true,
+  exports: {
+    query: async () => { throw new Error('unexpected query'); },
+    getClient: async () => { throw new Error('unexpected client'); }
+  }
+};
+
+const { getContentFilters, applyContentFilters, SORT_MODES, sortRooms } = require('../services/promoAttendant');
+
+const rooms = [
+  { group_number: 1, room_name: 'Cedar', zoom_participant_count: 4, last_seen: '2026-03-06T19:00:00Z' },
+  { group_number: 2, room_name: 'alder', zoom_participant_count: 25, last_seen: '2026-03-06T19:30:00Z' },
+  { group_number: 3, group_name: 'Birch', zoom_participant_count: 12, last_seen: '2026-03-06T19:50:00Z' },
+  { is_manual: true, manual_entry_id: 9, room_name: 'Dogwood', zoom_participant_count: 0 }
+];
+const groups = [
+  { name: 'Config chat', inviteLink: 'https://t.me/+config' },
+  { is_manual: true, manual_entry_id: 5, name: 'Manual chat', inviteLink: 'https://t.me/+manual' }
+];
+
+/**
+ * Names of the rooms and groups left by a chat's filters
+ */
+function visible(contentFilters) {
+  const filters = getContentFilters({ content_filters: contentFilters });
+  const result = applyContentFilters(rooms, groups, filters);
+  return {
+    rooms: result.rooms.map(room => room.room_name || room.group_name),
+    groups: result.telegramGroups.map(group => group.name)
+  };
+}
+
+test('default filters show everything', () => {
+  assert.deepStrictEqual(visible(null), {
+    rooms: ['Cedar', 'alder', 'Birch', 'Dogwood'],
+    groups: ['Config chat', 'Manual chat']
+  });
+});
+
+test('section toggles hide a whole section', () => {
+  assert.deepStrictEqual(visible({ zoom: false }).rooms, []);
+  assert.deepStrictEqual(visible({ telegram: false }).groups, []);
+});
+
+test('the participant minimum leaves out auto-detected rooms only', () => {
+  assert.deepStrictEqual(visible({ min_participants: 10 }).rooms, ['alder', 'Birch', 'Dogwood']);
+});
+
+test('exclude mode hides the selected rooms and manual entries', () => {
+  assert.deepStrictEqual(visible({ mode: 'exclude', groups: [2], entries: [9, 5] }), {
+    rooms: ['Cedar', 'Birch'],
+    groups: ['Config chat']
+  });
+});
+
+test('include mode shows only the selected rooms; configured chats still follow the section toggle', () => {
+  assert.deepStrictEqual(visible({ mode: 'include', groups: [3], entries: [9] }), {
+    rooms: ['Birch', 'Dogwood'],
+    groups: ['Config chat']
+  });
+});
+
+test('filters read from settings are copies', () => {
+  const stored = { groups: [1], entries: [] };
+  getContentFilters({ content_filters: stored }).groups.push(2);
+  assert.deepStrictEqual(stored.groups, [1]);
+});
+
+/**
+ * Room names in the order a sort mode puts them
+ */
+function sorted(mode, pins) {
+  return sortRooms(rooms, mode, pins).map(room => room.room_name || room.group_name);
+}
+
+test('each sort mode orders the rooms', () => {
+  assert.deepStrictEqual(sorted('order'), ['Cedar', 'alder', 'Birch', 'Dogwood']);
+  assert.deepStrictEqual(sorted('participants'), ['alder', 'Birch', 'Cedar', 'Dogwood']);
+  assert.deepStrictEqual(sorted('name'), ['alder', 'Birch', 'Cedar', 'Dogwood']);
+  assert.deepStrictEqual(sorted('recent'), ['Birch', 'alder', 'Cedar', 'Dogwood']);
+  // Unknown modes fall back to the admin-defined order
+  assert.deepStrictEqual(sorted('bogus'), ['Cedar', 'alder', 'Birch', 'Dogwood']);
+});
+
+test('pinned rooms stay on top, in pin order, whatever the sort', () => {
+  const pins = [{ kind: 'entry', ref_id: 9 }, { kind: 'group', ref_id: 1 }];
+  for (const mode of SORT_MODES) {
+    assert.deepStrictEqual(sorted(mode, pins).slice(0, 2), ['Dogwood', 'Cedar'], mode);
+  }
+  assert.deepStrictEqual(sorted('participants', pins), ['Dogwood', 'Cedar', 'alder', 'Birch']);
+});
+
+test('sorting leaves the input list alone', () => {
+  sortRooms(rooms, 'name', [{ kind: 'group', ref_id: 3 }]);
+  assert.deepStrictEqual(rooms.map(room => room.group_number ?? room.manual_entry_id), [1, 2, 3, 9]);
+});
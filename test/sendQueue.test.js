@@ -0,0 +1,52 @@
+/**
+ * Send queue retries: sends that may have been delivered are not repeated
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { enqueue, stopSendQueue } = require('../services/sendQueue');
+
+after(() => stopSendQueue());
+
+function networkError() {
+  const err = new Error('EFATAL: socket hang up');
+  err.code = 'EFATAL';
+  return err;
+}
+
+function floodWait() {
+  const err = new Error('ETELEGRAM: 429 Too Many Requests');
+  err.response = { body: { error_code: 429, parameters: { retry_after: 0.01 } } };
+  return err;
+}
+
+/**
+ * A call that fails once with err, then succeeds
+ */
+function failingOnce(err) {
+  const call = async () => {
+    call.attempts++;
+    if (call.attempts === 1) throw err;
+    return 'sent';
+  };
+  call.attempts = 0;
+  return call;
+}
+
+test('a send that failed on the network is not retried', async () => {
+  const call = failingOnce(networkError());
+  await assert.rejects(enqueue(1, call, 0, { idempotent: false }), { code: 'EFATAL' });
+  assert.strictEqual(call.attempts, 1);
+});
+
+test('a send rejected with a flood wait is retried', async () => {
+  const call = failingOnce(floodWait());
+  assert.strictEqual(await enqueue(2, call, 0, { idempotent: false }), 'sent');
+  assert.strictEqual(call.attempts, 2);
+});
+
+test('an edit that failed on the network is retried', async () => {
+  const call = failingOnce(networkError());
+  assert.strictEqual(await enqueue(3, call, 0), 'sent');
+  assert.strictEqual(call.attempts, 2);
+});
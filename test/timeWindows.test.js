@@ -0,0 +1,78 @@
+/**
+ * Time windows: parsing, overnight windows, chaining and DST transitions
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  zonedTimeToDate,
+  parseWindow,
+  isWindowOpen,
+  getNextOpening,
+  getWindowsClosing
+} = require('../services/timeWindows');
+
+/**
+ * Parse a window that must be valid
+ */
+function window(text) {
+  const { window: parsed, error } = parseWindow(text);
+  assert.strictEqual(error, null);
+  return parsed;
+}
+
+test('windows are parsed from the admin text form', () => {
+  assert.deepStrictEqual(window('Fri 20:00-02:00 America/New_York'),
+    { days: [5], start: '20:00', end: '02:00', tz: 'America/New_York' });
+  assert.deepStrictEqual(window('Mon-Fri 9:30 – 17:00 Europe/London'),
+    { days: [1, 2, 3, 4, 5], start: '09:30', end: '17:00', tz: 'Europe/London' });
+  assert.deepStrictEqual(window('21:00-23:00').days, [0, 1, 2, 3, 4, 5, 6]);
+});
+
+test('invalid windows are rejected', () => {
+  assert.match(parseWindow('daily 25:00-26:00').error, /25:00 is not a valid time/);
+  assert.match(parseWindow('Fri 20:00-02:00 Mars/Olympus_Mons').error, /Unknown timezone/);
+  assert.match(parseWindow('Fri 20:00-20:00').error, /must differ/);
+  assert.match(parseWindow('Someday 20:00-22:00').error, /Days must be/);
+  assert.match(parseWindow('Fri 20:00').error, /Use the format/);
+});
+
+test('an overnight window is open after midnight on the next day', () => {
+  const friday = window('Fri 20:00-02:00 America/New_York');
+  // 2026-03-07 is a Saturday; New York is UTC-5 until March 8
+  assert.ok(isWindowOpen(friday, new Date('2026-03-07T06:00:00Z')), 'Sat 01:00');
+  assert.ok(isWindowOpen(friday, new Date('2026-03-07T01:00:00Z')), 'Fri 20:00');
+  assert.ok(!isWindowOpen(friday, new Date('2026-03-07T07:00:00Z')), 'Sat 02:00');
+  assert.ok(!isWindowOpen(friday, new Date('2026-03-07T00:59:00Z')), 'Fri 19:59');
+  assert.ok(!isWindowOpen(friday, new Date('2026-03-08T01:30:00Z')), 'Sat 20:30');
+});
+
+test('an overnight window closes the next morning', () => {
+  const friday = window('Fri 20:00-02:00 America/New_York');
+  assert.deepStrictEqual(getWindowsClosing([friday], new Date('2026-03-07T04:00:00Z')), new Date('2026-03-07T07:00:00Z'));
+  assert.strictEqual(getWindowsClosing([friday], new Date('2026-03-07T08:00:00Z')), null);
+});
+
+test('back-to-back and overlapping windows are chained', () => {
+  const windows = [window('Fri 18:00-20:00 UTC'), window('Fri 20:00-23:00 UTC'), window('Fri 22:00-01:00 UTC')];
+  // 2026-03-06 is a Friday
+  assert.deepStrictEqual(getWindowsClosing(windows, new Date('2026-03-06T19:00:00Z')), new Date('2026-03-07T01:00:00Z'));
+});
+
+test('wall-clock times convert across a DST transition', () => {
+  // New York moves from UTC-5 to UTC-4 at 02:00 on 2026-03-08
+  assert.deepStrictEqual(zonedTimeToDate(2026, 3, 7, 12, 0, 'America/New_York'), new Date('2026-03-07T17:00:00Z'));
+  assert.deepStrictEqual(zonedTimeToDate(2026, 3, 8, 12, 0, 'America/New_York'), new Date('2026-03-08T16:00:00Z'));
+  // And back to UTC-5 at 02:00 on 2026-11-01
+  assert.deepStrictEqual(zonedTimeToDate(2026, 11, 1, 12, 0, 'America/New_York'), new Date('2026-11-01T17:00:00Z'));
+});
+
+test('windows open and close at wall-clock time on a DST day', () => {
+  const morning = window('daily 09:00-10:00 America/New_York');
+  const next = getNextOpening([morning], new Date('2026-03-07T15:00:00Z'));
+  assert.deepStrictEqual(next.at, new Date('2026-03-08T13:00:00Z'));
+
+  // 01:00-04:00 on the day clocks skip 02:00 is open for two real hours
+  const night = window('Sun 01:00-04:00 America/New_York');
+  assert.deepStrictEqual(getWindowsClosing([night], new Date('2026-03-08T06:30:00Z')), new Date('2026-03-08T08:00:00Z'));
+});
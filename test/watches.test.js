@@ -0,0 +1,73 @@
+/**
+ * Room watches: which watches fire as the active rooms change between checks
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { findWatchTransitions, parseWatchTarget, formatWatchTarget } = require('../services/watches');
+
+function room(groupNumber, count, extra = {}) {
+  return { group_number: groupNumber, meeting_id: `${900000000 + groupNumber}`, zoom_participant_count: count, ...extra };
+}
+
+const watches = [
+  { id: 1, target_kind: 'group', target_id: '7', min_participants: 0 },
+  { id: 2, target_kind: 'group', target_id: '7', min_participants: 20 },
+  { id: 3, target_kind: 'any', target_id: null, min_participants: 10 },
+  { id: 4, target_kind: 'meeting', target_id: '1234567890', min_participants: 0 }
+];
+
+/**
+ * Watch ids that fired, with the group numbers (or entry ids) of their rooms
+ */
+function fired(previous, current) {
+  const result = {};
+  for (const [id, rooms] of findWatchTransitions(previous, current, watches)) {
+    result[id] = rooms.map(r => (r.is_manual ? `entry ${r.manual_entry_id}` : r.group_number));
+  }
+  return result;
+}
+
+test('the first check only records the rooms', () => {
+  assert.deepStrictEqual(fired(null, [room(7, 30)]), {});
+});
+
+test('a room that goes live fires its watches', () => {
+  assert.deepStrictEqual(fired([room(3, 2)], [room(3, 2), room(7, 4)]), { 1: [7] });
+});
+
+test('a room that reaches a threshold fires the watches for that threshold', () => {
+  assert.deepStrictEqual(fired([room(7, 15)], [room(7, 20)]), { 2: [7] });
+  assert.deepStrictEqual(fired([room(5, 9)], [room(5, 10)]), { 3: [5] });
+});
+
+test('a room that keeps matching does not fire again on the next check', () => {
+  const ticks = [[], [room(7, 25)], [room(7, 26)], [room(7, 40)]];
+  const alerts = [];
+  for (let i = 1; i < ticks.length; i++) {
+    alerts.push(fired(ticks[i - 1], ticks[i]));
+  }
+  assert.deepStrictEqual(alerts, [{ 1: [7], 2: [7], 3: [7] }, {}, {}]);
+});
+
+test('a room that drops below a threshold and comes back fires again', () => {
+  const ticks = [[room(7, 25)], [room(7, 12)], [room(7, 21)]];
+  assert.deepStrictEqual(fired(ticks[0], ticks[1]), {});
+  assert.deepStrictEqual(fired(ticks[1], ticks[2]), { 2: [7] });
+});
+
+test('manual entries are matched by meeting ID and tracked by entry', () => {
+  const entry = { is_manual: true, manual_entry_id: 3, meeting_id: '1234567890', zoom_participant_count: 0 };
+  assert.deepStrictEqual(fired([], [entry]), { 4: ['entry 3'] });
+  // A group watch never matches a manual entry, even with the same number
+  assert.deepStrictEqual(fired([], [{ ...entry, group_number: 7 }]), { 4: ['entry 3'] });
+  assert.deepStrictEqual(fired([entry], [{ ...entry, zoom_participant_count: 1 }]), {});
+});
+
+test('watch targets round-trip through callback data', () => {
+  for (const text of ['any', 'g7', 'm1234567890']) {
+    assert.strictEqual(formatWatchTarget(parseWatchTarget(text)), text);
+  }
+  assert.strictEqual(parseWatchTarget('x7'), null);
+  assert.strictEqual(parseWatchTarget('g'), null);
+});
@@ -0,0 +1,120 @@
+/**
+ * Webhook route: recorded Telegram updates posted to the HTTP server
+ * Telegram and Postgres are stubbed, so this runs without network or database.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+process.env.PROMO_ATTENDANT_BOT_TOKEN = '123456:TEST-TOKEN';
+process.env.PROMO_ATTENDANT_WEBHOOK_URL = 'https://bot.example.test';
+process.env.PROMO_ATTENDANT_WEBHOOK_SECRET = 'recorded-secret';
+
+/**
+ * Replace a module in the require cache before anything loads it
+ */
+function stubModule(request, exports) {
+  const id = require.resolve(request);
+  require.cache[id] = { id, filename: id, loaded: true, exports };
+}
+
+class FakeTelegramBot extends EventEmitter {
+  constructor(token, options) {
+    super();
+    this.processed = [];
+    FakeTelegramBot.instance = this;
+  }
+
+  processUpdate(update) {
+    this.processed.push(update);
+  }
+
+  async setWebHook() { return true; }
+  async deleteWebHook() { return true; }
+  async startPolling() {}
+  async stopPolling() {}
+}
+
+stubModule('node-telegram-bot-api', FakeTelegramBot);
+stubModule('../services/database', {
+  query: async () => ({ rows: [], rowCount: 0 }),
+  // Never wins the election, so nothing is registered or scheduled
+  getClient: async () => ({
+    query: async () => ({ rows: [{ locked: false }] }),
+    on() {},
+    release() {}
+  })
+});
+
+const { initPromoAttendant, shutdownPromoAttendant, getWebhookPath } = require('../services/promoAttendant');
+const { server } = require('../index');
+
+const updates = ['message_start', 'callback_query_settings'].map(name =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'updates', `${name}.json`), 'utf8')));
+
+let baseUrl;
+
+/**
+ * POST a body to the server, with the secret token header when given
+ */
+async function post(urlPath, body, secretToken) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (secretToken !== undefined) {
+    headers['X-Telegram-Bot-Api-Secret-Token'] = secretToken;
+  }
+  const res = await fetch(`${baseUrl}${urlPath}`, {
+    method: 'POST',
+    headers,
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  assert.ok(await initPromoAttendant(), 'bot initialized');
+  await new Promise(resolve => server.listen(0, resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await shutdownPromoAttendant();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('recorded updates with the secret token are dispatched', async () => {
+  const bot = FakeTelegramBot.instance;
+  bot.processed = [];
+
+  for (const update of updates) {
+    const res = await post(getWebhookPath(), update, 'recorded-secret');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { ok: true });
+  }
+  assert.deepStrictEqual(bot.processed, updates);
+});
+
+test('updates without or with a wrong secret token are rejected', async () => {
+  const bot = FakeTelegramBot.instance;
+  bot.processed = [];
+
+  assert.strictEqual((await post(getWebhookPath(), updates[0])).status, 401);
+  assert.strictEqual((await post(getWebhookPath(), updates[0], 'wrong-secret')).status, 401);
+  assert.deepStrictEqual(bot.processed, []);
+});
+
+test('malformed bodies are rejected', async () => {
+  const bot = FakeTelegramBot.instance;
+  bot.processed = [];
+
+  assert.strictEqual((await post(getWebhookPath(), '{not json', 'recorded-secret')).status, 400);
+  assert.strictEqual((await post(getWebhookPath(), { message: {} }, 'recorded-secret')).status, 400);
+  assert.deepStrictEqual(bot.processed, []);
+});
+
+test('only the secret path accepts updates', async () => {
+  const res = await post('/telegram/webhook/guess', updates[0], 'recorded-secret');
+  assert.strictEqual(res.status, 404);
+});
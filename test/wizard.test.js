@@ -0,0 +1,26 @@
+/**
+ * Wizard steps: every step key fits in promo_attendant_wizards.step
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const databaseId = require.resolve('../services/database');
+require.cache[databaseId] = {
+  id: databaseId,
+  filename: databaseId,
+  loaded: true,
+  exports: {
+    query: async () => { throw new Error('unexpected query'); },
+    getClient: async () => { throw new Error('unexpected client'); }
+  }
+};
+
+const { ENTRY_EDIT_FIELDS, WIZARD_STEP_MAX_LENGTH } = require('../services/promoAttendant');
+
+test('entry edit steps fit in the step column', () => {
+  for (const field of Object.keys(ENTRY_EDIT_FIELDS)) {
+    const step = `edit_${field}`;
+    assert.ok(step.length <= WIZARD_STEP_MAX_LENGTH, `${step} is longer than ${WIZARD_STEP_MAX_LENGTH}`);
+  }
+});